@@ -10,20 +10,54 @@ import dotenv from 'dotenv';
 import { prMetrics } from '../src/commands/pr-metrics.js';
 import { userStats } from '../src/commands/user-stats.js';
 import { repoStats } from '../src/commands/repo-stats.js';
+import { orgStats } from '../src/commands/org.js';
+import { commitStats } from '../src/commands/commit-stats.js';
 import { summary } from '../src/commands/summary.js';
+import { team } from '../src/commands/team.js';
+import { reviewGraph } from '../src/commands/graph.js';
+import { cacheStats, cacheClear } from '../src/commands/cache.js';
+import { sync } from '../src/commands/sync.js';
 
 // Load environment variables
 dotenv.config();
 
 const program = new Command();
 
+// Collect a repeatable option into an array
+const collect = (value, previous) => previous.concat(value);
+
+/**
+ * Add options shared by every command that talks to the GitHub API
+ */
+function addClientOptions(command) {
+  return command
+    .option('--app-id <id>', 'Authenticate as a GitHub App (or use GITHUB_APP_ID env var)')
+    .option('--private-key <file>', 'GitHub App private key file (or use GITHUB_APP_PRIVATE_KEY_PATH env var)')
+    .option('--installation-id <id>', 'GitHub App installation ID; discovered per org/user when omitted (or use GITHUB_APP_INSTALLATION_ID env var)')
+    .option('--provider <provider>', 'Code hosting platform: github, gitlab', 'github')
+    .option('--api-url <url>', 'API base URL for GitHub Enterprise Server, e.g. https://github.example.com/api/v3, or a self-hosted GitLab, e.g. https://gitlab.example.com/api/v4 (or use GITHUB_API_URL / GITLAB_API_URL env var)')
+    .option('--no-cache', 'Disable the on-disk response cache')
+    .option('--cache-dir <dir>', 'Response cache directory (default: ~/.cache/ghmetrics)')
+    .option('--record <dir>', 'Save every API response to fixture files in <dir>')
+    .option('--replay <dir>', 'Serve API responses from fixtures recorded with --record, without network access');
+}
+
+/**
+ * Add options for running a report against the local metrics store
+ */
+function addStoreOptions(command) {
+  return command
+    .option('--from-store', 'Read synced data from the local store instead of the API (see `sync`)')
+    .option('--store <dir>', 'Metrics store directory (default: ~/.local/share/ghmetrics)');
+}
+
 program
   .name('ghmetrics')
   .description('GitHub Metrics Calculator - Analyze PR metrics and user contributions')
   .version('1.0.0');
 
 // Summary Command (all-in-one)
-program
+addStoreOptions(addClientOptions(program
   .command('summary')
   .alias('all')
   .description('Get all metrics at once: PRs, issues, AI detection, repo breakdown')
@@ -35,10 +69,53 @@ program
   .option('--top <number>', 'Show top N repositories', '10')
   .option('--export <filename>', 'Export results to JSON file')
   .option('--format <format>', 'Output format: table, json', 'table')
+  .option('--api <api>', 'API for PR details: rest, graphql (batched)', 'rest')
+  .option('--concurrency <n>', 'Number of PRs to fetch details for in parallel', '4')
+  .option('--identity <login@api-url>', 'Also include another account of the same person, e.g. jdoe@https://github.example.com/api/v3 (repeatable)', collect, [])
+  .option('--resume', 'Continue an interrupted run from its checkpoint, skipping PRs already processed')
+  .option('--checkpoint <file>', 'Checkpoint file (default: one per user/org/date range in the cache directory)')
+  .option('--durations <mode>', 'Measure durations in calendar or business time', 'calendar')
+  .option('--timezone <tz>', 'Business time: IANA timezone of the working hours (default: system timezone)')
+  .option('--work-hours <range>', 'Business time: working hours, e.g. 9-17 (default: 9-17)')
+  .option('--work-days <days>', 'Business time: working days, e.g. mon-fri (default: mon-fri)')
+  .option('--holidays <file>', 'Business time: file of YYYY-MM-DD dates not worked, one per line')
+  .option('--include-bots', 'Count bots (dependabot, renovate, CI reporters, ...) like everyone else; their activity is always reported separately')
+  .option('--bot-accounts <logins>', 'Service accounts to treat as bots, comma-separated (or GHMETRICS_BOT_ACCOUNTS env var)')
+  .option('--identity-map <file>', 'File mapping each person\'s other logins and commit <emails> to one canonical login (or GHMETRICS_IDENTITY_MAP env var)')
+  .option('--stats <figures>', 'Distribution figures to report, e.g. p50,p90 (default: mean,min,p50,p75,p90,p95,max,stddev,histogram)')
+  .option('--granularity <period>', 'Also show trends by period: week, month')
+  .option('--compare-to <period>', 'Compare against a baseline period: previous, or YYYY-MM-DD..YYYY-MM-DD')))
   .action(summary);
 
+// Team Command
+addStoreOptions(addClientOptions(program
+  .command('team')
+  .description('Run the summary for every member of a team and compare them in one report')
+  .option('--users <usernames>', 'Team members, comma-separated')
+  .option('--roster <file>', 'File listing team members, one or more per line (# starts a comment)')
+  .option('--gh-team <org/slug>', 'GitHub team whose members to include (resolved via the Teams API)')
+  .option('-o, --org <orgs>', 'Filter by organization(s), comma-separated (e.g., adobe,aemdemos)')
+  .option('-t, --token <token>', 'GitHub token (or use GITHUB_TOKEN env var)')
+  .option('--since <date>', 'Filter after this date (YYYY-MM-DD)')
+  .option('--until <date>', 'Filter before this date (YYYY-MM-DD)')
+  .option('--top <number>', 'Show top N repositories', '10')
+  .option('--export <filename>', 'Export results to a JSON or CSV file')
+  .option('--durations <mode>', 'Measure durations in calendar or business time', 'calendar')
+  .option('--timezone <tz>', 'Business time: IANA timezone of the working hours (default: system timezone)')
+  .option('--work-hours <range>', 'Business time: working hours, e.g. 9-17 (default: 9-17)')
+  .option('--work-days <days>', 'Business time: working days, e.g. mon-fri (default: mon-fri)')
+  .option('--holidays <file>', 'Business time: file of YYYY-MM-DD dates not worked, one per line')
+  .option('--include-bots', 'Count bots (dependabot, renovate, CI reporters, ...) like everyone else; their activity is always reported separately')
+  .option('--bot-accounts <logins>', 'Service accounts to treat as bots, comma-separated (or GHMETRICS_BOT_ACCOUNTS env var)')
+  .option('--identity-map <file>', 'File mapping each person\'s other logins and commit <emails> to one canonical login (or GHMETRICS_IDENTITY_MAP env var)')
+  .option('--stats <figures>', 'Distribution figures to report, e.g. p50,p90 (default: mean,min,p50,p75,p90,p95,max,stddev,histogram)')
+  .option('--format <format>', 'Output format: table, json', 'table')
+  .option('--api <api>', 'API for PR details: rest, graphql (batched)', 'rest')
+  .option('--concurrency <n>', 'Number of PRs to fetch details for in parallel', '4')))
+  .action(team);
+
 // PR Metrics Command
-program
+addStoreOptions(addClientOptions(program
   .command('pr')
   .description('Analyze PR metrics for a user in a specific repository')
   .requiredOption('-o, --owner <owner>', 'Repository owner (org or user)')
@@ -48,12 +125,23 @@ program
   .option('--since <date>', 'Filter PRs created after this date (YYYY-MM-DD)')
   .option('--until <date>', 'Filter PRs created before this date (YYYY-MM-DD)')
   .option('--state <state>', 'PR state: all, open, closed, merged', 'all')
+  .option('--durations <mode>', 'Measure durations in calendar or business time', 'calendar')
+  .option('--timezone <tz>', 'Business time: IANA timezone of the working hours (default: system timezone)')
+  .option('--work-hours <range>', 'Business time: working hours, e.g. 9-17 (default: 9-17)')
+  .option('--work-days <days>', 'Business time: working days, e.g. mon-fri (default: mon-fri)')
+  .option('--holidays <file>', 'Business time: file of YYYY-MM-DD dates not worked, one per line')
+  .option('--include-bots', 'Count bots (dependabot, renovate, CI reporters, ...) like everyone else; their activity is always reported separately')
+  .option('--bot-accounts <logins>', 'Service accounts to treat as bots, comma-separated (or GHMETRICS_BOT_ACCOUNTS env var)')
+  .option('--stats <figures>', 'Distribution figures to report, e.g. p50,p90 (default: mean,min,p50,p75,p90,p95,max,stddev,histogram)')
+  .option('--granularity <period>', 'Also show trends by period: week, month')
   .option('--export <filename>', 'Export results to JSON file')
   .option('--format <format>', 'Output format: table, json, csv', 'table')
+  .option('--api <api>', 'API for PR details: rest, graphql (batched)', 'rest')
+  .option('--concurrency <n>', 'Number of PRs to fetch details for in parallel', '4')))
   .action(prMetrics);
 
 // User Stats Command (cross-repo)
-program
+addStoreOptions(addClientOptions(program
   .command('user')
   .description('Analyze a user\'s contributions across repositories')
   .requiredOption('-u, --user <username>', 'GitHub username to analyze')
@@ -62,12 +150,26 @@ program
   .option('--since <date>', 'Filter contributions after this date (YYYY-MM-DD)')
   .option('--until <date>', 'Filter contributions before this date (YYYY-MM-DD)')
   .option('--top <number>', 'Show top N repositories by contribution', '10')
+  .option('--durations <mode>', 'Measure durations in calendar or business time', 'calendar')
+  .option('--timezone <tz>', 'Business time: IANA timezone of the working hours (default: system timezone)')
+  .option('--work-hours <range>', 'Business time: working hours, e.g. 9-17 (default: 9-17)')
+  .option('--work-days <days>', 'Business time: working days, e.g. mon-fri (default: mon-fri)')
+  .option('--holidays <file>', 'Business time: file of YYYY-MM-DD dates not worked, one per line')
+  .option('--include-bots', 'Count bots (dependabot, renovate, CI reporters, ...) like everyone else; their activity is always reported separately')
+  .option('--bot-accounts <logins>', 'Service accounts to treat as bots, comma-separated (or GHMETRICS_BOT_ACCOUNTS env var)')
+  .option('--identity-map <file>', 'File mapping each person\'s other logins and commit <emails> to one canonical login (or GHMETRICS_IDENTITY_MAP env var)')
+  .option('--stats <figures>', 'Distribution figures to report, e.g. p50,p90 (default: mean,min,p50,p75,p90,p95,max,stddev,histogram)')
+  .option('--granularity <period>', 'Also show trends by period: week, month')
+  .option('--compare-to <period>', 'Compare against a baseline period: previous, or YYYY-MM-DD..YYYY-MM-DD')
   .option('--export <filename>', 'Export results to JSON file')
   .option('--format <format>', 'Output format: table, json, csv', 'table')
+  .option('--api <api>', 'API for PR details: rest, graphql (batched)', 'rest')
+  .option('--concurrency <n>', 'Number of PRs to fetch details for in parallel', '4')
+  .option('--identity <login@api-url>', 'Also include another account of the same person, e.g. jdoe@https://github.example.com/api/v3 (repeatable)', collect, [])))
   .action(userStats);
 
 // Repo Stats Command
-program
+addStoreOptions(addClientOptions(program
   .command('repo')
   .description('Analyze overall repository contribution statistics')
   .requiredOption('-o, --owner <owner>', 'Repository owner (org or user)')
@@ -76,8 +178,113 @@ program
   .option('--since <date>', 'Filter contributions after this date (YYYY-MM-DD)')
   .option('--until <date>', 'Filter contributions before this date (YYYY-MM-DD)')
   .option('--top <number>', 'Show top N contributors', '10')
+  .option('--stats-timeout <seconds>', 'How long to wait for GitHub to compute repository statistics before counting commits instead', '60')
+  .option('--stats <figures>', 'Distribution figures to report, e.g. p50,p90 (default: mean,min,p50,p75,p90,p95,max,stddev,histogram)')
+  .option('--durations <mode>', 'Measure durations in calendar or business time', 'calendar')
+  .option('--timezone <tz>', 'Business time: IANA timezone of the working hours (default: system timezone)')
+  .option('--work-hours <range>', 'Business time: working hours, e.g. 9-17 (default: 9-17)')
+  .option('--work-days <days>', 'Business time: working days, e.g. mon-fri (default: mon-fri)')
+  .option('--holidays <file>', 'Business time: file of YYYY-MM-DD dates not worked, one per line')
+  .option('--include-bots', 'Count bots (dependabot, renovate, CI reporters, ...) like everyone else; their activity is always reported separately')
+  .option('--bot-accounts <logins>', 'Service accounts to treat as bots, comma-separated (or GHMETRICS_BOT_ACCOUNTS env var)')
+  .option('--identity-map <file>', 'File mapping each person\'s other logins and commit <emails> to one canonical login (or GHMETRICS_IDENTITY_MAP env var)')
   .option('--export <filename>', 'Export results to JSON file')
-  .option('--format <format>', 'Output format: table, json, csv', 'table')
+  .option('--format <format>', 'Output format: table, json, csv', 'table')))
   .action(repoStats);
 
+// Org Command
+addClientOptions(program
+  .command('org')
+  .description('Scan every repository of an organization and roll up their contribution statistics')
+  .requiredOption('-o, --org <org>', 'Organization (or GitLab group) to scan')
+  .option('-t, --token <token>', 'GitHub token (or use GITHUB_TOKEN env var)')
+  .option('--since <date>', 'Filter contributions after this date (YYYY-MM-DD)')
+  .option('--until <date>', 'Filter contributions before this date (YYYY-MM-DD)')
+  .option('--archived <mode>', 'Archived repositories: exclude, include, only', 'exclude')
+  .option('--forks <mode>', 'Forked repositories: exclude, include, only', 'exclude')
+  .option('--topic <topics>', 'Only repositories with any of these topics, comma-separated')
+  .option('--visibility <visibility>', 'Repository visibility: all, public, private, internal', 'all')
+  .option('--top <number>', 'Show top N most and least active repositories', '10')
+  .option('--concurrency <n>', 'Number of repositories to scan in parallel', '4')
+  .option('--stats-timeout <seconds>', 'How long to wait for GitHub to compute repository statistics before counting commits instead', '60')
+  .option('--stats <figures>', 'Distribution figures to report, e.g. p50,p90 (default: mean,min,p50,p75,p90,p95,max,stddev,histogram)')
+  .option('--durations <mode>', 'Measure durations in calendar or business time', 'calendar')
+  .option('--timezone <tz>', 'Business time: IANA timezone of the working hours (default: system timezone)')
+  .option('--work-hours <range>', 'Business time: working hours, e.g. 9-17 (default: 9-17)')
+  .option('--work-days <days>', 'Business time: working days, e.g. mon-fri (default: mon-fri)')
+  .option('--holidays <file>', 'Business time: file of YYYY-MM-DD dates not worked, one per line')
+  .option('--include-bots', 'Count bots (dependabot, renovate, CI reporters, ...) like everyone else; their activity is always reported separately')
+  .option('--bot-accounts <logins>', 'Service accounts to treat as bots, comma-separated (or GHMETRICS_BOT_ACCOUNTS env var)')
+  .option('--identity-map <file>', 'File mapping each person\'s other logins and commit <emails> to one canonical login (or GHMETRICS_IDENTITY_MAP env var)')
+  .option('--export <filename>', 'Export results to a JSON or CSV file')
+  .option('--format <format>', 'Output format: table, json', 'table'))
+  .action(orgStats);
+
+// Graph Command
+addStoreOptions(addClientOptions(program
+  .command('graph')
+  .description('Build the graph of who reviews whom in a repository or organization')
+  .requiredOption('-o, --owner <owner>', 'Repository owner, or the organization (GitLab group) to graph')
+  .option('-r, --repo <repos>', 'Repositories, comma-separated (default: every non-archived, non-fork repository of the owner)')
+  .option('-t, --token <token>', 'GitHub token (or use GITHUB_TOKEN env var)')
+  .option('--since <date>', 'Filter PRs created after this date (YYYY-MM-DD)')
+  .option('--until <date>', 'Filter PRs created before this date (YYYY-MM-DD)')
+  .option('--top <number>', 'Show top N relationships and reviewers', '10')
+  .option('--include-bots', 'Count bots (dependabot, renovate, CI reporters, ...) like everyone else; their activity is always reported separately')
+  .option('--bot-accounts <logins>', 'Service accounts to treat as bots, comma-separated (or GHMETRICS_BOT_ACCOUNTS env var)')
+  .option('--identity-map <file>', 'File mapping each person\'s other logins and commit <emails> to one canonical login (or GHMETRICS_IDENTITY_MAP env var)')
+  .option('--export <filename>', 'Export the graph to a .dot, .graphml or JSON file')
+  .option('--format <format>', 'Output format: table, json, dot, graphml', 'table')
+  .option('--stats <figures>', 'Distribution figures to report, e.g. p50,p90 (default: mean,min,p50,p75,p90,p95,max,stddev,histogram)')
+  .option('--api <api>', 'API for PR details: rest, graphql (batched)', 'rest')
+  .option('--concurrency <n>', 'Number of PRs to fetch details for in parallel', '4')))
+  .action(reviewGraph);
+
+// Commit Stats Command (local clones, no API)
+program
+  .command('commits')
+  .description('Analyze a user\'s commits from local git clones, without the GitHub API')
+  .requiredOption('-p, --path <dir>', 'A local clone (or bare mirror), or a directory of clones')
+  .requiredOption('-a, --author <pattern>', 'Author to match against "Name <email>" after mailmap (regex, case-insensitive)')
+  .option('--since <date>', 'Filter commits after this date (YYYY-MM-DD)')
+  .option('--until <date>', 'Filter commits before this date (YYYY-MM-DD)')
+  .option('--mailmap <file>', 'Mailmap file, used in addition to each repository\'s .mailmap')
+  .option('--top <number>', 'Show top N repositories by contribution', '10')
+  .option('--export <filename>', 'Export results to JSON file')
+  .option('--format <format>', 'Output format: table, json, csv', 'table')
+  .option('--stats <figures>', 'Distribution figures to report, e.g. p50,p90 (default: mean,min,p50,p75,p90,p95,max,stddev,histogram)')
+  .action(commitStats);
+
+// Sync Command
+addClientOptions(program
+  .command('sync')
+  .description('Incrementally copy PRs, reviews, comments, commits and issues into the local metrics store')
+  .option('-u, --user <users>', 'GitHub username(s) to sync, comma-separated')
+  .option('-o, --org <orgs>', 'Limit user syncs to organization(s), comma-separated')
+  .option('-r, --repo <repos>', 'Repositories to sync (owner/repo), comma-separated')
+  .option('-t, --token <token>', 'GitHub token (or use GITHUB_TOKEN env var)')
+  .option('--store <dir>', 'Metrics store directory (default: ~/.local/share/ghmetrics)')
+  .option('--api <api>', 'API for PR details: rest, graphql (batched)', 'rest')
+  .option('--concurrency <n>', 'Number of PRs to fetch details for in parallel', '4')
+  .option('--stats-timeout <seconds>', 'How long to wait for GitHub to compute repository statistics before counting commits instead', '60'))
+  .action(sync);
+
+// Cache Command
+const cache = program
+  .command('cache')
+  .description('Manage the on-disk response cache');
+
+cache
+  .command('stats')
+  .description('Show cache location, size and number of entries')
+  .option('--cache-dir <dir>', 'Response cache directory (default: ~/.cache/ghmetrics)')
+  .option('--format <format>', 'Output format: table, json', 'table')
+  .action(cacheStats);
+
+cache
+  .command('clear')
+  .description('Remove all cached responses')
+  .option('--cache-dir <dir>', 'Response cache directory (default: ~/.cache/ghmetrics)')
+  .action(cacheClear);
+
 program.parse();
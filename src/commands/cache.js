@@ -0,0 +1,48 @@
+/**
+ * Cache Command
+ * Inspect and clear the on-disk response cache
+ */
+
+import { ResponseCache } from '../lib/cache.js';
+import {
+  formatCacheStatsTable,
+  formatJSON,
+  printError,
+  printSuccess,
+} from '../lib/formatters.js';
+
+/**
+ * Show cache statistics
+ */
+export async function cacheStats(options) {
+  try {
+    const cache = new ResponseCache(options.cacheDir);
+    const stats = cache.getDiskStats();
+
+    switch (options.format) {
+      case 'json':
+        formatJSON(stats);
+        break;
+      default:
+        formatCacheStatsTable(stats);
+    }
+  } catch (error) {
+    printError(error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Remove all cached responses
+ */
+export async function cacheClear(options) {
+  try {
+    const cache = new ResponseCache(options.cacheDir);
+    const { entries } = cache.getDiskStats();
+    cache.clear();
+    printSuccess(`Removed ${entries} cached responses from ${cache.dir}`);
+  } catch (error) {
+    printError(error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,55 @@
+/**
+ * Commit Stats Command
+ * Analyze a user's commits from local git clones, without the GitHub API
+ */
+
+import { LocalGitProvider } from '../lib/local-git.js';
+import { parseStats } from '../lib/stats.js';
+import {
+  formatUserStatsTable,
+  formatUserStatsCSV,
+  formatJSON,
+  exportToFile,
+  printError,
+  isMachineReadable,
+  printInfo,
+} from '../lib/formatters.js';
+
+/**
+ * Main commit stats command handler
+ */
+export async function commitStats(options) {
+  try {
+    const provider = new LocalGitProvider(options.path, { mailmap: options.mailmap });
+    const toStderr = isMachineReadable(options.format);
+
+    printInfo(`Reading commits by ${options.author} from ${provider.dir}...`, toStderr);
+
+    const result = await provider.getUserStats(options.author, {
+      since: options.since,
+      until: options.until,
+      stats: parseStats(options.stats),
+    });
+    result.repoBreakdown = result.repoBreakdown.slice(0, Number(options.top));
+
+    // Output based on format
+    switch (options.format) {
+      case 'json':
+        formatJSON(result);
+        break;
+      case 'csv':
+        formatUserStatsCSV(result);
+        break;
+      default:
+        formatUserStatsTable(result);
+    }
+
+    // Export if requested
+    if (options.export) {
+      exportToFile(result, options.export, toStderr);
+    }
+  } catch (error) {
+    printError(error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,264 @@
+/**
+ * Graph Command
+ * Who reviews whom in a repository or organization, as a weighted graph with DOT, GraphML and JSON export
+ */
+
+import { createClient } from '../lib/client-factory.js';
+import { ReplayMissError } from '../lib/recorder.js';
+import { runPool } from '../lib/pool.js';
+import { createBotFilter } from '../lib/bots.js';
+import { createIdentityMap } from '../lib/identities.js';
+import { buildReviewGraph, analyzeReviewGraph, toDOT, toGraphML } from '../lib/review-graph.js';
+import { parseStats, summarizeDistributions } from '../lib/stats.js';
+import {
+  formatDistributionTable,
+  formatJSON,
+  printError,
+  isMachineReadable,
+  printInfo,
+  printSuccess,
+  printApiUsage,
+  printWarning,
+} from '../lib/formatters.js';
+import fs from 'fs';
+import chalk from 'chalk';
+import Table from 'cli-table3';
+
+const FORMATS = ['table', 'json', 'dot', 'graphml'];
+
+/**
+ * Repositories to graph: the ones given with --repo, or every repository of the owner that is neither archived nor a fork
+ */
+async function resolveRepos(client, options) {
+  if (options.repo) {
+    return options.repo.split(',').map(repo => repo.trim()).filter(Boolean).map(repo => ({ owner: options.owner, repo }));
+  }
+  if (!client.fetchOrgRepos) {
+    throw new Error('Graphing a whole organization needs the API; pass --repo with --from-store');
+  }
+
+  printInfo(`Fetching repositories of ${options.owner}...`, isMachineReadable(options.format));
+  const repos = await client.fetchOrgRepos(options.owner);
+  return repos
+    .filter(repo => !repo.archived && !repo.fork)
+    .map(repo => ({ owner: repo.owner.login, repo: repo.name }));
+}
+
+/**
+ * Format the graph's analyses as tables
+ */
+function formatGraphTable(data, top) {
+  const { analysis } = data;
+
+  console.log('\n' + chalk.bold.blue('═'.repeat(105)));
+  console.log(chalk.bold.white(`  Review Graph: ${data.scope}`));
+  console.log(chalk.bold.blue('═'.repeat(105)));
+
+  if (data.dateRange.since || data.dateRange.until) {
+    console.log(`  ${chalk.gray('Period:')} ${data.dateRange.since || 'all time'} to ${data.dateRange.until || 'now'}`);
+  }
+
+  console.log('\n' + chalk.bold.yellow('  Overview'));
+  console.log(chalk.gray('  ' + '─'.repeat(101)));
+
+  const overviewTable = new Table({
+    chars: { 'mid': '', 'left-mid': '', 'mid-mid': '', 'right-mid': '' },
+    style: { head: ['cyan'], border: ['gray'] },
+  });
+  overviewTable.push(
+    { 'Repositories': data.repositories.length },
+    { 'PRs': data.totalPRs },
+    { 'People': chalk.cyan(analysis.people) },
+    { 'Author → Reviewer Relationships': analysis.relationships },
+    { 'Reviews': analysis.totalReviews },
+    { 'Comments': analysis.totalComments },
+    { 'Clusters': analysis.clusters },
+  );
+  console.log(overviewTable.toString());
+
+  if (data.graph.edges.length > 0) {
+    console.log('\n' + chalk.bold.yellow('  Strongest Review Relationships'));
+    console.log(chalk.gray('  ' + '─'.repeat(101)));
+
+    const edgeTable = new Table({
+      head: ['Author', 'Reviewer', 'PRs', 'Reviews', 'Approvals', 'Changes Req', 'Comments'],
+      colWidths: [25, 25, 8, 10, 11, 13, 10],
+      style: { head: ['cyan'], border: ['gray'] },
+    });
+    data.graph.edges.slice(0, top).forEach(edge => {
+      edgeTable.push([
+        edge.source,
+        edge.target,
+        edge.prs,
+        edge.reviews,
+        chalk.green(edge.approvals),
+        chalk.red(edge.changesRequested),
+        edge.comments,
+      ]);
+    });
+    console.log(edgeTable.toString());
+  }
+
+  if (analysis.reviewLoad.length > 0) {
+    console.log('\n' + chalk.bold.yellow('  Review Load'));
+    console.log(chalk.gray('  ' + '─'.repeat(101)));
+
+    const loadTable = new Table({
+      head: ['Reviewer', 'Reviews', 'Share', 'Authors Reviewed'],
+      colWidths: [30, 10, 10, 18],
+      style: { head: ['cyan'], border: ['gray'] },
+    });
+    analysis.reviewLoad.slice(0, top).forEach(load => {
+      const carrier = analysis.loadCarriers.includes(load.reviewer);
+      loadTable.push([
+        carrier ? chalk.yellow(load.reviewer) : load.reviewer,
+        load.reviews,
+        `${load.share}%`,
+        load.authors,
+      ]);
+    });
+    console.log(loadTable.toString());
+    console.log(chalk.gray(`  ${analysis.loadCarriers.length} of ${analysis.reviewLoad.length} reviewers give half of all reviews: ${analysis.loadCarriers.join(', ')}`));
+  }
+
+  formatDistributionTable(data.distributions, 105, 'Reviewers');
+
+  if (analysis.singleReviewerAuthors.length > 0) {
+    console.log('\n' + chalk.bold.yellow('  Authors Reviewed by Only One Person'));
+    console.log(chalk.gray('  ' + '─'.repeat(101)));
+
+    const singleTable = new Table({
+      head: ['Author', 'Only Reviewer', 'PRs', 'Reviews'],
+      colWidths: [30, 30, 8, 10],
+      style: { head: ['cyan'], border: ['gray'] },
+    });
+    analysis.singleReviewerAuthors.forEach(({ author, reviewer, prs, reviews }) => {
+      singleTable.push([author, reviewer, prs, reviews]);
+    });
+    console.log(singleTable.toString());
+  }
+
+  if (analysis.isolatedClusters.length > 0) {
+    console.log('\n' + chalk.bold.yellow('  Isolated Clusters'));
+    console.log(chalk.gray('  ' + '─'.repeat(101)));
+    console.log(chalk.gray('  People who never review, or are reviewed by, anyone outside their group'));
+
+    analysis.isolatedClusters.forEach(members => {
+      console.log(`  • ${members.length === 1 ? `${members[0]} ${chalk.gray('(no reviews given or received)')}` : members.join(', ')}`);
+    });
+  }
+
+  console.log(chalk.gray(`\n  Bots are ${data.bots.included ? 'included' : 'left out'}; use --format dot or graphml, or --export, for the full graph`));
+  console.log();
+}
+
+/**
+ * Write the graph in the format the file extension asks for: .dot/.gv, .graphml, or JSON otherwise
+ */
+function exportGraph(result, filename) {
+  let content;
+  let file = filename;
+  if (/\.(dot|gv)$/.test(filename)) {
+    content = toDOT(result.graph, result.scope);
+  } else if (filename.endsWith('.graphml')) {
+    content = toGraphML(result.graph, result.scope);
+  } else {
+    file = filename.endsWith('.json') ? filename : `${filename}.json`;
+    content = JSON.stringify(result, null, 2);
+  }
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+/**
+ * Main graph command handler
+ */
+export async function reviewGraph(options) {
+  try {
+    if (!FORMATS.includes(options.format)) {
+      throw new Error(`Invalid format "${options.format}". Use one of: ${FORMATS.join(', ')}`);
+    }
+    const stats = parseStats(options.stats);
+    const toStderr = isMachineReadable(options.format);
+    const progress = toStderr ? process.stderr : process.stdout;
+    const bots = createBotFilter(options);
+    const identities = createIdentityMap(options);
+    const client = createClient(options);
+
+    const repos = await resolveRepos(client, options);
+    if (repos.length === 0) {
+      printInfo(`No repositories to graph in ${options.owner}`, toStderr);
+      return;
+    }
+
+    printInfo(`Fetching PRs of ${repos.length} repositories...`, toStderr);
+    const prLists = await runPool(repos, async ({ owner, repo }) => {
+      const prs = await client.fetchRepoPRs(owner, repo, { since: options.since, until: options.until });
+      return prs.map(pr => ({ owner, repo, number: pr.number }));
+    }, {
+      concurrency: Number(options.concurrency) || 1,
+      getLimit: (concurrency) => client.getConcurrencyLimit(concurrency),
+    });
+    const refs = prLists.flat();
+
+    printInfo(`Found ${refs.length} PRs. Fetching reviews and comments...`, toStderr);
+    await client.prefetchPRDetails(refs);
+
+    const details = await runPool(refs, async ({ owner, repo, number }) => {
+      try {
+        const prDetails = await client.fetchPRDetails(owner, repo, number);
+        progress.write('.');
+        return prDetails;
+      } catch (err) {
+        if (err instanceof ReplayMissError) throw err;
+        progress.write('x');
+        return null;
+      }
+    }, {
+      concurrency: Number(options.concurrency) || 1,
+      getLimit: (concurrency) => client.getConcurrencyLimit(concurrency),
+    });
+    progress.write('\n');
+
+    const graph = buildReviewGraph(details.filter(Boolean), { bots, identities });
+    const analysis = analyzeReviewGraph(graph);
+    const result = {
+      scope: options.repo && repos.length === 1 ? `${repos[0].owner}/${repos[0].repo}` : options.owner,
+      repositories: repos.map(({ owner, repo }) => `${owner}/${repo}`),
+      dateRange: {
+        since: options.since || null,
+        until: options.until || null,
+      },
+      bots: bots.describe(),
+      totalPRs: details.filter(Boolean).length,
+      analysis,
+      distributions: summarizeDistributions(analysis.reviewLoad.map(load => ({ reviewsGiven: load.reviews })), stats, ['reviewsGiven']),
+      graph,
+      warnings: client.getWarnings(),
+    };
+
+    switch (options.format) {
+      case 'json':
+        formatJSON(result);
+        break;
+      case 'dot':
+        process.stdout.write(toDOT(graph, result.scope));
+        break;
+      case 'graphml':
+        process.stdout.write(toGraphML(graph, result.scope));
+        break;
+      default:
+        formatGraphTable(result, Number(options.top));
+    }
+
+    if (options.export) {
+      printSuccess(`Graph exported to: ${exportGraph(result, options.export)}`, toStderr);
+    }
+
+    result.warnings.forEach(printWarning);
+    printApiUsage(client.getUsage());
+  } catch (error) {
+    printError(error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,324 @@
+/**
+ * Org Command
+ * Run the repository stats for every repository of an organization and roll them up
+ */
+
+import { createClient } from '../lib/client-factory.js';
+import { ReplayMissError } from '../lib/recorder.js';
+import { runPool } from '../lib/pool.js';
+import { getRepoStats } from './repo-stats.js';
+import { createBotFilter } from '../lib/bots.js';
+import { createIdentityMap } from '../lib/identities.js';
+import { createCalendar } from '../lib/calendar.js';
+import { parseStats, summarizeDistributions } from '../lib/stats.js';
+import {
+  formatDistributionTable,
+  formatJSON,
+  exportToFile,
+  printError,
+  isMachineReadable,
+  printInfo,
+  printSuccess,
+  printApiUsage,
+  printWarning,
+  printDurationMode,
+} from '../lib/formatters.js';
+import fs from 'fs';
+import chalk from 'chalk';
+import Table from 'cli-table3';
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const FILTER_MODES = ['exclude', 'include', 'only'];
+const VISIBILITIES = ['all', 'public', 'private', 'internal'];
+
+const splitList = (value) => (value ? value.split(',').map(v => v.trim().toLowerCase()).filter(Boolean) : []);
+
+/**
+ * Apply an exclude/include/only filter to a boolean repository flag
+ */
+function matchesMode(mode, flag) {
+  if (mode === 'only') return flag;
+  if (mode === 'exclude') return !flag;
+  return true;
+}
+
+/**
+ * Repositories passing the --archived, --forks, --topic and --visibility filters
+ */
+function filterRepos(repos, options) {
+  const topics = splitList(options.topic);
+
+  return repos.filter(repo =>
+    matchesMode(options.archived, Boolean(repo.archived))
+    && matchesMode(options.forks, Boolean(repo.fork))
+    && (options.visibility === 'all' || (repo.visibility || (repo.private ? 'private' : 'public')) === options.visibility)
+    && (topics.length === 0 || (repo.topics || []).some(topic => topics.includes(topic.toLowerCase()))));
+}
+
+/**
+ * Merged PRs per week over the period. Without --since the period starts at the repo's first PR.
+ */
+function getThroughput(stats, options) {
+  const start = options.since || stats.firstPRAt;
+  if (!start || stats.mergedPRs === 0) return 0;
+  const end = options.until ? new Date(options.until) : new Date();
+  const weeks = Math.max(1, (end - new Date(start)) / WEEK_MS);
+  return Number((stats.mergedPRs / weeks).toFixed(2));
+}
+
+/**
+ * Org rollup: totals, unique contributors active in the period, time to merge across all repos, most and least active repos
+ * and repos without merged PRs, with times to merge measured by the calendar
+ */
+function buildOrgResult(options, scanned, repoStats, failed, warnings, calendar) {
+  const figures = parseStats(options.stats);
+
+  const contributors = new Set(repoStats.flatMap(stats => stats.activeContributors.map(login => login.toLowerCase())));
+
+  const repos = repoStats
+    .map(stats => ({
+      repository: stats.repository,
+      contributors: stats.totalContributors,
+      totalPRs: stats.totalPRs,
+      mergedPRs: stats.mergedPRs,
+      botPRs: stats.botPRs,
+      commitsInPeriod: stats.commitsInPeriod,
+      prsMergedPerWeek: getThroughput(stats, options),
+      topContributors: stats.contributors.slice(0, 3).map(c => c.login),
+    }))
+    // Most active first: merged PRs, then opened PRs, then commits
+    .sort((a, b) => b.mergedPRs - a.mergedPRs
+      || b.totalPRs - a.totalPRs
+      || (b.commitsInPeriod || 0) - (a.commitsInPeriod || 0)
+      || a.repository.localeCompare(b.repository));
+
+  const top = Number(options.top);
+
+  return {
+    org: options.org,
+    filters: {
+      archived: options.archived,
+      forks: options.forks,
+      topic: options.topic || null,
+      visibility: options.visibility,
+    },
+    bots: createBotFilter(options).describe(),
+    durations: calendar.describe(),
+    dateRange: {
+      since: options.since || null,
+      until: options.until || null,
+    },
+    summary: {
+      reposInOrg: scanned.total,
+      reposScanned: scanned.matched,
+      reposFailed: failed.length,
+      uniqueContributors: contributors.size,
+      totalPRs: repos.reduce((sum, r) => sum + r.totalPRs, 0),
+      mergedPRs: repos.reduce((sum, r) => sum + r.mergedPRs, 0),
+      botPRs: repos.reduce((sum, r) => sum + r.botPRs, 0),
+      reposWithoutMergedPRs: repos.filter(r => r.mergedPRs === 0).length,
+      distributions: summarizeDistributions(
+        repoStats.flatMap(stats => stats.timesToMerge.map(timeToMerge => ({ timeToMerge }))),
+        figures,
+        ['timeToMerge'],
+      ),
+      // The PRs aren't listed, so business-time runs summarise their calendar time here
+      ...(calendar.mode === 'business' && {
+        calendarTimeToMerge: summarizeDistributions(
+          repoStats.flatMap(stats => stats.calendarTimesToMerge.map(timeToMerge => ({ timeToMerge }))),
+          figures,
+          ['timeToMerge'],
+        ).timeToMerge,
+      }),
+    },
+    mostActive: repos.slice(0, top).map(r => r.repository),
+    leastActive: repos.slice(-top).reverse().map(r => r.repository),
+    withoutMergedPRs: repos.filter(r => r.mergedPRs === 0).map(r => r.repository),
+    repos,
+    failed,
+    warnings,
+  };
+}
+
+/**
+ * Format the org rollup as tables
+ */
+function formatOrgTable(data) {
+  console.log('\n' + chalk.bold.blue('═'.repeat(105)));
+  console.log(chalk.bold.white(`  GitHub Organization Report: ${data.org}`));
+  console.log(chalk.bold.blue('═'.repeat(105)));
+
+  if (data.dateRange.since || data.dateRange.until) {
+    console.log(`  ${chalk.gray('Period:')} ${data.dateRange.since || 'all time'} to ${data.dateRange.until || 'now'}`);
+  }
+  printDurationMode(data.durations);
+
+  console.log('\n' + chalk.bold.yellow('  Overview'));
+  console.log(chalk.gray('  ' + '─'.repeat(101)));
+
+  const overviewTable = new Table({
+    chars: { 'mid': '', 'left-mid': '', 'mid-mid': '', 'right-mid': '' },
+    style: { head: ['cyan'], border: ['gray'] },
+  });
+
+  overviewTable.push(
+    { 'Repositories Scanned': `${chalk.cyan(data.summary.reposScanned)} of ${data.summary.reposInOrg}` },
+    { 'Unique Contributors': chalk.cyan(data.summary.uniqueContributors) },
+    { 'PRs Opened': data.summary.totalPRs },
+    { 'PRs Merged': chalk.green(data.summary.mergedPRs) },
+    { [`Bot PRs (${data.bots.included ? 'included' : 'excluded'})`]: chalk.gray(data.summary.botPRs) },
+    { 'Repos Without Merged PRs': chalk.red(data.summary.reposWithoutMergedPRs) },
+  );
+  if (data.summary.reposFailed > 0) {
+    overviewTable.push({ 'Repos That Could Not Be Scanned': chalk.red(data.summary.reposFailed) });
+  }
+  console.log(overviewTable.toString());
+
+  formatDistributionTable(data.summary.distributions, 105);
+
+  const byName = new Map(data.repos.map(r => [r.repository, r]));
+  const printRepos = (title, names) => {
+    if (names.length === 0) return;
+
+    console.log('\n' + chalk.bold.yellow(`  ${title}`));
+    console.log(chalk.gray('  ' + '─'.repeat(101)));
+
+    const repoTable = new Table({
+      head: ['Repository', 'PRs', 'Merged', 'Merged/Week', 'Commits', 'Contributors', 'Top Contributors'],
+      colWidths: [32, 7, 8, 13, 9, 14, 22],
+      style: { head: ['cyan'], border: ['gray'] },
+      wordWrap: true,
+    });
+
+    names.forEach(name => {
+      const repo = byName.get(name);
+      repoTable.push([
+        repo.repository.length > 30 ? repo.repository.substring(0, 27) + '...' : repo.repository,
+        repo.totalPRs,
+        chalk.green(repo.mergedPRs),
+        repo.prsMergedPerWeek,
+        repo.commitsInPeriod ?? '-',
+        repo.contributors,
+        repo.topContributors.join(', '),
+      ]);
+    });
+
+    console.log(repoTable.toString());
+  };
+
+  printRepos('Most Active Repositories', data.mostActive);
+  printRepos('Least Active Repositories', data.leastActive.filter(name => !data.mostActive.includes(name)));
+
+  if (data.withoutMergedPRs.length > 0) {
+    console.log('\n' + chalk.bold.yellow('  Repositories Without Merged PRs'));
+    console.log(chalk.gray('  ' + '─'.repeat(101)));
+    console.log(`  ${data.withoutMergedPRs.join(', ')}`);
+  }
+
+  console.log();
+}
+
+/**
+ * Export every scanned repository as CSV rows
+ */
+function exportToCSV(data, filename) {
+  const toRow = (cells) => cells.map(cell => `"${String(cell ?? '').replace(/"/g, '""')}"`).join(',');
+  const rows = [toRow(['Repository', 'PRs Opened', 'PRs Merged', 'Merged PRs/Week', 'Commits in Period', 'Contributors', 'Top Contributors', 'Bot PRs'])];
+  data.repos.forEach(repo => {
+    rows.push(toRow([
+      repo.repository,
+      repo.totalPRs,
+      repo.mergedPRs,
+      repo.prsMergedPerWeek,
+      repo.commitsInPeriod,
+      repo.contributors,
+      repo.topContributors.join('; '),
+      repo.botPRs,
+    ]));
+  });
+
+  const csvFilename = filename.endsWith('.csv') ? filename : `${filename}.csv`;
+  fs.writeFileSync(csvFilename, rows.join('\n'));
+  return csvFilename;
+}
+
+/**
+ * Main org command handler
+ */
+export async function orgStats(options) {
+  try {
+    if (!FILTER_MODES.includes(options.archived) || !FILTER_MODES.includes(options.forks)) {
+      throw new Error(`--archived and --forks take one of: ${FILTER_MODES.join(', ')}`);
+    }
+    if (!VISIBILITIES.includes(options.visibility)) {
+      throw new Error(`Invalid visibility "${options.visibility}". Use one of: ${VISIBILITIES.join(', ')}`);
+    }
+    parseStats(options.stats);
+    const calendar = createCalendar(options);
+
+    const identities = createIdentityMap(options);
+    const client = createClient(options);
+    const toStderr = isMachineReadable(options.format);
+    const progress = toStderr ? process.stderr : process.stdout;
+
+    printInfo(`Fetching repositories of ${options.org}...`, toStderr);
+    const allRepos = await client.fetchOrgRepos(options.org);
+    const repos = filterRepos(allRepos, options);
+
+    if (repos.length === 0) {
+      printInfo(`No repositories in ${options.org} match the filters (${allRepos.length} in total)`, toStderr);
+      return;
+    }
+
+    printInfo(`Scanning ${repos.length} of ${allRepos.length} repositories...`, toStderr);
+
+    const failed = [];
+    const results = await runPool(repos, async (repo) => {
+      try {
+        const stats = await getRepoStats(client, repo.owner.login, repo.name, options, identities, calendar);
+        progress.write('.');
+        return stats;
+      } catch (err) {
+        if (err instanceof ReplayMissError) throw err;
+        failed.push({ repository: repo.full_name, error: err.message });
+        progress.write('x');
+        return null;
+      }
+    }, {
+      concurrency: Number(options.concurrency) || 1,
+      getLimit: (concurrency) => client.getConcurrencyLimit(concurrency),
+    });
+    progress.write('\n');
+
+    const warnings = [
+      ...failed.map(({ repository, error }) => `${repository} could not be scanned: ${error}`),
+      ...client.getWarnings(),
+    ];
+    const result = buildOrgResult(options, { total: allRepos.length, matched: repos.length }, results.filter(Boolean), failed, warnings, calendar);
+
+    switch (options.format) {
+      case 'json':
+        formatJSON(result);
+        break;
+      default:
+        formatOrgTable(result);
+    }
+
+    if (options.export) {
+      const filename = options.export;
+      if (filename.endsWith('.csv')) {
+        const csvFile = exportToCSV(result, filename);
+        printSuccess(`Data exported to: ${csvFile}`, toStderr);
+      } else {
+        exportToFile(result, filename.endsWith('.json') ? filename : `${filename}.json`, toStderr);
+      }
+    }
+
+    result.warnings.forEach(printWarning);
+    printApiUsage(client.getUsage());
+  } catch (error) {
+    printError(error.message);
+    process.exit(1);
+  }
+}
@@ -3,21 +3,39 @@
  * Analyze PR metrics for a specific user in a repository
  */
 
-import { GitHubClient } from '../lib/github-client.js';
+import { createClient } from '../lib/client-factory.js';
+import { ReplayMissError } from '../lib/recorder.js';
+import { runPool } from '../lib/pool.js';
+import { calculateCycleTime, summarizeCycleTimes } from '../lib/cycle-time.js';
+import { buildTimeseries, parseGranularity } from '../lib/timeseries.js';
+import { median, parseStats, parseDurationStats, summarizeDistributions, getPRSize } from '../lib/stats.js';
+import { CALENDAR_TIME, createCalendar } from '../lib/calendar.js';
+import { createBotFilter } from '../lib/bots.js';
 import {
   formatPRMetricsTable,
   formatJSON,
   formatPRMetricsCSV,
   exportToFile,
   printError,
+  isMachineReadable,
   printInfo,
+  printApiUsage,
+  printWarning,
 } from '../lib/formatters.js';
 
 /**
- * Calculate metrics for a single PR
+ * Calculate metrics for a single PR, with durations measured by the calendar
+ * and bots left out of comments, reviewers and participants unless the filter includes them;
+ * the client detects AI co-authorship in its commits
  */
-function calculatePRMetrics(prData) {
-  const { pr, issueComments, reviewComments, reviews, commits } = prData;
+function calculatePRMetrics(prData, calendar, bots, client) {
+  const { pr, commits, limitsHit = [] } = prData;
+  const issueComments = prData.issueComments.filter(c => bots.counts(c.user));
+  const reviewComments = prData.reviewComments.filter(c => bots.counts(c.user));
+  const reviews = prData.reviews.filter(r => bots.counts(r.user));
+
+  const botComments = [...prData.issueComments, ...prData.reviewComments].filter(c => bots.isBot(c.user)).length;
+  const botReviews = prData.reviews.filter(r => bots.isBot(r.user)).length;
 
   const totalIssueComments = issueComments.length;
   const totalReviewComments = reviewComments.length;
@@ -27,12 +45,7 @@ function calculatePRMetrics(prData) {
   const changesRequested = reviews.filter(r => r.state === 'CHANGES_REQUESTED').length;
   const approved = reviews.filter(r => r.state === 'APPROVED').length;
 
-  const createdAt = new Date(pr.created_at);
-  const mergedAt = pr.merged_at ? new Date(pr.merged_at) : null;
-  const closedAt = pr.closed_at ? new Date(pr.closed_at) : null;
-
-  const timeToMerge = mergedAt ? (mergedAt - createdAt) / (1000 * 60 * 60 * 24) : null;
-  const timeToClose = closedAt ? (closedAt - createdAt) / (1000 * 60 * 60 * 24) : null;
+  const daysSinceOpened = (to, measure) => (to ? Number(measure.daysBetween(pr.created_at, to).toFixed(2)) : null);
 
   const commenters = new Set([
     ...issueComments.map(c => c.user.login),
@@ -40,6 +53,26 @@ function calculatePRMetrics(prData) {
   ]);
   const allParticipants = new Set([...commenters, ...uniqueReviewers]);
 
+  const cycleTimeInput = {
+    author: pr.user.login,
+    createdAt: pr.created_at,
+    mergedAt: pr.merged_at,
+    reviews,
+    comments: [...issueComments, ...reviewComments],
+    commits,
+  };
+
+  // Detect AI co-authorship in commits
+  let aiAssisted = false;
+  const aiToolsUsed = new Set();
+  for (const commit of commits) {
+    const detection = client.detectAICoAuthorship(commit.commit.message);
+    if (detection.isAIAssisted) {
+      aiAssisted = true;
+      detection.aiTools.forEach(tool => aiToolsUsed.add(tool));
+    }
+  }
+
   const conversationDensity = commits.length > 0
     ? (totalComments / commits.length).toFixed(2)
     : 0;
@@ -54,11 +87,16 @@ function calculatePRMetrics(prData) {
     mergedAt: pr.merged_at,
     closedAt: pr.closed_at,
     url: pr.html_url,
+    aiAssisted,
+    aiTools: Array.from(aiToolsUsed),
+    limitsHit,
     metrics: {
       totalComments,
       issueComments: totalIssueComments,
       reviewComments: totalReviewComments,
       reviews: reviews.length,
+      botComments,
+      botReviews,
       changesRequested,
       approved,
       uniqueReviewers: uniqueReviewers.size,
@@ -68,23 +106,24 @@ function calculatePRMetrics(prData) {
       additions: pr.additions,
       deletions: pr.deletions,
       changedFiles: pr.changed_files,
-      timeToMergeInDays: timeToMerge ? Number(timeToMerge.toFixed(2)) : null,
-      timeToCloseInDays: timeToClose ? Number(timeToClose.toFixed(2)) : null,
+      timeToMergeInDays: daysSinceOpened(pr.merged_at, calendar),
+      timeToCloseInDays: daysSinceOpened(pr.closed_at, calendar),
+      cycleTime: calculateCycleTime({ ...cycleTimeInput, calendar }),
+      // Calendar-time counterparts of the durations above, when those are business time
+      ...(calendar.mode === 'business' && {
+        calendarTimeToMergeInDays: daysSinceOpened(pr.merged_at, CALENDAR_TIME),
+        calendarTimeToCloseInDays: daysSinceOpened(pr.closed_at, CALENDAR_TIME),
+        calendarCycleTime: calculateCycleTime(cycleTimeInput),
+      }),
     },
   };
 }
 
 /**
- * Calculate summary statistics
+ * Calculate summary statistics, with the --stats figures for distributions and cycle-time phases
  */
-function calculateSummary(allPRs, mergedPRs) {
+function calculateSummary(allPRs, mergedPRs, stats, durationStats) {
   const avg = (arr) => arr.length ? Number((arr.reduce((a, b) => a + b, 0) / arr.length).toFixed(2)) : 0;
-  const median = (arr) => {
-    if (!arr.length) return 0;
-    const sorted = [...arr].sort((a, b) => a - b);
-    const mid = Math.floor(sorted.length / 2);
-    return sorted.length % 2 ? sorted[mid] : Number(((sorted[mid - 1] + sorted[mid]) / 2).toFixed(2));
-  };
 
   const comments = allPRs.map(pr => pr.metrics.totalComments);
   const reviewComments = allPRs.map(pr => pr.metrics.reviewComments);
@@ -99,17 +138,27 @@ function calculateSummary(allPRs, mergedPRs) {
 
   return {
     averageComments: avg(comments),
-    medianComments: median(comments),
+    medianComments: median(comments) ?? 0,
     averageReviewComments: avg(reviewComments),
     averageChangesRequested: avg(changesRequested),
     averageReviewers: avg(reviewers),
     averageParticipants: avg(participants),
     averageCommitsPerPR: avg(commits),
     averageTimeToMerge: avg(mergedTimeToMerge),
-    medianTimeToMerge: median(mergedTimeToMerge),
+    medianTimeToMerge: median(mergedTimeToMerge) ?? 0,
     maxComments: comments.length ? Math.max(...comments) : 0,
     minComments: comments.length ? Math.min(...comments) : 0,
     totalComments: comments.reduce((a, b) => a + b, 0),
+    // Reported on their own whether or not bots are counted above
+    totalBotComments: allPRs.reduce((sum, pr) => sum + pr.metrics.botComments, 0),
+    totalBotReviews: allPRs.reduce((sum, pr) => sum + pr.metrics.botReviews, 0),
+    cycleTime: summarizeCycleTimes(allPRs.map(pr => pr.metrics.cycleTime), durationStats),
+    distributions: summarizeDistributions(allPRs.map(pr => ({
+      timeToMerge: pr.metrics.timeToMergeInDays,
+      comments: pr.metrics.totalComments,
+      changesRequested: pr.metrics.changesRequested,
+      size: getPRSize(pr.metrics),
+    })), stats),
   };
 }
 
@@ -117,12 +166,16 @@ function calculateSummary(allPRs, mergedPRs) {
  * Main PR metrics command handler
  */
 export async function prMetrics(options) {
-  const token = options.token || process.env.GITHUB_TOKEN;
-
   try {
-    const client = new GitHubClient(token);
+    parseGranularity(options.granularity);
+    const stats = parseStats(options.stats);
+    const calendar = createCalendar(options);
+    const bots = createBotFilter(options);
+    const client = createClient(options);
+    const toStderr = isMachineReadable(options.format);
+    const progress = toStderr ? process.stderr : process.stdout;
 
-    printInfo(`Fetching PRs by ${options.user} in ${options.owner}/${options.repo}...`);
+    printInfo(`Fetching PRs by ${options.user} in ${options.owner}/${options.repo}...`, toStderr);
 
     const prs = await client.fetchUserPRs(options.owner, options.repo, options.user, {
       state: options.state,
@@ -131,27 +184,35 @@ export async function prMetrics(options) {
     });
 
     if (prs.length === 0) {
-      printInfo(`No PRs found for user ${options.user}`);
+      printInfo(`No PRs found for user ${options.user}`, toStderr);
       return;
     }
 
-    printInfo(`Found ${prs.length} PRs. Fetching detailed metrics...`);
+    printInfo(`Found ${prs.length} PRs. Fetching detailed metrics...`, toStderr);
 
-    const prMetricsData = [];
-    for (const pr of prs) {
+    await client.prefetchPRDetails(prs.map(pr => ({ owner: options.owner, repo: options.repo, number: pr.number })));
+
+    const results = await runPool(prs, async (pr) => {
       try {
         const details = await client.fetchPRDetails(options.owner, options.repo, pr.number);
-        const metrics = calculatePRMetrics(details);
-        prMetricsData.push(metrics);
-        process.stdout.write('.');
+        const metrics = calculatePRMetrics(details, calendar, bots, client);
+        progress.write('.');
+        return metrics;
       } catch (err) {
-        process.stdout.write('x');
+        if (err instanceof ReplayMissError) throw err;
+        progress.write('x');
+        return null;
       }
-    }
-    console.log();
+    }, {
+      concurrency: Number(options.concurrency) || 1,
+      getLimit: (concurrency) => client.getConcurrencyLimit(concurrency),
+    });
+    progress.write('\n');
+
+    const prMetricsData = results.filter(Boolean);
 
     const mergedPRs = prMetricsData.filter(pr => pr.merged);
-    const summary = calculateSummary(prMetricsData, mergedPRs);
+    const summary = calculateSummary(prMetricsData, mergedPRs, stats, parseDurationStats(options.stats));
 
     const result = {
       user: options.user,
@@ -162,7 +223,20 @@ export async function prMetrics(options) {
         since: options.since || null,
         until: options.until || null,
       },
+      durations: calendar.describe(),
+      bots: bots.describe(),
       summary,
+      granularity: options.granularity || undefined,
+      timeseries: options.granularity
+        ? buildTimeseries(prMetricsData.map(pr => ({
+          createdAt: pr.createdAt,
+          mergedAt: pr.mergedAt,
+          timeToMerge: pr.metrics.timeToMergeInDays,
+          changesRequested: pr.metrics.changesRequested,
+          aiAssisted: pr.aiAssisted,
+        })), options.granularity, options)
+        : undefined,
+      warnings: client.getWarnings(),
       prs: prMetricsData,
     };
 
@@ -180,9 +254,11 @@ export async function prMetrics(options) {
 
     // Export if requested
     if (options.export) {
-      exportToFile(result, options.export);
+      exportToFile(result, options.export, toStderr);
     }
 
+    result.warnings.forEach(printWarning);
+    printApiUsage(client.getUsage());
   } catch (error) {
     printError(error.message);
     process.exit(1);
@@ -0,0 +1,164 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = fileURLToPath(new URL('../..', import.meta.url));
+const CLI = path.join(ROOT, 'bin', 'ghmetrics.js');
+// Recorded with --record for alice in acme/web and acme/api, 2024
+const FIXTURES = fileURLToPath(new URL('./fixtures/acme-2024', import.meta.url));
+const PERIOD = ['--since', '2024-01-01', '--until', '2024-12-31'];
+
+/**
+ * Fields of one CSV line, unquoting quoted fields
+ */
+function parseCSVLine(line) {
+  const fields = [''];
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted && char === '"' && line[i + 1] === '"') {
+      fields[fields.length - 1] += char;
+      i++;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      fields.push('');
+    } else {
+      fields[fields.length - 1] += char;
+    }
+  }
+  return fields;
+}
+
+describe('commands replaying recorded fixtures', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghmetrics-replay-'));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  /**
+   * Run the CLI offline against the fixtures, resolving with its exit code, output and exported JSON
+   */
+  const run = (args, { format = 'json' } = {}) => new Promise((resolve) => {
+    const file = path.join(dir, `${args[0]}-${Date.now()}.json`);
+    const env = { ...process.env, GITHUB_TOKEN: '', GHMETRICS_IDENTITY_MAP: '', GHMETRICS_BOT_ACCOUNTS: '' };
+    execFile(process.execPath, [
+      CLI, ...args, ...PERIOD,
+      '--replay', FIXTURES,
+      '--cache-dir', path.join(dir, 'cache'),
+      '--format', format,
+      '--export', file,
+    ], { env, timeout: 60000 }, (error, stdout, stderr) => {
+      resolve({
+        code: error ? error.code : 0,
+        stdout,
+        stderr,
+        result: fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null,
+      });
+    });
+  });
+
+  it('summary', async () => {
+    const { code, stdout, result } = await run(['summary', '-u', 'alice']);
+
+    assert.equal(code, 0);
+    // Progress and messages go to stderr, leaving stdout parseable
+    assert.deepEqual(JSON.parse(stdout), result);
+    assert.equal(result.summary.totalPRs, 4);
+    assert.equal(result.summary.mergedPRs, 4);
+    assert.equal(result.summary.avgTimeToMerge, 1.25);
+    assert.equal(result.summary.aiAssistedPRs, 2);
+    assert.equal(result.summary.totalIssuesCreated, 1);
+    assert.equal(result.summary.totalPRsReviewed, 4);
+    assert.deepEqual(result.repoBreakdown.map(r => [r.repo, r.totalPRs]), [['acme/web', 2], ['acme/api', 2]]);
+    assert.deepEqual(result.summary.cycleTime.mergeDelay, { count: 4, p50: 20, p75: 30, p90: 30 });
+
+    const [workload] = result.reviewerWorkload;
+    assert.equal(workload.reviewer, 'alice');
+    assert.deepEqual([workload.prsReviewed, workload.approved, workload.changesRequested, workload.requestsAnswered], [4, 4, 4, 4]);
+  });
+
+  it('user', async () => {
+    const { code, stdout, result } = await run(['user', '-u', 'alice']);
+
+    assert.equal(code, 0);
+    assert.deepEqual(JSON.parse(stdout), result);
+    assert.equal(result.summary.totalPRs, 4);
+    assert.equal(result.summary.avgTimeToMerge, 1.25);
+    assert.equal(result.summary.botActivity, 4);
+    assert.equal(result.summary.totalIssues, 1);
+    assert.equal(result.prs.length, 4);
+  });
+
+  it('user --format csv', async () => {
+    const { code, stdout } = await run(['user', '-u', 'alice', '--granularity', 'month'], { format: 'csv' });
+
+    assert.equal(code, 0);
+    // Nothing but the PR rows, the distributions and the trends, each a table with its own header
+    const sections = stdout.trim().split('\n\n').map(section => section.split('\n').map(parseCSVLine));
+    assert.deepEqual(sections.map(([header]) => header[0]), ['Repository', 'Metric', 'Period']);
+    sections.forEach(([header, ...rows]) => rows.forEach(row => assert.equal(row.length, header.length, row.join(','))));
+
+    const [[header, ...prs], , [, ...periods]] = sections;
+    assert.deepEqual(prs.map(row => [row[0], row[1], row[header.indexOf('Time to Merge (days)')]]), [
+      ['acme/web', '2', '1.67'],
+      ['acme/api', '6', '1.67'],
+      ['acme/web', '1', '0.83'],
+      ['acme/api', '5', '0.83'],
+    ]);
+    assert.deepEqual(prs.map(row => row[2]), ['PR 1 in acme/web', 'PR 1 in acme/api', 'PR 0 in acme/web', 'PR 0 in acme/api']);
+    assert.equal(periods.length, 12);
+  });
+
+  it('pr', async () => {
+    const { code, stdout, result } = await run(['pr', '-o', 'acme', '-r', 'web', '-u', 'alice']);
+
+    assert.equal(code, 0);
+    assert.deepEqual(JSON.parse(stdout), result);
+    assert.equal(result.totalPRs, 2);
+    assert.equal(result.mergedPRs, 2);
+    assert.equal(result.summary.averageTimeToMerge, 1.25);
+    assert.deepEqual(result.prs.map(pr => [pr.number, pr.aiAssisted, pr.metrics.timeToMergeInDays]), [
+      [2, false, 1.67],
+      [1, true, 0.83],
+    ]);
+    assert.deepEqual(result.prs[1].metrics.cycleTime, { codingTime: 30, pickupTime: 0, reviewTime: 7, mergeDelay: 10 });
+  });
+
+  it('repo', async () => {
+    const { code, stdout, result } = await run(['repo', '-o', 'acme', '-r', 'web']);
+
+    assert.equal(code, 0);
+    assert.deepEqual(JSON.parse(stdout), result);
+    assert.equal(result.totalPRs, 3);
+    assert.equal(result.botPRs, 1);
+    assert.equal(result.botContributors, 1);
+    assert.deepEqual(result.contributors.map(c => [c.login, c.commits, c.prs]), [['alice', 10, 2]]);
+    assert.equal(result.distributions.timeToMerge.count, 2);
+  });
+
+  it('repo --durations business', async () => {
+    const { code, result } = await run(['repo', '-o', 'acme', '-r', 'web', '--durations', 'business', '--timezone', 'UTC']);
+
+    assert.equal(code, 0);
+    assert.equal(result.durations.mode, 'business');
+    assert.equal(result.distributions.timeToMerge.count, 2);
+    assert.equal(result.calendarTimeToMerge.count, 2);
+    assert.notEqual(result.distributions.timeToMerge.max, result.calendarTimeToMerge.max);
+  });
+
+  it('stops with an error when a request was not recorded', async () => {
+    const { code, stderr, result } = await run(['summary', '-u', 'bob']);
+
+    assert.equal(code, 1);
+    assert.match(stderr, /No recorded response for GET .*author%3Abob/);
+    assert.equal(result, null);
+  });
+});
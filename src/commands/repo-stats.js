@@ -3,68 +3,135 @@
  * Analyze repository contribution statistics
  */
 
-import { GitHubClient } from '../lib/github-client.js';
+import { createClient } from '../lib/client-factory.js';
+import { createBotFilter } from '../lib/bots.js';
+import { IdentityMap, createIdentityMap } from '../lib/identities.js';
+import { CALENDAR_TIME, createCalendar } from '../lib/calendar.js';
+import { parseStats, summarizeDistributions } from '../lib/stats.js';
 import {
   formatRepoStatsTable,
   formatJSON,
   exportToFile,
   printError,
+  isMachineReadable,
   printInfo,
+  printApiUsage,
+  printWarning,
 } from '../lib/formatters.js';
 
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
 /**
- * Main repo stats command handler
+ * Contributor and PR statistics for one repository; contributors are sorted by commits.
+ * Bots (dependabot, renovate, ...) are counted separately unless --include-bots is given,
+ * and a person's accounts and commit emails in the identity map are merged into one contributor.
+ * Times to merge are measured by the calendar.
  */
-export async function repoStats(options) {
-  const token = options.token || process.env.GITHUB_TOKEN;
+export async function getRepoStats(client, owner, repo, options, identities = new IdentityMap(), calendar = CALENDAR_TIME) {
+  const bots = createBotFilter(options);
 
-  try {
-    const client = new GitHubClient(token);
+  // Fetch contributor stats (polls while GitHub computes them, then falls back to the commit list)
+  const allContributorStats = await client.fetchContributorStats(owner, repo);
+  const contributorStats = allContributorStats.filter(c => bots.counts(c.author));
 
-    printInfo(`Fetching stats for ${options.owner}/${options.repo}...`);
+  // Fetch PRs to count per contributor
+  const allPRs = await client.fetchRepoPRs(owner, repo, {
+    since: options.since,
+    until: options.until,
+  });
+  const prs = allPRs.filter(pr => bots.counts(pr.user));
 
-    // Fetch contributor stats
-    const contributorStats = await client.fetchContributorStats(options.owner, options.repo);
+  // Count PRs per author
+  const prCounts = new Map();
+  prs.forEach(pr => {
+    const author = identities.resolve(pr.user.login);
+    prCounts.set(author, (prCounts.get(author) || 0) + 1);
+  });
 
-    if (!contributorStats) {
-      printInfo('GitHub is computing stats. Please try again in a few seconds.');
-      return;
-    }
+  // Process contributors, one per person
+  const byPerson = new Map();
+  contributorStats.forEach(c => {
+    const login = identities.resolveAuthor(c.author);
+    const contributor = byPerson.get(login) || { login, commits: 0, additions: 0, deletions: 0, prs: prCounts.get(login) || 0 };
+    contributor.commits += c.total;
+    contributor.additions += c.weeks.reduce((sum, w) => sum + w.a, 0);
+    contributor.deletions += c.weeks.reduce((sum, w) => sum + w.d, 0);
+    byPerson.set(login, contributor);
+  });
+  const contributors = Array.from(byPerson.values()).sort((a, b) => b.commits - a.commits);
 
-    // Fetch PRs to count per contributor
-    const prs = await client.fetchRepoPRs(options.owner, options.repo, {
-      since: options.since,
-      until: options.until,
-    });
-
-    // Count PRs per author
-    const prCounts = new Map();
-    prs.forEach(pr => {
-      const author = pr.user.login;
-      prCounts.set(author, (prCounts.get(author) || 0) + 1);
-    });
-
-    // Process contributors
-    const contributors = contributorStats
-      .map(c => ({
-        login: c.author.login,
-        commits: c.total,
-        additions: c.weeks.reduce((sum, w) => sum + w.a, 0),
-        deletions: c.weeks.reduce((sum, w) => sum + w.d, 0),
-        prs: prCounts.get(c.author.login) || 0,
-      }))
-      .sort((a, b) => b.commits - a.commits)
-      .slice(0, Number(options.top));
+  // Commits in the period from the weekly breakdown; unknown when only totals are available
+  const weeks = contributorStats.flatMap(c => c.weeks);
+  const inPeriod = (w) => (!options.since || w.w * 1000 >= new Date(options.since) - WEEK_MS)
+    && (!options.until || w.w * 1000 <= new Date(options.until));
+  const commitsInPeriod = weeks.length > 0 && weeks.every(w => w.w)
+    ? weeks.filter(inPeriod).reduce((sum, w) => sum + w.c, 0)
+    : null;
+
+  // People with commits in the period (when the weekly breakdown is available) or PRs opened in it
+  const activeContributors = new Set(prs.map(pr => identities.resolve(pr.user.login)));
+  if (commitsInPeriod !== null) {
+    contributorStats
+      .filter(c => c.weeks.some(w => w.c > 0 && inPeriod(w)))
+      .forEach(c => activeContributors.add(identities.resolveAuthor(c.author)));
+  }
+
+  const merged = prs.filter(pr => pr.merged_at);
+  const daysToMerge = (cal) => merged.map(pr => Number(cal.daysBetween(pr.created_at, pr.merged_at).toFixed(2)));
+
+  return {
+    repository: `${owner}/${repo}`,
+    totalContributors: contributors.length,
+    totalPRs: prs.length,
+    botContributors: allContributorStats.filter(c => bots.isBot(c.author)).length,
+    botPRs: allPRs.filter(pr => bots.isBot(pr.user)).length,
+    bots: bots.describe(),
+    mergedPRs: merged.length,
+    // Days from opening to merging, per merged PR
+    timesToMerge: daysToMerge(calendar),
+    ...(calendar.mode === 'business' && { calendarTimesToMerge: daysToMerge(CALENDAR_TIME) }),
+    commitsInPeriod,
+    activeContributors: [...activeContributors],
+    firstPRAt: prs.reduce((first, pr) => (!first || pr.created_at < first ? pr.created_at : first), null),
+    dateRange: {
+      since: options.since || null,
+      until: options.until || null,
+    },
+    contributors,
+  };
+}
+
+/**
+ * Main repo stats command handler
+ */
+export async function repoStats(options) {
+  try {
+    const figures = parseStats(options.stats);
+    const calendar = createCalendar(options);
+    const identities = createIdentityMap(options);
+    const client = createClient(options);
+    const toStderr = isMachineReadable(options.format);
+
+    printInfo(`Fetching stats for ${options.owner}/${options.repo}...`, toStderr);
+
+    const stats = await getRepoStats(client, options.owner, options.repo, options, identities, calendar);
 
     const result = {
-      repository: `${options.owner}/${options.repo}`,
-      totalContributors: contributorStats.length,
-      totalPRs: prs.length,
-      dateRange: {
-        since: options.since || null,
-        until: options.until || null,
-      },
-      contributors,
+      repository: stats.repository,
+      totalContributors: stats.totalContributors,
+      totalPRs: stats.totalPRs,
+      botContributors: stats.botContributors,
+      botPRs: stats.botPRs,
+      bots: stats.bots,
+      durations: calendar.describe(),
+      dateRange: stats.dateRange,
+      distributions: summarizeDistributions(stats.timesToMerge.map(timeToMerge => ({ timeToMerge })), figures, ['timeToMerge']),
+      // The PRs aren't listed, so business-time runs summarise their calendar time here
+      ...(calendar.mode === 'business' && {
+        calendarTimeToMerge: summarizeDistributions(stats.calendarTimesToMerge.map(timeToMerge => ({ timeToMerge })), figures, ['timeToMerge']).timeToMerge,
+      }),
+      contributors: stats.contributors.slice(0, Number(options.top)),
+      warnings: client.getWarnings(),
     };
 
     // Output based on format
@@ -76,11 +143,14 @@ export async function repoStats(options) {
         formatRepoStatsTable(result);
     }
 
+    result.warnings.forEach(printWarning);
+
     // Export if requested
     if (options.export) {
-      exportToFile(result, options.export);
+      exportToFile(result, options.export, toStderr);
     }
 
+    printApiUsage(client.getUsage());
   } catch (error) {
     printError(error.message);
     process.exit(1);
@@ -3,12 +3,36 @@
  * All-in-one metrics: PRs, Issues, AI detection, repo breakdown
  */
 
-import { GitHubClient } from '../lib/github-client.js';
+import { createClient, parseIdentity } from '../lib/client-factory.js';
+import { ReplayMissError } from '../lib/recorder.js';
+import { getRepoFromUrl } from '../lib/github-client.js';
+import { runPool } from '../lib/pool.js';
+import { CYCLE_PHASES, calculateCycleTime, summarizeCycleTimes } from '../lib/cycle-time.js';
+import { Checkpoint } from '../lib/checkpoint.js';
+import { getReviewerActivity, aggregateReviewerWorkload } from '../lib/review-workload.js';
+import { buildTimeseries, parseGranularity, TIMESERIES_COLUMNS } from '../lib/timeseries.js';
+import { parseCompareTo, compareSummaries } from '../lib/comparison.js';
+import { parseStats, parseDurationStats, summarizeDistributions, getPRSize } from '../lib/stats.js';
+import { CALENDAR_TIME, createCalendar } from '../lib/calendar.js';
+import { createBotFilter } from '../lib/bots.js';
+import { IdentityMap, createIdentityMap, searchAliases } from '../lib/identities.js';
 import {
   formatJSON,
+  formatCycleTimeTable,
+  formatTimeseriesTable,
+  formatDistributionTable,
+  getDistributionRows,
+  getFigures,
+  formatDurationStats,
+  printDurationMode,
+  formatDelta,
+  printComparisonPeriod,
   exportToFile,
   printError,
+  isMachineReadable,
   printInfo,
+  printApiUsage,
+  printWarning,
   printSuccess,
 } from '../lib/formatters.js';
 import fs from 'fs';
@@ -34,6 +58,10 @@ function exportToCSV(data, filename) {
   rows.push(toRow(['User', data.user, '']));
   rows.push(toRow(['Period', `${data.dateRange.since || 'all time'} to ${data.dateRange.until || 'now'}`, '']));
   rows.push(toRow(['Organization Filter', data.orgFilter || 'None', '']));
+  rows.push(toRow(['Durations', data.durations.mode === 'business' ? `business time (${data.durations.hoursPerDay}h working days)` : 'calendar time', '']));
+  (data.warnings || []).forEach(warning => {
+    rows.push(toRow(['Incomplete Data', warning, '']));
+  });
   rows.push(toRow(['', '', '']));
   rows.push(toRow(['PRs Raised', data.summary.totalPRs, '100%']));
   rows.push(toRow(['Merged PRs', data.summary.mergedPRs, `${mergedPct}%`]));
@@ -42,9 +70,15 @@ function exportToCSV(data, filename) {
   rows.push(toRow(['Repos Contributed', data.summary.reposContributed, '']));
   rows.push(toRow(['Total Comments', data.summary.totalComments, '']));
   rows.push(toRow(['Avg Comments/PR', data.summary.avgCommentsPerPR, '']));
+  rows.push(toRow([`Bot Reviews & Comments (${data.bots.included ? 'included' : 'excluded'})`, data.summary.botActivity, '']));
   rows.push(toRow(['Total Changes Requested', data.summary.totalChangesRequested, '']));
   rows.push(toRow(['Avg Changes Requested/PR', data.summary.avgChangesRequestedPerPR, '']));
-  rows.push(toRow(['Avg Time to Merge (days)', data.summary.avgTimeToMerge, '']));
+  rows.push(toRow(['Avg Time to Merge (days)', data.summary.avgTimeToMerge ?? '', '']));
+  Object.entries(CYCLE_PHASES).forEach(([phase, label]) => {
+    const stats = data.summary.cycleTime[phase];
+    const figures = getFigures(stats);
+    rows.push(toRow([`${label}, ${figures.join('/')} (hours)`, figures.map(figure => stats[figure] ?? '-').join(' / '), '']));
+  });
   rows.push(toRow(['', '', '']));
   rows.push(toRow(['Issues Created', data.summary.totalIssuesCreated, '']));
   rows.push(toRow(['Open Issues Created', data.summary.openIssuesCreated, '']));
@@ -55,6 +89,18 @@ function exportToCSV(data, filename) {
   rows.push(toRow(['Closed Issues Assigned', data.summary.closedIssuesAssigned, '']));
   rows.push(toRow(['', '', '']));
   rows.push(toRow(['PRs Reviewed', data.summary.totalPRsReviewed, '']));
+  (data.reviewerWorkload || []).forEach(workload => {
+    const prefix = data.reviewerWorkload.length > 1 ? `${workload.reviewer}: ` : '';
+    rows.push(toRow([`${prefix}Reviews Submitted`, workload.reviewsSubmitted, '']));
+    rows.push(toRow([`${prefix}Reviews Approved`, workload.approved, '']));
+    rows.push(toRow([`${prefix}Reviews Requesting Changes`, workload.changesRequested, '']));
+    rows.push(toRow([`${prefix}Reviews Commented`, workload.commented, '']));
+    rows.push(toRow([`${prefix}Inline Review Comments`, workload.inlineComments, '']));
+    const figures = getFigures(workload.hoursToFirstReview);
+    rows.push(toRow([`${prefix}Time to First Review, ${figures.join('/')} (hours)`, figures.map(figure => workload.hoursToFirstReview[figure] ?? '-').join(' / '), '']));
+    rows.push(toRow([`${prefix}Most Reviewed Repos`, workload.topRepos.map(({ name, prs }) => `${name} (${prs})`).join('; '), '']));
+    rows.push(toRow([`${prefix}Most Reviewed Authors`, workload.topAuthors.map(({ name, prs }) => `${name} (${prs})`).join('; '), '']));
+  });
   rows.push(toRow(['AI-Assisted PRs', data.summary.aiAssistedPRs, `${data.summary.aiAssistedPercentage}%`]));
 
   // Code quality distribution
@@ -77,9 +123,9 @@ function exportToCSV(data, filename) {
   });
 
   // === PULL REQUESTS RAISED ===
-  rows.push(toRow(['', '', '', '', '', '', '', '', '', '', '', '']));
-  rows.push(toRow(['=== PULL REQUESTS RAISED ===', '', '', '', '', '', '', '', '', '', '', '']));
-  rows.push(toRow(['PR Number', 'Repository', 'Title', 'Status', 'Merged', 'Comments', 'Changes Requested', 'Time to Merge (days)', 'AI Assisted', 'AI Tools', 'Created At', 'URL']));
+  rows.push(toRow(['', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '']));
+  rows.push(toRow(['=== PULL REQUESTS RAISED ===', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '']));
+  rows.push(toRow(['PR Number', 'Repository', 'Title', 'Status', 'Merged', 'Comments', 'Changes Requested', 'Time to Merge (days)', 'Coding Time (hours)', 'Pickup Time (hours)', 'Review Time (hours)', 'Merge Delay (hours)', 'AI Assisted', 'AI Tools', 'Created At', 'URL', 'Limits Hit']));
   data.prs.forEach(pr => {
     rows.push(toRow([
       pr.number,
@@ -90,13 +136,41 @@ function exportToCSV(data, filename) {
       pr.comments,
       pr.changesRequested,
       pr.timeToMerge || '',
+      ...Object.keys(CYCLE_PHASES).map(phase => pr.cycleTime?.[phase] ?? ''),
       pr.aiAssisted ? 'Yes' : 'No',
       (pr.aiTools || []).join('; '),
       pr.createdAt,
       pr.url,
+      (pr.limitsHit || []).join('; '),
     ]));
   });
 
+  // === DISTRIBUTIONS ===
+  rows.push(toRow(['', '', '', '', '', '']));
+  rows.push(toRow(['=== DISTRIBUTIONS ===', '', '', '', '', '']));
+  getDistributionRows(data.summary.distributions).forEach(row => rows.push(toRow(row)));
+
+  // === TIMESERIES ===
+  if (data.timeseries) {
+    rows.push(toRow(['', '', '', '', '', '']));
+    rows.push(toRow([`=== TIMESERIES (BY ${data.granularity.toUpperCase()}) ===`, '', '', '', '', '']));
+    rows.push(toRow(['Period', ...Object.values(TIMESERIES_COLUMNS)]));
+    data.timeseries.forEach(bucket => {
+      rows.push(toRow([bucket.period, ...Object.keys(TIMESERIES_COLUMNS).map(key => bucket[key] ?? '')]));
+    });
+  }
+
+  // === COMPARISON ===
+  if (data.comparison) {
+    const { since, until } = data.comparison.baseline.dateRange;
+    rows.push(toRow(['', '', '', '', '']));
+    rows.push(toRow([`=== COMPARED TO ${since} TO ${until} ===`, '', '', '', '']));
+    rows.push(toRow(['Metric', 'Baseline', 'Current', 'Change', 'Change (%)']));
+    Object.entries(data.comparison.deltas).forEach(([metric, delta]) => {
+      rows.push(toRow([metric, delta.baseline ?? '', delta.current ?? '', delta.change ?? 'n/a', delta.percentChange ?? '']));
+    });
+  }
+
   // === ISSUES CREATED ===
   rows.push(toRow(['', '', '', '', '', '', '', '']));
   rows.push(toRow(['=== ISSUES CREATED ===', '', '', '', '', '', '', '']));
@@ -183,6 +257,9 @@ function formatSummaryTable(data) {
   if (data.dateRange.since || data.dateRange.until) {
     console.log(`  ${chalk.gray('Period:')} ${data.dateRange.since || 'all time'} to ${data.dateRange.until || 'now'}`);
   }
+  printDurationMode(data.durations);
+  printComparisonPeriod(data.comparison);
+  const delta = (metric) => formatDelta(data.comparison?.deltas[metric]);
 
   // Overall Stats
   console.log('\n' + chalk.bold.yellow('  Overview'));
@@ -194,11 +271,11 @@ function formatSummaryTable(data) {
   });
 
   overviewTable.push(
-    { 'PRs Raised': chalk.cyan(data.summary.totalPRs) },
-    { 'PRs Reviewed': chalk.cyan(data.summary.totalPRsReviewed) },
-    { 'Issues Created': chalk.cyan(data.summary.totalIssuesCreated) },
-    { 'Issues Assigned': chalk.cyan(data.summary.totalIssuesAssigned) },
-    { 'Repos Contributed': chalk.cyan(data.summary.reposContributed) },
+    { 'PRs Raised': chalk.cyan(data.summary.totalPRs) + delta('totalPRs') },
+    { 'PRs Reviewed': chalk.cyan(data.summary.totalPRsReviewed) + delta('totalPRsReviewed') },
+    { 'Issues Created': chalk.cyan(data.summary.totalIssuesCreated) + delta('totalIssuesCreated') },
+    { 'Issues Assigned': chalk.cyan(data.summary.totalIssuesAssigned) + delta('totalIssuesAssigned') },
+    { 'Repos Contributed': chalk.cyan(data.summary.reposContributed) + delta('reposContributed') },
   );
   console.log(overviewTable.toString());
 
@@ -217,17 +294,22 @@ function formatSummaryTable(data) {
   const closedPRPct = ((data.summary.closedPRs / totalPRs) * 100).toFixed(1);
 
   prStatsTable.push(
-    { 'Merged': chalk.green(`${data.summary.mergedPRs} (${mergedPct}%)`) },
-    { 'Open': chalk.yellow(`${data.summary.openPRs} (${openPRPct}%)`) },
-    { 'Closed (not merged)': chalk.red(`${data.summary.closedPRs} (${closedPRPct}%)`) },
-    { 'Total Comments Received': data.summary.totalComments },
-    { 'Avg Comments/PR': data.summary.avgCommentsPerPR },
-    { 'Total Changes Requested': data.summary.totalChangesRequested },
-    { 'Avg Changes Requested/PR': data.summary.avgChangesRequestedPerPR },
-    { 'Avg Time to Merge': `${data.summary.avgTimeToMerge} days` },
+    { 'Merged': chalk.green(`${data.summary.mergedPRs} (${mergedPct}%)`) + delta('mergedPRs') },
+    { 'Open': chalk.yellow(`${data.summary.openPRs} (${openPRPct}%)`) + delta('openPRs') },
+    { 'Closed (not merged)': chalk.red(`${data.summary.closedPRs} (${closedPRPct}%)`) + delta('closedPRs') },
+    { 'Total Comments Received': data.summary.totalComments + delta('totalComments') },
+    { 'Avg Comments/PR': data.summary.avgCommentsPerPR + delta('avgCommentsPerPR') },
+    { [`Bot Reviews & Comments (${data.bots.included ? 'included' : 'excluded'})`]: chalk.gray(data.summary.botActivity) + delta('botActivity') },
+    { 'Total Changes Requested': data.summary.totalChangesRequested + delta('totalChangesRequested') },
+    { 'Avg Changes Requested/PR': data.summary.avgChangesRequestedPerPR + delta('avgChangesRequestedPerPR') },
+    { 'Avg Time to Merge': (data.summary.avgTimeToMerge !== null ? `${data.summary.avgTimeToMerge} days` : '-') + delta('avgTimeToMerge') },
   );
   console.log(prStatsTable.toString());
 
+  formatCycleTimeTable(data.summary.cycleTime, 105, data.durations.hoursPerDay);
+  formatDistributionTable(data.summary.distributions, 105);
+  formatTimeseriesTable(data.timeseries, data.granularity, 105);
+
   // Code Quality - Changes Requested Distribution
   console.log('\n' + chalk.bold.yellow('  Code Quality (Changes Requested Distribution)'));
   console.log(chalk.gray('  ' + '─'.repeat(101)));
@@ -283,9 +365,9 @@ function formatSummaryTable(data) {
   const closedIssueCreatedPct = ((data.summary.closedIssuesCreated / totalIssuesCreated) * 100).toFixed(1);
 
   issueCreatedTable.push(
-    { 'Total Created': chalk.cyan(data.summary.totalIssuesCreated) },
-    { 'Open': chalk.yellow(`${data.summary.openIssuesCreated} (${openIssueCreatedPct}%)`) },
-    { 'Closed': chalk.green(`${data.summary.closedIssuesCreated} (${closedIssueCreatedPct}%)`) },
+    { 'Total Created': chalk.cyan(data.summary.totalIssuesCreated) + delta('totalIssuesCreated') },
+    { 'Open': chalk.yellow(`${data.summary.openIssuesCreated} (${openIssueCreatedPct}%)`) + delta('openIssuesCreated') },
+    { 'Closed': chalk.green(`${data.summary.closedIssuesCreated} (${closedIssueCreatedPct}%)`) + delta('closedIssuesCreated') },
   );
   console.log(issueCreatedTable.toString());
 
@@ -303,9 +385,9 @@ function formatSummaryTable(data) {
   const closedIssueAssignedPct = ((data.summary.closedIssuesAssigned / totalIssuesAssigned) * 100).toFixed(1);
 
   issueAssignedTable.push(
-    { 'Total Assigned': chalk.cyan(data.summary.totalIssuesAssigned) },
-    { 'Open': chalk.yellow(`${data.summary.openIssuesAssigned} (${openIssueAssignedPct}%)`) },
-    { 'Closed': chalk.green(`${data.summary.closedIssuesAssigned} (${closedIssueAssignedPct}%)`) },
+    { 'Total Assigned': chalk.cyan(data.summary.totalIssuesAssigned) + delta('totalIssuesAssigned') },
+    { 'Open': chalk.yellow(`${data.summary.openIssuesAssigned} (${openIssueAssignedPct}%)`) + delta('openIssuesAssigned') },
+    { 'Closed': chalk.green(`${data.summary.closedIssuesAssigned} (${closedIssueAssignedPct}%)`) + delta('closedIssuesAssigned') },
   );
   console.log(issueAssignedTable.toString());
 
@@ -319,8 +401,28 @@ function formatSummaryTable(data) {
   });
 
   reviewedTable.push(
-    { 'Total PRs Reviewed': chalk.cyan(data.summary.totalPRsReviewed) },
+    { 'Total PRs Reviewed': chalk.cyan(data.summary.totalPRsReviewed) + delta('totalPRsReviewed') },
   );
+
+  const formatTop = (entries) => entries.map(({ name, prs }) => `${name} (${prs})`).join(', ') || '-';
+  (data.reviewerWorkload || []).forEach(workload => {
+    // Several identities: one block per account
+    if (data.reviewerWorkload.length > 1) {
+      reviewedTable.push({ [chalk.gray(workload.reviewer)]: '' });
+    }
+    reviewedTable.push(
+      { 'Reviews Submitted': workload.reviewsSubmitted },
+      { '  └─ Approved': chalk.green(workload.approved) },
+      { '  └─ Changes Requested': chalk.red(workload.changesRequested) },
+      { '  └─ Commented': workload.commented },
+      { 'Inline Comments': workload.inlineComments },
+      { 'Time to First Review': workload.requestsAnswered > 0
+        ? `${formatDurationStats(workload.hoursToFirstReview, data.durations.hoursPerDay)} (${workload.requestsAnswered} requests)`
+        : '-' },
+      { 'Most Reviewed Repos': formatTop(workload.topRepos) },
+      { 'Most Reviewed Authors': formatTop(workload.topAuthors) },
+    );
+  });
   console.log(reviewedTable.toString());
 
   // AI Stats
@@ -336,7 +438,7 @@ function formatSummaryTable(data) {
   const humanPct = (100 - aiPct).toFixed(1);
 
   aiTable.push(
-    { 'AI-Assisted PRs': `${data.summary.aiAssistedPRs} (${aiPct}%)` },
+    { 'AI-Assisted PRs': `${data.summary.aiAssistedPRs} (${aiPct}%)` + delta('aiAssistedPRs') },
     { 'Human-Only PRs': `${data.summary.totalPRs - data.summary.aiAssistedPRs} (${humanPct}%)` },
   );
 
@@ -495,271 +597,519 @@ function formatSummaryTable(data) {
 }
 
 /**
- * Main summary command handler
+ * Fetch the four searches a summary is built from for one user, searching each of their aliases in the identity map
  */
-export async function summary(options) {
-  const token = options.token || process.env.GITHUB_TOKEN;
+export async function fetchSummaryItems(client, user, options, identities = new IdentityMap()) {
+  const searchOptions = {
+    since: options.since,
+    until: options.until,
+    org: options.org,
+  };
+  const logins = identities.aliases(user);
+  const search = (method) => searchAliases(logins, login => client[method](login, searchOptions));
+
+  // Fetch PRs, issues, assigned issues, and reviewed PRs in parallel
+  const [prs, issuesCreated, issuesAssigned, prsReviewed] = await Promise.all([
+    search('fetchUserPRsAcrossRepos'),
+    search('fetchUserIssuesAcrossRepos'),
+    search('fetchAssignedIssues'),
+    search('fetchReviewRequestedPRs'),
+  ]);
+
+  return { prs, issuesCreated, issuesAssigned, prsReviewed };
+}
 
-  try {
-    const client = new GitHubClient(token);
+/**
+ * Fetch a raised PR's activity and reduce it to the per-PR record the summary aggregates
+ */
+export async function getPRData(client, pr, calendar = CALENDAR_TIME, bots = createBotFilter()) {
+  const { owner, repo } = getRepoFromUrl(pr.repository_url);
+  return buildPRData(client, pr, await client.fetchPRActivity(owner, repo, pr.number), calendar, bots);
+}
 
-    const orgFilter = options.org ? ` in org(s): ${options.org}` : '';
-    printInfo(`Fetching all metrics for ${options.user}${orgFilter}...`);
-
-    // Fetch PRs, issues, assigned issues, and reviewed PRs in parallel
-    const [prs, issuesCreated, issuesAssigned, prsReviewed] = await Promise.all([
-      client.fetchUserPRsAcrossRepos(options.user, {
-        since: options.since,
-        until: options.until,
-        org: options.org,
-      }),
-      client.fetchUserIssuesAcrossRepos(options.user, {
-        since: options.since,
-        until: options.until,
-        org: options.org,
-      }),
-      client.fetchAssignedIssues(options.user, {
-        since: options.since,
-        until: options.until,
-        org: options.org,
-      }),
-      client.fetchReviewRequestedPRs(options.user, {
-        since: options.since,
-        until: options.until,
-        org: options.org,
-      }),
-    ]);
-
-    if (prs.length === 0 && issuesCreated.length === 0 && issuesAssigned.length === 0) {
-      printInfo(`No PRs or issues found for user ${options.user}`);
-      return;
+/**
+ * Per-PR record from a search item and its fetchPRActivity result, with durations measured by the calendar
+ * and bots' reviews and comments left out unless the filter includes them
+ */
+export function buildPRData(client, pr, activity, calendar = CALENDAR_TIME, bots = createBotFilter()) {
+  const { owner, repo } = getRepoFromUrl(pr.repository_url);
+  const repoFullName = `${owner}/${repo}`;
+
+  const { pr: pull, reviews: allReviews, issueComments: allComments, commits, limitsHit } = activity;
+
+  const reviews = allReviews.filter(r => bots.counts(r.user));
+  const issueComments = allComments.filter(c => bots.counts(c.user));
+
+  const changesRequested = reviews.filter(r => r.state === 'CHANGES_REQUESTED').length;
+  // The search's comment count includes bots' comments as well
+  const searchComments = Math.max(0, (pr.comments || 0) - (allComments.length - issueComments.length));
+  const totalComments = issueComments.length + searchComments;
+
+  // AI detection
+  let aiAssisted = false;
+  const aiToolsUsed = new Set();
+  for (const commit of commits) {
+    const detection = client.detectAICoAuthorship(commit.commit.message);
+    if (detection.isAIAssisted) {
+      aiAssisted = true;
+      detection.aiTools.forEach(tool => aiToolsUsed.add(tool));
     }
+  }
 
-    printInfo(`Found ${prs.length} PRs raised, ${issuesCreated.length} issues created, ${issuesAssigned.length} issues assigned, ${prsReviewed.length} PRs reviewed. Fetching details...`);
+  // Time to merge
+  const mergedAt = pr.pull_request?.merged_at;
+  const daysToMerge = (measure) => (mergedAt ? Number(measure.daysBetween(pr.created_at, mergedAt).toFixed(2)) : null);
+  const cycleTimeInput = {
+    author: pr.user.login,
+    createdAt: pr.created_at,
+    mergedAt,
+    reviews,
+    comments: issueComments,
+    commits,
+  };
+
+  return {
+    number: pr.number,
+    title: pr.title,
+    repo: repoFullName,
+    state: pr.state,
+    merged: !!pr.pull_request?.merged_at,
+    mergedAt: pr.pull_request?.merged_at || null,
+    comments: totalComments,
+    changesRequested,
+    botActivity: [...allReviews, ...allComments].filter(item => bots.isBot(item.user)).length,
+    timeToMerge: daysToMerge(calendar),
+    size: getPRSize(pull),
+    cycleTime: calculateCycleTime({ ...cycleTimeInput, calendar }),
+    // Business-time runs report calendar time too
+    ...(calendar.mode === 'business' && {
+      calendarTimeToMerge: daysToMerge(CALENDAR_TIME),
+      calendarCycleTime: calculateCycleTime(cycleTimeInput),
+    }),
+    createdAt: pr.created_at,
+    url: pr.html_url,
+    aiAssisted,
+    aiTools: Array.from(aiToolsUsed),
+    limitsHit,
+  };
+}
 
-    // Process PRs
-    const prDetails = [];
-    const repoMap = new Map();
+/**
+ * Fetch a reviewed PR's reviews, inline comments and review requests, reduced to the given reviewers' activity
+ */
+export async function getReviewData(client, pr, logins, identities) {
+  const { owner, repo } = getRepoFromUrl(pr.repository_url);
+  const activity = await client.fetchReviewActivity(owner, repo, pr.number);
+  return getReviewerActivity({
+    repo: `${owner}/${repo}`,
+    number: pr.number,
+    author: pr.user?.login,
+    url: pr.html_url,
+  }, activity, logins, identities);
+}
 
-    for (const pr of prs) {
-      const urlParts = pr.repository_url.split('/');
-      const owner = urlParts[urlParts.length - 2];
-      const repo = urlParts[urlParts.length - 1];
-      const repoFullName = `${owner}/${repo}`;
+/**
+ * Aggregate processed PRs per repository
+ */
+export function aggregateRepos(prDetails) {
+  const repoMap = new Map();
+
+  for (const prData of prDetails) {
+    if (!repoMap.has(prData.repo)) {
+      repoMap.set(prData.repo, {
+        repo: prData.repo,
+        totalPRs: 0,
+        mergedPRs: 0,
+        totalComments: 0,
+        changesRequested: 0,
+        mergeTimesSum: 0,
+        mergeTimesCount: 0,
+      });
+    }
 
-      try {
-        const [reviews, comments, commits] = await Promise.all([
-          client.octokit.pulls.listReviews({ owner, repo, pull_number: pr.number, per_page: 100 }),
-          client.octokit.issues.listComments({ owner, repo, issue_number: pr.number, per_page: 100 }),
-          client.fetchPRCommits(owner, repo, pr.number),
-        ]);
-
-        const changesRequested = reviews.data.filter(r => r.state === 'CHANGES_REQUESTED').length;
-        const totalComments = comments.data.length + (pr.comments || 0);
-
-        // AI detection
-        let aiAssisted = false;
-        const aiToolsUsed = new Set();
-        for (const commit of commits) {
-          const detection = client.detectAICoAuthorship(commit.commit.message);
-          if (detection.isAIAssisted) {
-            aiAssisted = true;
-            detection.aiTools.forEach(tool => aiToolsUsed.add(tool));
-          }
-        }
+    const repoStats = repoMap.get(prData.repo);
+    repoStats.totalPRs++;
+    if (prData.merged) repoStats.mergedPRs++;
+    repoStats.totalComments += prData.comments;
+    repoStats.changesRequested += prData.changesRequested;
+    if (prData.timeToMerge !== null) {
+      repoStats.mergeTimesSum += prData.timeToMerge;
+      repoStats.mergeTimesCount++;
+    }
+  }
 
-        // Time to merge
-        let timeToMerge = null;
-        if (pr.pull_request?.merged_at) {
-          const created = new Date(pr.created_at);
-          const merged = new Date(pr.pull_request.merged_at);
-          timeToMerge = Number(((merged - created) / (1000 * 60 * 60 * 24)).toFixed(2));
-        }
+  return repoMap;
+}
 
-        const prData = {
-          number: pr.number,
-          title: pr.title,
-          repo: repoFullName,
-          state: pr.state,
-          merged: !!pr.pull_request?.merged_at,
-          comments: totalComments,
-          changesRequested,
-          timeToMerge,
-          createdAt: pr.created_at,
-          url: pr.html_url,
-          aiAssisted,
-          aiTools: Array.from(aiToolsUsed),
-        };
-
-        prDetails.push(prData);
-
-        // Repo aggregation
-        if (!repoMap.has(repoFullName)) {
-          repoMap.set(repoFullName, {
-            repo: repoFullName,
-            totalPRs: 0,
-            mergedPRs: 0,
-            totalComments: 0,
-            changesRequested: 0,
-            mergeTimesSum: 0,
-            mergeTimesCount: 0,
-          });
-        }
+/**
+ * Build the summary result from processed PRs and the search results
+ */
+export function buildResult(options, { prDetails, issuesCreated, issuesAssigned, prsReviewed, reviewActivity, warnings, calendar = CALENDAR_TIME, bots = createBotFilter() }) {
+  const repoMap = aggregateRepos(prDetails);
+
+  // Process issues created by user
+  const openIssuesCreated = issuesCreated.filter(i => i.state === 'open');
+  const closedIssuesCreated = issuesCreated.filter(i => i.state === 'closed');
+
+  const issueCreatedDetails = issuesCreated.map(issue => {
+    const { owner, repo } = getRepoFromUrl(issue.repository_url);
+    return {
+      number: issue.number,
+      title: issue.title,
+      repo: `${owner}/${repo}`,
+      state: issue.state,
+      comments: issue.comments || 0,
+      createdAt: issue.created_at,
+      closedAt: issue.closed_at,
+      url: issue.html_url,
+      type: 'created',
+    };
+  });
 
-        const repoStats = repoMap.get(repoFullName);
-        repoStats.totalPRs++;
-        if (prData.merged) repoStats.mergedPRs++;
-        repoStats.totalComments += totalComments;
-        repoStats.changesRequested += changesRequested;
-        if (timeToMerge) {
-          repoStats.mergeTimesSum += timeToMerge;
-          repoStats.mergeTimesCount++;
-        }
+  // Process issues assigned to user
+  const openIssuesAssigned = issuesAssigned.filter(i => i.state === 'open');
+  const closedIssuesAssigned = issuesAssigned.filter(i => i.state === 'closed');
+
+  const issueAssignedDetails = issuesAssigned.map(issue => {
+    const { owner, repo } = getRepoFromUrl(issue.repository_url);
+    return {
+      number: issue.number,
+      title: issue.title,
+      repo: `${owner}/${repo}`,
+      state: issue.state,
+      comments: issue.comments || 0,
+      createdAt: issue.created_at,
+      closedAt: issue.closed_at,
+      url: issue.html_url,
+      type: 'assigned',
+    };
+  });
 
-        process.stdout.write('.');
-      } catch (err) {
-        process.stdout.write('x');
-      }
-    }
-    console.log();
-
-    // Process issues created by user
-    const openIssuesCreated = issuesCreated.filter(i => i.state === 'open');
-    const closedIssuesCreated = issuesCreated.filter(i => i.state === 'closed');
-
-    const issueCreatedDetails = issuesCreated.map(issue => {
-      const urlParts = issue.repository_url.split('/');
-      const owner = urlParts[urlParts.length - 2];
-      const repo = urlParts[urlParts.length - 1];
-      return {
-        number: issue.number,
-        title: issue.title,
-        repo: `${owner}/${repo}`,
-        state: issue.state,
-        comments: issue.comments || 0,
-        createdAt: issue.created_at,
-        closedAt: issue.closed_at,
-        url: issue.html_url,
-        type: 'created',
-      };
-    });
+  // Process PRs reviewed by user
+  const prsReviewedDetails = prsReviewed.map(pr => {
+    const { owner, repo } = getRepoFromUrl(pr.repository_url);
+    return {
+      number: pr.number,
+      title: pr.title,
+      repo: `${owner}/${repo}`,
+      state: pr.state,
+      merged: !!pr.pull_request?.merged_at,
+      createdAt: pr.created_at,
+      url: pr.html_url,
+    };
+  });
 
-    // Process issues assigned to user
-    const openIssuesAssigned = issuesAssigned.filter(i => i.state === 'open');
-    const closedIssuesAssigned = issuesAssigned.filter(i => i.state === 'closed');
-
-    const issueAssignedDetails = issuesAssigned.map(issue => {
-      const urlParts = issue.repository_url.split('/');
-      const owner = urlParts[urlParts.length - 2];
-      const repo = urlParts[urlParts.length - 1];
-      return {
-        number: issue.number,
-        title: issue.title,
-        repo: `${owner}/${repo}`,
-        state: issue.state,
-        comments: issue.comments || 0,
-        createdAt: issue.created_at,
-        closedAt: issue.closed_at,
-        url: issue.html_url,
-        type: 'assigned',
-      };
+  // Calculate summaries
+  const mergedPRs = prDetails.filter(pr => pr.merged);
+  const openPRs = prDetails.filter(pr => pr.state === 'open');
+  const closedPRs = prDetails.filter(pr => pr.state === 'closed' && !pr.merged);
+
+  const totalComments = prDetails.reduce((sum, pr) => sum + pr.comments, 0);
+  const totalChangesRequested = prDetails.reduce((sum, pr) => sum + pr.changesRequested, 0);
+  const mergeTimes = mergedPRs.map(pr => pr.timeToMerge).filter(t => t !== null);
+
+  // No merged PRs means no average, rather than an average of 0 days
+  const avgTimeToMerge = mergeTimes.length > 0
+    ? Number((mergeTimes.reduce((a, b) => a + b, 0) / mergeTimes.length).toFixed(2))
+    : null;
+
+  // AI stats
+  const aiAssistedPRs = prDetails.filter(pr => pr.aiAssisted);
+  const aiToolsCount = {};
+  aiAssistedPRs.forEach(pr => {
+    pr.aiTools.forEach(tool => {
+      aiToolsCount[tool] = (aiToolsCount[tool] || 0) + 1;
     });
+  });
 
-    // Process PRs reviewed by user
-    const prsReviewedDetails = prsReviewed.map(pr => {
-      const urlParts = pr.repository_url.split('/');
-      const owner = urlParts[urlParts.length - 2];
-      const repo = urlParts[urlParts.length - 1];
-      return {
-        number: pr.number,
-        title: pr.title,
-        repo: `${owner}/${repo}`,
-        state: pr.state,
-        merged: !!pr.pull_request?.merged_at,
-        createdAt: pr.created_at,
-        url: pr.html_url,
-      };
-    });
+  // Changes requested distribution (code quality metric)
+  const changesRequestedDistribution = {};
+  prDetails.forEach(pr => {
+    const changes = pr.changesRequested;
+    changesRequestedDistribution[changes] = (changesRequestedDistribution[changes] || 0) + 1;
+  });
 
-    // Calculate summaries
-    const mergedPRs = prDetails.filter(pr => pr.merged);
-    const openPRs = prDetails.filter(pr => pr.state === 'open');
-    const closedPRs = prDetails.filter(pr => pr.state === 'closed' && !pr.merged);
-
-    const totalComments = prDetails.reduce((sum, pr) => sum + pr.comments, 0);
-    const totalChangesRequested = prDetails.reduce((sum, pr) => sum + pr.changesRequested, 0);
-    const mergeTimes = mergedPRs.map(pr => pr.timeToMerge).filter(t => t !== null);
-
-    const avgTimeToMerge = mergeTimes.length > 0
-      ? Number((mergeTimes.reduce((a, b) => a + b, 0) / mergeTimes.length).toFixed(2))
-      : 0;
-
-    // AI stats
-    const aiAssistedPRs = prDetails.filter(pr => pr.aiAssisted);
-    const aiToolsCount = {};
-    aiAssistedPRs.forEach(pr => {
-      pr.aiTools.forEach(tool => {
-        aiToolsCount[tool] = (aiToolsCount[tool] || 0) + 1;
-      });
-    });
+  // Repo breakdown
+  const repoBreakdown = Array.from(repoMap.values())
+    .map(r => ({
+      ...r,
+      avgTimeToMerge: r.mergeTimesCount > 0
+        ? Number((r.mergeTimesSum / r.mergeTimesCount).toFixed(2))
+        : null,
+    }))
+    .sort((a, b) => b.totalPRs - a.totalPRs)
+    .slice(0, Number(options.top));
+
+  return {
+    user: options.user,
+    orgFilter: options.org || null,
+    dateRange: {
+      since: options.since || null,
+      until: options.until || null,
+    },
+    durations: calendar.describe(),
+    bots: bots.describe(),
+    summary: {
+      totalPRs: prDetails.length,
+      mergedPRs: mergedPRs.length,
+      openPRs: openPRs.length,
+      closedPRs: closedPRs.length,
+      reposContributed: repoMap.size,
+      totalComments,
+      avgCommentsPerPR: prDetails.length > 0 ? Number((totalComments / prDetails.length).toFixed(2)) : 0,
+      // Reviews and comments by bots, reported on their own whether or not they are counted above
+      botActivity: prDetails.reduce((sum, pr) => sum + (pr.botActivity || 0), 0),
+      totalChangesRequested,
+      avgChangesRequestedPerPR: prDetails.length > 0 ? Number((totalChangesRequested / prDetails.length).toFixed(2)) : 0,
+      avgTimeToMerge,
+      cycleTime: summarizeCycleTimes(prDetails.map(pr => pr.cycleTime), parseDurationStats(options.stats)),
+      distributions: summarizeDistributions(prDetails, parseStats(options.stats)),
+      aiAssistedPRs: aiAssistedPRs.length,
+      aiAssistedPercentage: prDetails.length > 0 ? Number(((aiAssistedPRs.length / prDetails.length) * 100).toFixed(1)) : 0,
+      aiToolsBreakdown: aiToolsCount,
+      changesRequestedDistribution,
+      // Issues created by user
+      totalIssuesCreated: issuesCreated.length,
+      openIssuesCreated: openIssuesCreated.length,
+      closedIssuesCreated: closedIssuesCreated.length,
+      // Issues assigned to user
+      totalIssuesAssigned: issuesAssigned.length,
+      openIssuesAssigned: openIssuesAssigned.length,
+      closedIssuesAssigned: closedIssuesAssigned.length,
+      // PRs reviewed by user
+      totalPRsReviewed: prsReviewed.length,
+    },
+    reviewerWorkload: aggregateReviewerWorkload(reviewActivity, { calendar, stats: parseDurationStats(options.stats) }),
+    repoBreakdown,
+    granularity: options.granularity || undefined,
+    timeseries: options.granularity ? buildTimeseries(prDetails, options.granularity, options) : undefined,
+    incomplete: false,
+    warnings,
+    prs: prDetails,
+    issuesCreated: issueCreatedDetails,
+    issuesAssigned: issueAssignedDetails,
+    prsReviewed: prsReviewedDetails,
+  };
+}
 
-    // Changes requested distribution (code quality metric)
-    const changesRequestedDistribution = {};
-    prDetails.forEach(pr => {
-      const changes = pr.changesRequested;
-      changesRequestedDistribution[changes] = (changesRequestedDistribution[changes] || 0) + 1;
-    });
+/**
+ * Summary of the --compare-to baseline period. Only raised PRs need details here:
+ * the summary counts reviewed PRs but does not use their review activity.
+ */
+async function fetchBaseline(client, options, window, calendar, bots, identities) {
+  const baselineOptions = { ...options, ...window };
+  const toStderr = isMachineReadable(options.format);
+  const progress = toStderr ? process.stderr : process.stdout;
+  printInfo(`Fetching baseline period ${window.since} to ${window.until}...`, toStderr);
+
+  const found = await fetchSummaryItems(client, options.user, baselineOptions, identities);
+  await client.prefetchPRDetails(found.prs.map(pr => ({ ...getRepoFromUrl(pr.repository_url), number: pr.number })));
+
+  const prDetails = await runPool(found.prs, async (pr) => {
+    try {
+      const prData = await getPRData(client, pr, calendar, bots);
+      progress.write('.');
+      return prData;
+    } catch (err) {
+      if (err instanceof ReplayMissError) throw err;
+      progress.write('x');
+      return null;
+    }
+  }, {
+    concurrency: Number(options.concurrency) || 1,
+    getLimit: (concurrency) => client.getConcurrencyLimit(concurrency),
+  });
+  progress.write('\n');
+
+  const { dateRange, summary: baselineSummary } = buildResult(baselineOptions, {
+    ...found,
+    prDetails: prDetails.filter(Boolean),
+    reviewActivity: [],
+    warnings: [],
+    calendar,
+    bots,
+  });
+  return { dateRange, summary: baselineSummary };
+}
+
+// Checkpoint keys of reviewed PRs, kept apart from authored PRs (keyed by URL)
+const getReviewKey = (pr) => `review:${pr.html_url}`;
+
+/**
+ * Processed PRs in search order (or checkpoint order if the searches never completed)
+ */
+function getProcessedPRs(checkpoint, prs) {
+  return prs
+    ? prs.map(pr => checkpoint.get(pr.html_url)).filter(Boolean)
+    : Array.from(checkpoint.processed).filter(([key]) => !key.startsWith('review:')).map(([, data]) => data);
+}
+
+/**
+ * Processed review activity of reviewed PRs, in search order
+ */
+function getProcessedReviews(checkpoint, prsReviewed) {
+  return prsReviewed
+    ? prsReviewed.map(pr => checkpoint.get(getReviewKey(pr))).filter(Boolean)
+    : Array.from(checkpoint.processed).filter(([key]) => key.startsWith('review:')).map(([, data]) => data);
+}
+
+/**
+ * Save progress and write what was collected so far, flagged as incomplete
+ */
+function writePartialResult(options, checkpoint, found, client, reason) {
+  checkpoint.save();
+
+  const prDetails = getProcessedPRs(checkpoint, found?.prs);
+  const total = found ? found.prs.length : 'an unknown number of';
+  const result = buildResult(options, {
+    issuesCreated: [],
+    issuesAssigned: [],
+    prsReviewed: [],
+    ...found,
+    prDetails,
+    reviewActivity: getProcessedReviews(checkpoint, found?.prsReviewed),
+    warnings: [
+      `Run ${reason} after ${prDetails.length} of ${total} PRs; results are incomplete. Run again with --resume to continue`,
+      ...(client ? client.getWarnings() : []),
+    ],
+    calendar: createCalendar(options),
+    bots: createBotFilter(options),
+  });
+  result.incomplete = true;
+
+  const filename = options.export || checkpoint.partialFile;
+  if (filename.endsWith('.csv')) {
+    exportToCSV(result, filename);
+  } else {
+    fs.writeFileSync(filename, JSON.stringify(result, null, 2));
+  }
+  printWarning(`Partial results written to ${filename}`);
+}
+
+/**
+ * Main summary command handler
+ */
+export async function summary(options) {
+  // Kept outside the try block so a fatal error can still write out partial results
+  let client = null;
+  let checkpoint = null;
+  let found = null;
 
-    // Repo breakdown
-    const repoBreakdown = Array.from(repoMap.values())
-      .map(r => ({
-        ...r,
-        avgTimeToMerge: r.mergeTimesCount > 0
-          ? Number((r.mergeTimesSum / r.mergeTimesCount).toFixed(2))
-          : null,
-      }))
-      .sort((a, b) => b.totalPRs - a.totalPRs)
-      .slice(0, Number(options.top));
-
-    const result = {
+  try {
+    parseGranularity(options.granularity);
+    parseStats(options.stats);
+    const baselineWindow = parseCompareTo(options.compareTo, options);
+    const calendar = createCalendar(options);
+    const bots = createBotFilter(options);
+    const identities = createIdentityMap(options);
+    const aliases = identities.aliases(options.user);
+    client = createClient(options);
+    const toStderr = isMachineReadable(options.format);
+    const progress = toStderr ? process.stderr : process.stdout;
+
+    const params = {
       user: options.user,
-      orgFilter: options.org || null,
-      dateRange: {
-        since: options.since || null,
-        until: options.until || null,
-      },
-      summary: {
-        totalPRs: prDetails.length,
-        mergedPRs: mergedPRs.length,
-        openPRs: openPRs.length,
-        closedPRs: closedPRs.length,
-        reposContributed: repoMap.size,
-        totalComments,
-        avgCommentsPerPR: prDetails.length > 0 ? Number((totalComments / prDetails.length).toFixed(2)) : 0,
-        totalChangesRequested,
-        avgChangesRequestedPerPR: prDetails.length > 0 ? Number((totalChangesRequested / prDetails.length).toFixed(2)) : 0,
-        avgTimeToMerge,
-        aiAssistedPRs: aiAssistedPRs.length,
-        aiAssistedPercentage: prDetails.length > 0 ? Number(((aiAssistedPRs.length / prDetails.length) * 100).toFixed(1)) : 0,
-        aiToolsBreakdown: aiToolsCount,
-        changesRequestedDistribution,
-        // Issues created by user
-        totalIssuesCreated: issuesCreated.length,
-        openIssuesCreated: openIssuesCreated.length,
-        closedIssuesCreated: closedIssuesCreated.length,
-        // Issues assigned to user
-        totalIssuesAssigned: issuesAssigned.length,
-        openIssuesAssigned: openIssuesAssigned.length,
-        closedIssuesAssigned: closedIssuesAssigned.length,
-        // PRs reviewed by user
-        totalPRsReviewed: prsReviewed.length,
-      },
-      repoBreakdown,
-      prs: prDetails,
-      issuesCreated: issueCreatedDetails,
-      issuesAssigned: issueAssignedDetails,
-      prsReviewed: prsReviewedDetails,
+      org: options.org || null,
+      since: options.since || null,
+      until: options.until || null,
+      identity: options.identity || [],
+      // Only in business time, so calendar-time runs keep resuming checkpoints from before business time existed
+      ...(calendar.mode === 'business' && { durations: calendar.describe() }),
+      // Likewise only when bots are counted or extra bot accounts are configured
+      ...((bots.includeBots || bots.accounts.size > 0) && { bots: bots.describe() }),
+      ...(aliases.length > 1 && { aliases }),
+    };
+    checkpoint = new Checkpoint(options.checkpoint || Checkpoint.getFile('summary', params, options.cacheDir), params);
+    if (options.resume) {
+      const done = checkpoint.load();
+      printInfo(done > 0
+        ? `Resuming from ${checkpoint.file}: ${done} PRs already processed`
+        : 'No checkpoint to resume from, starting from scratch', toStderr);
+    }
+
+    const orgFilter = options.org ? ` in org(s): ${options.org}` : '';
+    const aliasNote = aliases.length > 1 ? ` (as ${aliases.join(', ')})` : '';
+    printInfo(`Fetching all metrics for ${options.user}${aliasNote}${orgFilter}...`, toStderr);
+
+    found = await fetchSummaryItems(client, options.user, options, identities);
+    const { prs, issuesCreated, issuesAssigned, prsReviewed } = found;
+
+    if (prs.length === 0 && issuesCreated.length === 0 && issuesAssigned.length === 0 && prsReviewed.length === 0) {
+      printInfo(`No PRs or issues found for user ${options.user}`, toStderr);
+      client.getWarnings().forEach(printWarning);
+      return;
+    }
+
+    // PRs already in the checkpoint are not fetched again
+    const pending = prs.filter(pr => !checkpoint.has(pr.html_url));
+    const remaining = pending.length < prs.length ? ` for the ${pending.length} remaining PRs` : '';
+    printInfo(`Found ${prs.length} PRs raised, ${issuesCreated.length} issues created, ${issuesAssigned.length} issues assigned, ${prsReviewed.length} PRs reviewed. Fetching details${remaining}...`, toStderr);
+
+    // With --api graphql, reviews, comments and commits come from batched queries
+    await client.prefetchPRDetails(pending.map(pr => ({ ...getRepoFromUrl(pr.repository_url), number: pr.number })));
+
+    // Ctrl-C: keep what was collected so the run can be resumed
+    const onInterrupt = () => {
+      progress.write('\n');
+      writePartialResult(options, checkpoint, found, client, 'was interrupted');
+      process.exit(130);
     };
+    process.once('SIGINT', onInterrupt);
+
+    await runPool(pending, async (pr) => {
+      try {
+        checkpoint.record(pr.html_url, await getPRData(client, pr, calendar, bots));
+        progress.write('.');
+      } catch (err) {
+        if (err instanceof ReplayMissError) throw err;
+        progress.write('x');
+      }
+    }, {
+      concurrency: Number(options.concurrency) || 1,
+      getLimit: (concurrency) => client.getConcurrencyLimit(concurrency),
+    });
+    progress.write('\n');
+
+    // Reviews, inline comments and review requests on the PRs the user reviewed
+    const pendingReviews = prsReviewed.filter(pr => !checkpoint.has(getReviewKey(pr)));
+    if (pendingReviews.length > 0) {
+      printInfo(`Fetching review activity for ${pendingReviews.length} reviewed PRs...`, toStderr);
+      const logins = [options.user, ...(options.identity || []).map(spec => parseIdentity(spec).login)];
+
+      await runPool(pendingReviews, async (pr) => {
+        try {
+          checkpoint.record(getReviewKey(pr), await getReviewData(client, pr, logins, identities));
+          progress.write('.');
+        } catch (err) {
+          if (err instanceof ReplayMissError) throw err;
+          progress.write('x');
+        }
+      }, {
+        concurrency: Number(options.concurrency) || 1,
+        getLimit: (concurrency) => client.getConcurrencyLimit(concurrency),
+      });
+      progress.write('\n');
+    }
+    process.removeListener('SIGINT', onInterrupt);
+
+    // Aggregate in input order so output is deterministic regardless of completion order
+    const result = buildResult(options, {
+      prDetails: getProcessedPRs(checkpoint, prs),
+      issuesCreated,
+      issuesAssigned,
+      prsReviewed,
+      reviewActivity: getProcessedReviews(checkpoint, prsReviewed),
+      warnings: client.getWarnings(),
+      calendar,
+      bots,
+    });
+
+    if (baselineWindow) {
+      const baseline = await fetchBaseline(client, options, baselineWindow, calendar, bots, identities);
+      result.comparison = { baseline, deltas: compareSummaries(result.summary, baseline.summary) };
+      // Searches for the baseline can be truncated too
+      result.warnings = client.getWarnings();
+    }
 
     // Output
     switch (options.format) {
@@ -775,14 +1125,22 @@ export async function summary(options) {
       const filename = options.export;
       if (filename.endsWith('.csv')) {
         const csvFile = exportToCSV(result, filename);
-        printSuccess(`Data exported to: ${csvFile}`);
+        printSuccess(`Data exported to: ${csvFile}`, toStderr);
       } else {
-        exportToFile(result, filename.endsWith('.json') ? filename : `${filename}.json`);
+        exportToFile(result, filename.endsWith('.json') ? filename : `${filename}.json`, toStderr);
       }
     }
 
+    // Say plainly when results were truncated rather than under-reporting silently
+    result.warnings.forEach(printWarning);
+    printApiUsage(client.getUsage());
+
+    checkpoint.remove();
   } catch (error) {
     printError(error.message);
+    if (checkpoint?.size > 0) {
+      writePartialResult(options, checkpoint, found, client, `stopped on an error (${error.message})`);
+    }
     process.exit(1);
   }
 }
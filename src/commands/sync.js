@@ -0,0 +1,158 @@
+/**
+ * Sync Command
+ * Incrementally copy PRs, reviews, comments, commits and issues into the local metrics store
+ */
+
+import { createClient } from '../lib/client-factory.js';
+import { ReplayMissError } from '../lib/recorder.js';
+import { getRepoFromUrl } from '../lib/github-client.js';
+import { MetricsStore } from '../lib/store.js';
+import { runPool } from '../lib/pool.js';
+import {
+  printError,
+  printInfo,
+  printSuccess,
+  printWarning,
+  printApiUsage,
+} from '../lib/formatters.js';
+
+const splitList = (value) => (value ? value.split(',').map(v => v.trim()).filter(Boolean) : []);
+
+/**
+ * Fetch and store full details (reviews, comments, commits, timeline) for PRs.
+ * Returns the number of PRs that could not be fetched.
+ */
+async function syncPullDetails(client, store, refs, options) {
+  if (refs.length === 0) return 0;
+
+  printInfo(`Fetching details for ${refs.length} PRs...`);
+  await client.prefetchPRDetails(refs);
+
+  const results = await runPool(refs, async ({ owner, repo, number }) => {
+    try {
+      const [details, { timeline }] = await Promise.all([
+        client.fetchPRDetails(owner, repo, number),
+        client.fetchReviewActivity(owner, repo, number),
+      ]);
+      store.putPullDetails(owner, repo, { ...details, timeline });
+      process.stdout.write('.');
+      return true;
+    } catch (err) {
+      if (err instanceof ReplayMissError) throw err;
+      process.stdout.write('x');
+      return false;
+    }
+  }, {
+    concurrency: Number(options.concurrency) || 1,
+    getLimit: (concurrency) => client.getConcurrencyLimit(concurrency),
+  });
+  console.log();
+
+  return results.filter(ok => !ok).length;
+}
+
+/**
+ * Sync a user's PRs, issues, assigned issues and reviewed PRs (within --org, if given)
+ */
+async function syncUser(client, store, user, options) {
+  const target = options.org ? `user:${user} org:${options.org}` : `user:${user}`;
+  const startedAt = new Date().toISOString();
+  const lastSync = store.getLastSync(target);
+
+  // Re-fetch anything updated on or after the day of the last sync
+  const searchOptions = { org: options.org, since: lastSync?.slice(0, 10), dateField: 'updated' };
+  printInfo(lastSync
+    ? `Fetching ${user}'s PRs and issues updated since ${lastSync.slice(0, 10)}...`
+    : `Fetching all of ${user}'s PRs and issues...`);
+
+  const [authoredPRs, issues, assignedIssues, reviewedPRs] = await Promise.all([
+    client.fetchUserPRsAcrossRepos(user, searchOptions),
+    client.fetchUserIssuesAcrossRepos(user, searchOptions),
+    client.fetchAssignedIssues(user, searchOptions),
+    client.fetchReviewRequestedPRs(user, searchOptions),
+  ]);
+
+  store.putItems([...authoredPRs, ...issues, ...assignedIssues]);
+  store.putItems(reviewedPRs, { reviewedBy: user });
+
+  const prs = new Map([...authoredPRs, ...reviewedPRs].map(pr => [pr.url, pr]));
+  const refs = [...prs.values()].map(pr => ({ ...getRepoFromUrl(pr.repository_url), number: pr.number }));
+  const failed = await syncPullDetails(client, store, refs, options);
+
+  store.save();
+  finishTarget(store, target, startedAt, failed);
+}
+
+/**
+ * Sync a repository's PRs and contributor stats
+ */
+async function syncRepo(client, store, fullName, options) {
+  // GitLab projects can sit in nested groups (group/subgroup/project)
+  const slash = fullName.lastIndexOf('/');
+  const owner = fullName.slice(0, slash);
+  const repo = fullName.slice(slash + 1);
+  if (slash <= 0 || !repo) {
+    throw new Error(`Invalid repository "${fullName}". Use owner/repo`);
+  }
+
+  const target = `repo:${owner}/${repo}`;
+  const startedAt = new Date().toISOString();
+  const lastSync = store.getLastSync(target);
+
+  printInfo(lastSync
+    ? `Fetching ${owner}/${repo} PRs updated since ${lastSync}...`
+    : `Fetching all ${owner}/${repo} PRs...`);
+
+  const prs = await client.fetchUpdatedRepoPRs(owner, repo, lastSync);
+  const failed = await syncPullDetails(client, store, prs.map(pr => ({ owner, repo, number: pr.number })), options);
+
+  // Contributor stats are a single aggregate, so they are always refreshed
+  store.putContributorStats(owner, repo, await client.fetchContributorStats(owner, repo));
+
+  store.save();
+  finishTarget(store, target, startedAt, failed);
+}
+
+/**
+ * Record a successful sync. With failed PRs the previous sync time is kept,
+ * so the next run fetches them again.
+ */
+function finishTarget(store, target, startedAt, failed) {
+  if (failed > 0) {
+    printWarning(`${failed} PRs for ${target} could not be fetched; they will be retried on the next sync`);
+    return;
+  }
+  store.setLastSync(target, startedAt);
+}
+
+/**
+ * Main sync command handler
+ */
+export async function sync(options) {
+  try {
+    const users = splitList(options.user);
+    const repos = splitList(options.repo);
+    if (users.length === 0 && repos.length === 0) {
+      throw new Error('Nothing to sync. Pass --user and/or --repo');
+    }
+
+    const client = createClient(options);
+    const store = new MetricsStore(options.store);
+
+    printInfo(`Syncing into ${store.dir}`);
+
+    for (const user of users) {
+      await syncUser(client, store, user, options);
+    }
+    for (const repo of repos) {
+      await syncRepo(client, store, repo, options);
+    }
+
+    client.getWarnings().forEach(printWarning);
+    printSuccess(`Store now holds ${store.values('items').length} PRs/issues and details for ${store.values('pulls').length} PRs`);
+    printApiUsage(client.getUsage());
+  } catch (error) {
+    printError(error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,407 @@
+/**
+ * Team Command
+ * Run the summary pipeline for every member of a team and compare them in one report
+ */
+
+import { createClient } from '../lib/client-factory.js';
+import { ReplayMissError } from '../lib/recorder.js';
+import { getRepoFromUrl } from '../lib/github-client.js';
+import { runPool } from '../lib/pool.js';
+import { summarizeCycleTimes } from '../lib/cycle-time.js';
+import { median, parseStats, parseDurationStats, summarizeDistributions } from '../lib/stats.js';
+import { createCalendar } from '../lib/calendar.js';
+import { createBotFilter } from '../lib/bots.js';
+import { createIdentityMap } from '../lib/identities.js';
+import {
+  fetchSummaryItems,
+  getPRData,
+  getReviewData,
+  aggregateRepos,
+  buildResult,
+} from './summary.js';
+import {
+  formatJSON,
+  formatCycleTimeTable,
+  formatDistributionTable,
+  getDistributionRows,
+  printDurationMode,
+  exportToFile,
+  printError,
+  isMachineReadable,
+  printInfo,
+  printSuccess,
+  printApiUsage,
+  printWarning,
+} from '../lib/formatters.js';
+import fs from 'fs';
+import chalk from 'chalk';
+import Table from 'cli-table3';
+
+// Per-member columns that are totalled and have a team median
+const MEMBER_COLUMNS = {
+  totalPRs: 'PRs',
+  mergedPRs: 'Merged',
+  openPRs: 'Open',
+  avgTimeToMerge: 'Avg Merge (d)',
+  totalComments: 'Comments',
+  changesRequested: 'Chg Req',
+  prsReviewed: 'Reviewed',
+  reviewsSubmitted: 'Reviews',
+  inlineComments: 'Inline',
+  issuesCreated: 'Issues',
+  issuesAssigned: 'Assigned',
+};
+
+// Averages can't be summed; the team total is the average over all merged PRs instead
+const AVERAGE_COLUMNS = ['avgTimeToMerge'];
+
+const splitList = (value) => (value ? value.split(',').map(v => v.trim()).filter(Boolean) : []);
+
+/**
+ * Logins from a roster file: one or more per line (comma-separated), `#` starts a comment
+ */
+function readRoster(file) {
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw new Error(`Cannot read roster file ${file}: ${err.message}`);
+  }
+  return content.split('\n').flatMap(line => splitList(line.replace(/#.*/, '')));
+}
+
+/**
+ * Team members from --users, --roster and --gh-team, without duplicates;
+ * accounts of the same person in the identity map become that person's canonical login
+ */
+async function resolveMembers(client, options, identities) {
+  const members = [...splitList(options.users)];
+  if (options.roster) {
+    members.push(...readRoster(options.roster));
+  }
+  if (options.ghTeam) {
+    const [org, slug] = options.ghTeam.split('/');
+    if (!org || !slug) {
+      throw new Error(`Invalid team "${options.ghTeam}". Use org/team-slug`);
+    }
+    if (!client.fetchTeamMembers) {
+      throw new Error('--gh-team needs the GitHub API; use --users or --roster with --provider gitlab or --from-store');
+    }
+    printInfo(`Fetching members of ${options.ghTeam}...`, isMachineReadable(options.format));
+    members.push(...await client.fetchTeamMembers(org, slug));
+  }
+
+  const seen = new Set();
+  const unique = members.map(member => identities.resolve(member)).filter(member => {
+    const key = member.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  if (unique.length === 0) {
+    throw new Error('No team members. Pass --users, --roster or --gh-team');
+  }
+  return unique;
+}
+
+/**
+ * Distinct items across members' search results, in first-seen order
+ */
+function uniqueByUrl(lists) {
+  const items = new Map();
+  lists.flat().forEach(item => {
+    if (!items.has(item.html_url)) items.set(item.html_url, item);
+  });
+  return Array.from(items.values());
+}
+
+/**
+ * Fetch details for each PR once, whichever members it belongs to. Returns html_url -> data.
+ */
+async function fetchOnce(client, prs, fetchData, options) {
+  const data = new Map();
+  const progress = isMachineReadable(options.format) ? process.stderr : process.stdout;
+  await runPool(prs, async (pr) => {
+    try {
+      data.set(pr.html_url, await fetchData(pr));
+      progress.write('.');
+    } catch (err) {
+      if (err instanceof ReplayMissError) throw err;
+      progress.write('x');
+    }
+  }, {
+    concurrency: Number(options.concurrency) || 1,
+    getLimit: (concurrency) => client.getConcurrencyLimit(concurrency),
+  });
+  progress.write('\n');
+  return data;
+}
+
+/**
+ * One comparison row from a member's summary result
+ */
+function toMemberRow(result) {
+  const workload = result.reviewerWorkload[0];
+  return {
+    user: result.user,
+    totalPRs: result.summary.totalPRs,
+    mergedPRs: result.summary.mergedPRs,
+    openPRs: result.summary.openPRs,
+    // No merged PRs: left out of the team median rather than counted as 0
+    avgTimeToMerge: result.summary.mergedPRs > 0 ? result.summary.avgTimeToMerge : null,
+    totalComments: result.summary.totalComments,
+    changesRequested: result.summary.totalChangesRequested,
+    prsReviewed: result.summary.totalPRsReviewed,
+    reviewsSubmitted: workload?.reviewsSubmitted || 0,
+    inlineComments: workload?.inlineComments || 0,
+    medianHoursToFirstReview: workload?.medianHoursToFirstReview ?? null,
+    issuesCreated: result.summary.totalIssuesCreated,
+    issuesAssigned: result.summary.totalIssuesAssigned,
+    aiAssistedPRs: result.summary.aiAssistedPRs,
+    botActivity: result.summary.botActivity,
+    reposContributed: result.summary.reposContributed,
+  };
+}
+
+/**
+ * Team totals, per-member medians, per-member rows and per-repo rollups
+ */
+function buildTeamResult(options, members, memberResults, warnings, calendar, bots) {
+  const memberBreakdown = memberResults.map(toMemberRow);
+  const prs = memberResults.flatMap(result => result.prs.map(pr => ({ ...pr, author: result.user })));
+
+  const mergeTimes = prs.filter(pr => pr.merged && pr.timeToMerge !== null).map(pr => pr.timeToMerge);
+  const totals = Object.fromEntries(Object.keys(MEMBER_COLUMNS).map(key => [
+    key,
+    AVERAGE_COLUMNS.includes(key)
+      ? (mergeTimes.length ? Number((mergeTimes.reduce((a, b) => a + b, 0) / mergeTimes.length).toFixed(2)) : 0)
+      : memberBreakdown.reduce((sum, row) => sum + row[key], 0),
+  ]));
+  const medians = Object.fromEntries(Object.keys(MEMBER_COLUMNS).map(key => [
+    key,
+    median(memberBreakdown.map(row => row[key]).filter(value => value !== null)),
+  ]));
+
+  const authors = new Map();
+  prs.forEach(pr => {
+    if (!authors.has(pr.repo)) authors.set(pr.repo, new Set());
+    authors.get(pr.repo).add(pr.author);
+  });
+  const repoBreakdown = Array.from(aggregateRepos(prs).values())
+    .map(r => ({
+      ...r,
+      authors: authors.get(r.repo).size,
+      avgTimeToMerge: r.mergeTimesCount > 0
+        ? Number((r.mergeTimesSum / r.mergeTimesCount).toFixed(2))
+        : null,
+    }))
+    .sort((a, b) => b.totalPRs - a.totalPRs)
+    .slice(0, Number(options.top));
+
+  return {
+    team: options.ghTeam || null,
+    members,
+    orgFilter: options.org || null,
+    dateRange: {
+      since: options.since || null,
+      until: options.until || null,
+    },
+    totals: {
+      ...totals,
+      uniquePRsReviewed: new Set(memberResults.flatMap(result => result.prsReviewed.map(pr => pr.url))).size,
+      botActivity: memberBreakdown.reduce((sum, row) => sum + row.botActivity, 0),
+    },
+    medians,
+    durations: calendar.describe(),
+    bots: bots.describe(),
+    cycleTime: summarizeCycleTimes(prs.map(pr => pr.cycleTime), parseDurationStats(options.stats)),
+    distributions: summarizeDistributions(prs, parseStats(options.stats)),
+    // The team's PRs aren't listed, so business-time runs summarise their calendar time here
+    ...(calendar.mode === 'business' && {
+      calendarCycleTime: summarizeCycleTimes(prs.map(pr => pr.calendarCycleTime), parseDurationStats(options.stats)),
+      calendarTimeToMerge: summarizeDistributions(prs.map(pr => ({ timeToMerge: pr.calendarTimeToMerge })), parseStats(options.stats), ['timeToMerge']).timeToMerge,
+    }),
+    memberBreakdown,
+    repoBreakdown,
+    warnings,
+  };
+}
+
+/**
+ * Format the team comparison as tables
+ */
+function formatTeamTable(data) {
+  console.log('\n' + chalk.bold.blue('═'.repeat(105)));
+  console.log(chalk.bold.white(`  GitHub Team Summary: ${data.team || `${data.members.length} members`}`));
+  console.log(chalk.bold.blue('═'.repeat(105)));
+
+  if (data.orgFilter) {
+    console.log(`  ${chalk.gray('Organization(s):')} ${chalk.white(data.orgFilter)}`);
+  }
+  if (data.dateRange.since || data.dateRange.until) {
+    console.log(`  ${chalk.gray('Period:')} ${data.dateRange.since || 'all time'} to ${data.dateRange.until || 'now'}`);
+  }
+  printDurationMode(data.durations);
+
+  console.log('\n' + chalk.bold.yellow('  Members'));
+  console.log(chalk.gray('  ' + '─'.repeat(101)));
+
+  const columns = Object.keys(MEMBER_COLUMNS);
+  const memberTable = new Table({
+    head: ['Member', ...Object.values(MEMBER_COLUMNS)],
+    style: { head: ['cyan'], border: ['gray'] },
+  });
+
+  data.memberBreakdown.forEach(row => {
+    memberTable.push([row.user, ...columns.map(key => row[key] ?? '-')]);
+  });
+  memberTable.push([chalk.bold('Total'), ...columns.map(key => chalk.bold(data.totals[key]))]);
+  memberTable.push([chalk.gray('Median'), ...columns.map(key => chalk.gray(data.medians[key] ?? '-'))]);
+  console.log(memberTable.toString());
+  console.log(chalk.gray(`  Reviewed counts a PR once per reviewing member; ${data.totals.uniquePRsReviewed} distinct PRs were reviewed`));
+  console.log(chalk.gray(`  Bot reviews and comments on the team's PRs: ${data.totals.botActivity} (${data.bots.included ? 'included' : 'excluded'})`));
+
+  formatCycleTimeTable(data.cycleTime, 105, data.durations.hoursPerDay);
+  formatDistributionTable(data.distributions, 105);
+
+  if (data.repoBreakdown.length > 0) {
+    console.log('\n' + chalk.bold.yellow('  Contribution by Repository'));
+    console.log(chalk.gray('  ' + '─'.repeat(101)));
+
+    const repoTable = new Table({
+      head: ['Repository', 'PRs', 'Merged', 'Authors', 'Comments', 'Changes Req', 'Avg Merge Time'],
+      colWidths: [35, 8, 9, 9, 11, 13, 16],
+      style: { head: ['cyan'], border: ['gray'] },
+    });
+
+    data.repoBreakdown.forEach(repo => {
+      repoTable.push([
+        repo.repo.length > 33 ? repo.repo.substring(0, 30) + '...' : repo.repo,
+        repo.totalPRs,
+        chalk.green(repo.mergedPRs),
+        repo.authors,
+        repo.totalComments,
+        repo.changesRequested,
+        repo.avgTimeToMerge ? `${repo.avgTimeToMerge} days` : '-',
+      ]);
+    });
+
+    console.log(repoTable.toString());
+  }
+
+  console.log();
+}
+
+/**
+ * Export the team comparison to a CSV file with sections
+ */
+function exportToCSV(data, filename) {
+  const toRow = (cells) => cells.map(cell => `"${String(cell ?? '').replace(/"/g, '""')}"`).join(',');
+  const columns = Object.keys(MEMBER_COLUMNS);
+  const rows = [];
+
+  rows.push(toRow(['=== TEAM MEMBERS ===']));
+  rows.push(toRow(['Member', ...Object.values(MEMBER_COLUMNS), 'Median Time to First Review (hours)', 'AI-Assisted PRs', 'Bot Reviews & Comments', 'Repos Contributed']));
+  data.memberBreakdown.forEach(row => {
+    rows.push(toRow([row.user, ...columns.map(key => row[key]), row.medianHoursToFirstReview, row.aiAssistedPRs, row.botActivity, row.reposContributed]));
+  });
+  rows.push(toRow(['Total', ...columns.map(key => data.totals[key])]));
+  rows.push(toRow(['Median', ...columns.map(key => data.medians[key])]));
+
+  rows.push(toRow([]));
+  rows.push(toRow(['=== REPOSITORY BREAKDOWN ===']));
+  rows.push(toRow(['Repository', 'Total PRs', 'Merged PRs', 'Authors', 'Total Comments', 'Changes Requested', 'Avg Time to Merge (days)']));
+  data.repoBreakdown.forEach(repo => {
+    rows.push(toRow([repo.repo, repo.totalPRs, repo.mergedPRs, repo.authors, repo.totalComments, repo.changesRequested, repo.avgTimeToMerge]));
+  });
+
+  rows.push(toRow([]));
+  rows.push(toRow(['=== DISTRIBUTIONS ===']));
+  getDistributionRows(data.distributions).forEach(row => rows.push(toRow(row)));
+
+  const csvFilename = filename.endsWith('.csv') ? filename : `${filename}.csv`;
+  fs.writeFileSync(csvFilename, rows.join('\n'));
+  return csvFilename;
+}
+
+/**
+ * Main team command handler
+ */
+export async function team(options) {
+  try {
+    parseStats(options.stats);
+    const calendar = createCalendar(options);
+    const bots = createBotFilter(options);
+    const client = createClient(options);
+    const identities = createIdentityMap(options);
+    const members = await resolveMembers(client, options, identities);
+    const toStderr = isMachineReadable(options.format);
+
+    const orgFilter = options.org ? ` in org(s): ${options.org}` : '';
+    printInfo(`Fetching metrics for ${members.length} members${orgFilter}: ${members.join(', ')}`, toStderr);
+
+    // Searches run per member; details are fetched once per PR below
+    const found = new Map();
+    for (const member of members) {
+      found.set(member, await fetchSummaryItems(client, member, options, identities));
+    }
+
+    const raised = uniqueByUrl(members.map(member => found.get(member).prs));
+    const reviewed = uniqueByUrl(members.map(member => found.get(member).prsReviewed));
+
+    printInfo(`Found ${raised.length} PRs raised and ${reviewed.length} PRs reviewed by the team. Fetching details...`, toStderr);
+    await client.prefetchPRDetails(raised.map(pr => ({ ...getRepoFromUrl(pr.repository_url), number: pr.number })));
+    const prData = await fetchOnce(client, raised, pr => getPRData(client, pr, calendar, bots), options);
+
+    let reviewData = new Map();
+    if (reviewed.length > 0) {
+      printInfo(`Fetching review activity for ${reviewed.length} reviewed PRs...`, toStderr);
+      reviewData = await fetchOnce(client, reviewed, pr => getReviewData(client, pr, members, identities), options);
+    }
+
+    const memberResults = members.map(member => {
+      const items = found.get(member);
+      return buildResult({ ...options, user: member }, {
+        prDetails: items.prs.map(pr => prData.get(pr.html_url)).filter(Boolean),
+        issuesCreated: items.issuesCreated,
+        issuesAssigned: items.issuesAssigned,
+        prsReviewed: items.prsReviewed,
+        // Only this member's part of the shared review activity
+        reviewActivity: items.prsReviewed
+          .map(pr => reviewData.get(pr.html_url))
+          .filter(activity => activity?.reviewers[member])
+          .map(activity => ({ ...activity, reviewers: { [member]: activity.reviewers[member] } })),
+        warnings: [],
+        calendar,
+        bots,
+      });
+    });
+
+    const result = buildTeamResult(options, members, memberResults, client.getWarnings(), calendar, bots);
+
+    switch (options.format) {
+      case 'json':
+        formatJSON(result);
+        break;
+      default:
+        formatTeamTable(result);
+    }
+
+    if (options.export) {
+      const filename = options.export;
+      if (filename.endsWith('.csv')) {
+        const csvFile = exportToCSV(result, filename);
+        printSuccess(`Data exported to: ${csvFile}`, toStderr);
+      } else {
+        exportToFile(result, filename.endsWith('.json') ? filename : `${filename}.json`, toStderr);
+      }
+    }
+
+    result.warnings.forEach(printWarning);
+    printApiUsage(client.getUsage());
+  } catch (error) {
+    printError(error.message);
+    process.exit(1);
+  }
+}
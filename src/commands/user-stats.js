@@ -3,12 +3,33 @@
  * Analyze a user's PRs and contributions across ALL repositories
  */
 
-import { GitHubClient } from '../lib/github-client.js';
+import { createClient } from '../lib/client-factory.js';
+import { ReplayMissError } from '../lib/recorder.js';
+import { getRepoFromUrl } from '../lib/github-client.js';
+import { runPool } from '../lib/pool.js';
+import { CYCLE_PHASES, summarizeCycleTimes } from '../lib/cycle-time.js';
+import { buildTimeseries, parseGranularity, TIMESERIES_COLUMNS } from '../lib/timeseries.js';
+import { parseCompareTo, compareSummaries } from '../lib/comparison.js';
+import { parseStats, parseDurationStats, summarizeDistributions } from '../lib/stats.js';
+import { createCalendar } from '../lib/calendar.js';
+import { createBotFilter } from '../lib/bots.js';
+import { IdentityMap, createIdentityMap, searchAliases } from '../lib/identities.js';
+import { buildPRData, aggregateRepos } from './summary.js';
 import {
   formatJSON,
+  formatCycleTimeTable,
+  formatDistributionTable,
+  getDistributionRows,
+  printDurationMode,
+  formatDelta,
+  printComparisonPeriod,
+  formatTimeseriesTable,
   exportToFile,
   printError,
+  isMachineReadable,
   printInfo,
+  printApiUsage,
+  printWarning,
 } from '../lib/formatters.js';
 import chalk from 'chalk';
 import Table from 'cli-table3';
@@ -28,6 +49,9 @@ function formatUserPRStatsTable(data) {
   if (data.dateRange.since || data.dateRange.until) {
     console.log(`  ${chalk.gray('Period:')} ${data.dateRange.since || 'start'} to ${data.dateRange.until || 'now'}`);
   }
+  printDurationMode(data.durations);
+  printComparisonPeriod(data.comparison);
+  const delta = (metric) => formatDelta(data.comparison?.deltas[metric]);
 
   console.log('\n' + chalk.bold.yellow('  Overall PR Statistics'));
   console.log(chalk.gray('  ' + '─'.repeat(76)));
@@ -38,11 +62,11 @@ function formatUserPRStatsTable(data) {
   });
 
   statsTable.push(
-    { 'Total PRs Raised': chalk.cyan(data.summary.totalPRs) },
-    { 'Merged PRs': chalk.green(data.summary.mergedPRs) },
-    { 'Open PRs': chalk.yellow(data.summary.openPRs) },
-    { 'Closed (not merged)': chalk.red(data.summary.closedPRs) },
-    { 'Repos Contributed': chalk.cyan(data.summary.reposContributed) },
+    { 'Total PRs Raised': chalk.cyan(data.summary.totalPRs) + delta('totalPRs') },
+    { 'Merged PRs': chalk.green(data.summary.mergedPRs) + delta('mergedPRs') },
+    { 'Open PRs': chalk.yellow(data.summary.openPRs) + delta('openPRs') },
+    { 'Closed (not merged)': chalk.red(data.summary.closedPRs) + delta('closedPRs') },
+    { 'Repos Contributed': chalk.cyan(data.summary.reposContributed) + delta('reposContributed') },
   );
   console.log(statsTable.toString());
 
@@ -56,9 +80,9 @@ function formatUserPRStatsTable(data) {
   });
 
   issueTable.push(
-    { 'Total Issues Opened': chalk.cyan(data.summary.totalIssues) },
-    { 'Open Issues': chalk.yellow(data.summary.openIssues) },
-    { 'Closed Issues': chalk.green(data.summary.closedIssues) },
+    { 'Total Issues Opened': chalk.cyan(data.summary.totalIssues) + delta('totalIssues') },
+    { 'Open Issues': chalk.yellow(data.summary.openIssues) + delta('openIssues') },
+    { 'Closed Issues': chalk.green(data.summary.closedIssues) + delta('closedIssues') },
   );
   console.log(issueTable.toString());
 
@@ -71,14 +95,19 @@ function formatUserPRStatsTable(data) {
   });
 
   reviewTable.push(
-    { 'Total Comments Received': data.summary.totalComments },
-    { 'Avg Comments per PR': data.summary.avgCommentsPerPR },
-    { 'Total Changes Requested': data.summary.totalChangesRequested },
-    { 'Avg Changes Requested/PR': data.summary.avgChangesRequestedPerPR },
-    { 'Avg Time to Merge': `${data.summary.avgTimeToMerge} days` },
+    { 'Total Comments Received': data.summary.totalComments + delta('totalComments') },
+    { 'Avg Comments per PR': data.summary.avgCommentsPerPR + delta('avgCommentsPerPR') },
+    { [`Bot Reviews & Comments (${data.bots.included ? 'included' : 'excluded'})`]: chalk.gray(data.summary.botActivity) + delta('botActivity') },
+    { 'Total Changes Requested': data.summary.totalChangesRequested + delta('totalChangesRequested') },
+    { 'Avg Changes Requested/PR': data.summary.avgChangesRequestedPerPR + delta('avgChangesRequestedPerPR') },
+    { 'Avg Time to Merge': (data.summary.avgTimeToMerge !== null ? `${data.summary.avgTimeToMerge} days` : '-') + delta('avgTimeToMerge') },
   );
   console.log(reviewTable.toString());
 
+  formatCycleTimeTable(data.summary.cycleTime, 80, data.durations.hoursPerDay);
+  formatDistributionTable(data.summary.distributions);
+  formatTimeseriesTable(data.timeseries, data.granularity);
+
   // AI Assistance Stats
   console.log('\n' + chalk.bold.yellow('  AI Assistance Detection'));
   console.log(chalk.gray('  ' + '─'.repeat(76)));
@@ -89,7 +118,7 @@ function formatUserPRStatsTable(data) {
   });
 
   aiTable.push(
-    { 'AI-Assisted PRs': `${data.summary.aiAssistedPRs} (${data.summary.aiAssistedPercentage}%)` },
+    { 'AI-Assisted PRs': `${data.summary.aiAssistedPRs} (${data.summary.aiAssistedPercentage}%)` + delta('aiAssistedPRs') },
     { 'Human-Only PRs': data.summary.totalPRs - data.summary.aiAssistedPRs },
   );
 
@@ -192,229 +221,267 @@ function formatUserPRStatsTable(data) {
   console.log();
 }
 
+/**
+ * Format user PR stats as CSV: one row per PR, then the distributions and (with --granularity) the trends
+ */
+function formatUserPRStatsCSV(data) {
+  const headers = ['Repository', 'PR Number', 'Title', 'Status', 'Merged', 'Comments', 'Changes Requested', 'Bot Activity', 'Commits', 'Size (lines)', 'Time to Merge (days)', 'Coding Time (hours)', 'Pickup Time (hours)', 'Review Time (hours)', 'Merge Delay (hours)', 'AI Assisted', 'AI Tools', 'Created At', 'Limits Hit'];
+
+  console.log(headers.join(','));
+  data.prs.forEach(pr => {
+    console.log([
+      pr.repo,
+      pr.number,
+      `"${pr.title.replace(/"/g, '""')}"`,
+      pr.state,
+      pr.merged,
+      pr.comments,
+      pr.changesRequested,
+      pr.botActivity,
+      pr.commitCount,
+      pr.size ?? '',
+      pr.timeToMerge ?? '',
+      ...Object.keys(CYCLE_PHASES).map(phase => pr.cycleTime[phase] ?? ''),
+      pr.aiAssisted,
+      pr.aiTools.join('; '),
+      pr.createdAt,
+      (pr.limitsHit || []).join('; '),
+    ].join(','));
+  });
+
+  console.log();
+  getDistributionRows(data.summary.distributions).forEach(row => console.log(row.join(',')));
+
+  if (data.timeseries) {
+    console.log();
+    console.log(['Period', ...Object.values(TIMESERIES_COLUMNS)].join(','));
+    data.timeseries.forEach(bucket => {
+      console.log([bucket.period, ...Object.keys(TIMESERIES_COLUMNS).map(key => bucket[key] ?? '')].join(','));
+    });
+  }
+}
+
+/**
+ * Fetch the PRs and issues a user opened, searching each of their aliases in the identity map
+ */
+async function fetchUserItems(client, options, identities = new IdentityMap()) {
+  const logins = identities.aliases(options.user);
+
+  // Fetch PRs and issues in parallel
+  const [prs, issues] = await Promise.all([
+    searchAliases(logins, login => client.fetchUserPRsAcrossRepos(login, {
+      since: options.since,
+      until: options.until,
+      org: options.org,
+    })),
+    searchAliases(logins, login => client.fetchUserIssuesAcrossRepos(login, {
+      since: options.since,
+      until: options.until,
+      org: options.org,
+    })),
+  ]);
+
+  return { prs, issues };
+}
+
+/**
+ * Fetch PR details and build the user's stats from their PRs and issues, with durations measured by the calendar
+ * and bots' reviews and comments left out unless the filter includes them
+ */
+async function buildUserStats(client, options, { prs, issues }, calendar, bots) {
+  const toStderr = isMachineReadable(options.format);
+  const progress = toStderr ? process.stderr : process.stdout;
+  printInfo(`Found ${prs.length} PRs and ${issues.length} issues. Fetching details...`, toStderr);
+
+  // With --api graphql, reviews, comments and commits come from batched queries
+  await client.prefetchPRDetails(prs.map(pr => ({ ...getRepoFromUrl(pr.repository_url), number: pr.number })));
+
+  const results = await runPool(prs, async (pr) => {
+    const { owner, repo } = getRepoFromUrl(pr.repository_url);
+
+    try {
+      const activity = await client.fetchPRActivity(owner, repo, pr.number);
+      const prData = { ...buildPRData(client, pr, activity, calendar, bots), commitCount: activity.commits.length };
+      progress.write('.');
+      return prData;
+    } catch (err) {
+      if (err instanceof ReplayMissError) throw err;
+      // Skip PRs we can't access (private repos, etc.)
+      progress.write('x');
+      return null;
+    }
+  }, {
+    concurrency: Number(options.concurrency) || 1,
+    getLimit: (concurrency) => client.getConcurrencyLimit(concurrency),
+  });
+  progress.write('\n');
+
+  // Aggregate in input order so output is deterministic regardless of completion order
+  const prDetails = results.filter(Boolean);
+  const repoMap = aggregateRepos(prDetails);
+
+  // Calculate summary
+  const mergedPRs = prDetails.filter(pr => pr.merged);
+  const openPRs = prDetails.filter(pr => pr.state === 'open');
+  const closedPRs = prDetails.filter(pr => pr.state === 'closed' && !pr.merged);
+
+  const totalComments = prDetails.reduce((sum, pr) => sum + pr.comments, 0);
+  const totalChangesRequested = prDetails.reduce((sum, pr) => sum + pr.changesRequested, 0);
+  const mergeTimes = mergedPRs.map(pr => pr.timeToMerge).filter(t => t !== null);
+
+  // No merged PRs means no average, rather than an average of 0 days
+  const avgTimeToMerge = mergeTimes.length > 0
+    ? Number((mergeTimes.reduce((a, b) => a + b, 0) / mergeTimes.length).toFixed(2))
+    : null;
+
+  // AI assistance stats
+  const aiAssistedPRs = prDetails.filter(pr => pr.aiAssisted);
+  const aiToolsCount = {};
+  aiAssistedPRs.forEach(pr => {
+    pr.aiTools.forEach(tool => {
+      aiToolsCount[tool] = (aiToolsCount[tool] || 0) + 1;
+    });
+  });
+
+  // Process issues
+  const openIssues = issues.filter(i => i.state === 'open');
+  const closedIssues = issues.filter(i => i.state === 'closed');
+
+  const issueDetails = issues.map(issue => {
+    const { owner, repo } = getRepoFromUrl(issue.repository_url);
+    return {
+      number: issue.number,
+      title: issue.title,
+      repo: `${owner}/${repo}`,
+      state: issue.state,
+      comments: issue.comments || 0,
+      createdAt: issue.created_at,
+      closedAt: issue.closed_at,
+      url: issue.html_url,
+    };
+  });
+
+  // Prepare repo breakdown
+  const repoBreakdown = Array.from(repoMap.values())
+    .map(r => ({
+      ...r,
+      avgTimeToMerge: r.mergeTimesCount > 0
+        ? Number((r.mergeTimesSum / r.mergeTimesCount).toFixed(2))
+        : null,
+    }))
+    .sort((a, b) => b.totalPRs - a.totalPRs)
+    .slice(0, Number(options.top));
+
+  return {
+    user: options.user,
+    orgFilter: options.org || null,
+    dateRange: {
+      since: options.since || null,
+      until: options.until || null,
+    },
+    durations: calendar.describe(),
+    bots: bots.describe(),
+    summary: {
+      // PR stats
+      totalPRs: prDetails.length,
+      mergedPRs: mergedPRs.length,
+      openPRs: openPRs.length,
+      closedPRs: closedPRs.length,
+      reposContributed: repoMap.size,
+      totalComments,
+      avgCommentsPerPR: prDetails.length > 0 ? Number((totalComments / prDetails.length).toFixed(2)) : 0,
+      // Reviews and comments by bots, reported on their own whether or not they are counted above
+      botActivity: prDetails.reduce((sum, pr) => sum + pr.botActivity, 0),
+      totalChangesRequested,
+      avgChangesRequestedPerPR: prDetails.length > 0 ? Number((totalChangesRequested / prDetails.length).toFixed(2)) : 0,
+      avgTimeToMerge,
+      cycleTime: summarizeCycleTimes(prDetails.map(pr => pr.cycleTime), parseDurationStats(options.stats)),
+      distributions: summarizeDistributions(prDetails, parseStats(options.stats)),
+      // AI stats
+      aiAssistedPRs: aiAssistedPRs.length,
+      aiAssistedPercentage: prDetails.length > 0 ? Number(((aiAssistedPRs.length / prDetails.length) * 100).toFixed(1)) : 0,
+      aiToolsBreakdown: aiToolsCount,
+      // Issue stats
+      totalIssues: issues.length,
+      openIssues: openIssues.length,
+      closedIssues: closedIssues.length,
+    },
+    repoBreakdown,
+    granularity: options.granularity || undefined,
+    timeseries: options.granularity ? buildTimeseries(prDetails, options.granularity, options) : undefined,
+    warnings: client.getWarnings(),
+    prs: prDetails,
+    issues: issueDetails,
+  };
+}
+
+/**
+ * Stats for the --compare-to baseline period
+ */
+async function fetchBaseline(client, options, window, calendar, bots, identities) {
+  const baselineOptions = { ...options, ...window };
+  printInfo(`Fetching baseline period ${window.since} to ${window.until}...`, isMachineReadable(options.format));
+
+  const { dateRange, summary } = await buildUserStats(client, baselineOptions, await fetchUserItems(client, baselineOptions, identities), calendar, bots);
+  return { dateRange, summary };
+}
+
 /**
  * Main user stats command handler
  */
 export async function userStats(options) {
-  const token = options.token || process.env.GITHUB_TOKEN;
-
   try {
-    const client = new GitHubClient(token);
+    parseGranularity(options.granularity);
+    parseStats(options.stats);
+    const baselineWindow = parseCompareTo(options.compareTo, options);
+    const calendar = createCalendar(options);
+    const bots = createBotFilter(options);
+    const identities = createIdentityMap(options);
+    const aliases = identities.aliases(options.user);
+    const client = createClient(options);
+    const toStderr = isMachineReadable(options.format);
 
     const orgFilter = options.org ? ` in org(s): ${options.org}` : ' across all repositories';
-    printInfo(`Fetching PRs and issues by ${options.user}${orgFilter}...`);
-
-    // Fetch PRs and issues in parallel
-    const [prs, issues] = await Promise.all([
-      client.fetchUserPRsAcrossRepos(options.user, {
-        since: options.since,
-        until: options.until,
-        org: options.org,
-      }),
-      client.fetchUserIssuesAcrossRepos(options.user, {
-        since: options.since,
-        until: options.until,
-        org: options.org,
-      }),
-    ]);
+    const aliasNote = aliases.length > 1 ? ` (as ${aliases.join(', ')})` : '';
+    printInfo(`Fetching PRs and issues by ${options.user}${aliasNote}${orgFilter}...`, toStderr);
+
+    const { prs, issues } = await fetchUserItems(client, options, identities);
 
     if (prs.length === 0 && issues.length === 0) {
-      printInfo(`No PRs or issues found for user ${options.user}`);
+      printInfo(`No PRs or issues found for user ${options.user}`, toStderr);
+      client.getWarnings().forEach(printWarning);
       return;
     }
 
-    printInfo(`Found ${prs.length} PRs and ${issues.length} issues. Fetching details...`);
-
-    // Process each PR to get comment and review stats
-    const prDetails = [];
-    const repoMap = new Map();
-
-    for (const pr of prs) {
-      // Extract owner/repo from PR URL
-      const urlParts = pr.repository_url.split('/');
-      const owner = urlParts[urlParts.length - 2];
-      const repo = urlParts[urlParts.length - 1];
-      const repoFullName = `${owner}/${repo}`;
-
-      try {
-        // Fetch review details and commits
-        const [reviews, comments, commits] = await Promise.all([
-          client.octokit.pulls.listReviews({ owner, repo, pull_number: pr.number, per_page: 100 }),
-          client.octokit.issues.listComments({ owner, repo, issue_number: pr.number, per_page: 100 }),
-          client.fetchPRCommits(owner, repo, pr.number),
-        ]);
-
-        const changesRequested = reviews.data.filter(r => r.state === 'CHANGES_REQUESTED').length;
-        const totalComments = comments.data.length + (pr.comments || 0);
-
-        // Detect AI co-authorship in commits
-        let aiAssisted = false;
-        const aiToolsUsed = new Set();
-        for (const commit of commits) {
-          const detection = client.detectAICoAuthorship(commit.commit.message);
-          if (detection.isAIAssisted) {
-            aiAssisted = true;
-            detection.aiTools.forEach(tool => aiToolsUsed.add(tool));
-          }
-        }
-
-        // Calculate time to merge
-        let timeToMerge = null;
-        if (pr.pull_request?.merged_at) {
-          const created = new Date(pr.created_at);
-          const merged = new Date(pr.pull_request.merged_at);
-          timeToMerge = Number(((merged - created) / (1000 * 60 * 60 * 24)).toFixed(2));
-        }
-
-        const prData = {
-          number: pr.number,
-          title: pr.title,
-          repo: repoFullName,
-          state: pr.state,
-          merged: !!pr.pull_request?.merged_at,
-          comments: totalComments,
-          changesRequested,
-          timeToMerge,
-          createdAt: pr.created_at,
-          url: pr.html_url,
-          aiAssisted,
-          aiTools: Array.from(aiToolsUsed),
-          commitCount: commits.length,
-        };
-
-        prDetails.push(prData);
-
-        // Aggregate by repo
-        if (!repoMap.has(repoFullName)) {
-          repoMap.set(repoFullName, {
-            repo: repoFullName,
-            totalPRs: 0,
-            mergedPRs: 0,
-            totalComments: 0,
-            changesRequested: 0,
-            mergeTimesSum: 0,
-            mergeTimesCount: 0,
-          });
-        }
-
-        const repoStats = repoMap.get(repoFullName);
-        repoStats.totalPRs++;
-        if (prData.merged) repoStats.mergedPRs++;
-        repoStats.totalComments += totalComments;
-        repoStats.changesRequested += changesRequested;
-        if (timeToMerge) {
-          repoStats.mergeTimesSum += timeToMerge;
-          repoStats.mergeTimesCount++;
-        }
-
-        process.stdout.write('.');
-      } catch (err) {
-        // Skip PRs we can't access (private repos, etc.)
-        process.stdout.write('x');
-      }
-    }
-    console.log();
-
-    // Calculate summary
-    const mergedPRs = prDetails.filter(pr => pr.merged);
-    const openPRs = prDetails.filter(pr => pr.state === 'open');
-    const closedPRs = prDetails.filter(pr => pr.state === 'closed' && !pr.merged);
-
-    const totalComments = prDetails.reduce((sum, pr) => sum + pr.comments, 0);
-    const totalChangesRequested = prDetails.reduce((sum, pr) => sum + pr.changesRequested, 0);
-    const mergeTimes = mergedPRs.map(pr => pr.timeToMerge).filter(t => t !== null);
-
-    const avgTimeToMerge = mergeTimes.length > 0
-      ? Number((mergeTimes.reduce((a, b) => a + b, 0) / mergeTimes.length).toFixed(2))
-      : 0;
-
-    // AI assistance stats
-    const aiAssistedPRs = prDetails.filter(pr => pr.aiAssisted);
-    const aiToolsCount = {};
-    aiAssistedPRs.forEach(pr => {
-      pr.aiTools.forEach(tool => {
-        aiToolsCount[tool] = (aiToolsCount[tool] || 0) + 1;
-      });
-    });
+    const result = await buildUserStats(client, options, { prs, issues }, calendar, bots);
 
-    // Process issues
-    const openIssues = issues.filter(i => i.state === 'open');
-    const closedIssues = issues.filter(i => i.state === 'closed');
-
-    const issueDetails = issues.map(issue => {
-      const urlParts = issue.repository_url.split('/');
-      const owner = urlParts[urlParts.length - 2];
-      const repo = urlParts[urlParts.length - 1];
-      return {
-        number: issue.number,
-        title: issue.title,
-        repo: `${owner}/${repo}`,
-        state: issue.state,
-        comments: issue.comments || 0,
-        createdAt: issue.created_at,
-        closedAt: issue.closed_at,
-        url: issue.html_url,
-      };
-    });
-
-    // Prepare repo breakdown
-    const repoBreakdown = Array.from(repoMap.values())
-      .map(r => ({
-        ...r,
-        avgTimeToMerge: r.mergeTimesCount > 0
-          ? Number((r.mergeTimesSum / r.mergeTimesCount).toFixed(2))
-          : null,
-      }))
-      .sort((a, b) => b.totalPRs - a.totalPRs)
-      .slice(0, Number(options.top));
-
-    const result = {
-      user: options.user,
-      orgFilter: options.org || null,
-      dateRange: {
-        since: options.since || null,
-        until: options.until || null,
-      },
-      summary: {
-        // PR stats
-        totalPRs: prDetails.length,
-        mergedPRs: mergedPRs.length,
-        openPRs: openPRs.length,
-        closedPRs: closedPRs.length,
-        reposContributed: repoMap.size,
-        totalComments,
-        avgCommentsPerPR: prDetails.length > 0 ? Number((totalComments / prDetails.length).toFixed(2)) : 0,
-        totalChangesRequested,
-        avgChangesRequestedPerPR: prDetails.length > 0 ? Number((totalChangesRequested / prDetails.length).toFixed(2)) : 0,
-        avgTimeToMerge,
-        // AI stats
-        aiAssistedPRs: aiAssistedPRs.length,
-        aiAssistedPercentage: prDetails.length > 0 ? Number(((aiAssistedPRs.length / prDetails.length) * 100).toFixed(1)) : 0,
-        aiToolsBreakdown: aiToolsCount,
-        // Issue stats
-        totalIssues: issues.length,
-        openIssues: openIssues.length,
-        closedIssues: closedIssues.length,
-      },
-      repoBreakdown,
-      prs: prDetails,
-      issues: issueDetails,
-    };
+    if (baselineWindow) {
+      const baseline = await fetchBaseline(client, options, baselineWindow, calendar, bots, identities);
+      result.comparison = { baseline, deltas: compareSummaries(result.summary, baseline.summary) };
+      // Searches for the baseline can be truncated too
+      result.warnings = client.getWarnings();
+    }
 
     // Output based on format
     switch (options.format) {
       case 'json':
         formatJSON(result);
         break;
+      case 'csv':
+        formatUserPRStatsCSV(result);
+        break;
       default:
         formatUserPRStatsTable(result);
     }
 
     // Export if requested
     if (options.export) {
-      exportToFile(result, options.export);
+      exportToFile(result, options.export, toStderr);
     }
 
+    // Say plainly when results were truncated rather than under-reporting silently
+    result.warnings.forEach(printWarning);
+    printApiUsage(client.getUsage());
   } catch (error) {
     printError(error.message);
     process.exit(1);
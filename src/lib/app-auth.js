@@ -0,0 +1,170 @@
+/**
+ * GitHub App Authentication
+ * Signs app JWTs and exchanges them for installation tokens, refreshed before they expire
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+
+// Refresh installation tokens this long before GitHub expires them (they last an hour)
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+/**
+ * Endpoints that must be called as the app itself (JWT) rather than as an installation
+ */
+function isAppEndpoint(url = '') {
+  return url.startsWith('/app')
+    || /^\/(orgs|users)\/\{[^}]+\}\/installation$/.test(url)
+    || url === '/repos/{owner}/{repo}/installation';
+}
+
+/**
+ * Account (org or user) a request is about, used to find its installation
+ */
+function getAccount(options) {
+  if (options.owner) return options.owner;
+  if (options.org) return options.org;
+
+  const match = String(options.q || '').match(/\b(?:org|user|repo):([^/\s]+)/);
+  return match ? match[1] : null;
+}
+
+export class AppAuth {
+  constructor({ appId, privateKey, installationId }) {
+    if (!appId || !privateKey) {
+      throw new Error('GitHub App authentication needs both an app ID and a private key');
+    }
+
+    this.appId = String(appId);
+    this.privateKey = privateKey;
+    this.installationId = installationId ? Number(installationId) : null;
+
+    this.octokit = null;
+    this.tokens = new Map();
+    this.installations = new Map();
+  }
+
+  /**
+   * Create from CLI options / environment variables, or return null when no app is configured
+   */
+  static fromOptions(options = {}) {
+    const appId = options.appId || process.env.GITHUB_APP_ID;
+    if (!appId) return null;
+
+    const keyFile = options.privateKey || process.env.GITHUB_APP_PRIVATE_KEY_PATH;
+    if (!keyFile) {
+      throw new Error('GitHub App private key is required. Use --private-key or GITHUB_APP_PRIVATE_KEY_PATH');
+    }
+
+    return new AppAuth({
+      appId,
+      privateKey: fs.readFileSync(keyFile, 'utf8'),
+      installationId: options.installationId || process.env.GITHUB_APP_INSTALLATION_ID,
+    });
+  }
+
+  /**
+   * Sign a short-lived JWT identifying the app
+   */
+  createJWT() {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+    // Backdate iat to allow for clock drift; GitHub rejects exp more than 10 minutes out
+    const payload = base64url(JSON.stringify({ iat: now - 60, exp: now + 9 * 60, iss: this.appId }));
+    const signature = crypto.createSign('RSA-SHA256').update(`${header}.${payload}`).sign(this.privateKey, 'base64url');
+    return `${header}.${payload}.${signature}`;
+  }
+
+  /**
+   * Attach to an Octokit instance. Registered before other hooks, so it runs
+   * closest to the network and every retry gets a current token.
+   */
+  attach(octokit) {
+    this.octokit = octokit;
+    octokit.hook.wrap('request', (request, options) => this.handle(request, options));
+  }
+
+  async handle(request, options) {
+    if (isAppEndpoint(options.url)) {
+      options.headers.authorization = `bearer ${this.createJWT()}`;
+      return request(options);
+    }
+
+    const installationId = await this.getInstallationId(getAccount(options));
+    options.headers.authorization = `token ${await this.getInstallationToken(installationId)}`;
+
+    try {
+      return await request(options);
+    } catch (error) {
+      if (error.status !== 401) throw error;
+
+      // Token revoked or expired early: get a fresh one and try once more
+      this.tokens.delete(installationId);
+      options.headers.authorization = `token ${await this.getInstallationToken(installationId)}`;
+      return request(options);
+    }
+  }
+
+  /**
+   * Installation to use for an account: the configured one, or discovered per org/user
+   */
+  async getInstallationId(account) {
+    if (this.installationId) return this.installationId;
+
+    const key = account ? account.toLowerCase() : '';
+    if (!this.installations.has(key)) {
+      this.installations.set(key, this.findInstallation(account).catch(error => {
+        this.installations.delete(key);
+        throw error;
+      }));
+    }
+    return this.installations.get(key);
+  }
+
+  async findInstallation(account) {
+    if (account) {
+      for (const route of ['GET /orgs/{org}/installation', 'GET /users/{username}/installation']) {
+        try {
+          const response = await this.octokit.request(route, { org: account, username: account });
+          return response.data.id;
+        } catch (error) {
+          if (error.status !== 404) throw error;
+        }
+      }
+      throw new Error(`GitHub App ${this.appId} is not installed on ${account}`);
+    }
+
+    // No account in the request (e.g. GraphQL): only unambiguous if the app has one installation
+    const response = await this.octokit.request('GET /app/installations', { per_page: 2 });
+    if (response.data.length === 1) return response.data[0].id;
+    throw new Error('Cannot tell which GitHub App installation to use. Pass --installation-id');
+  }
+
+  /**
+   * Installation token, reused until it is about to expire
+   */
+  async getInstallationToken(installationId) {
+    const cached = this.tokens.get(installationId);
+    if (cached) {
+      const token = await cached;
+      if (token.expiresAt - Date.now() > TOKEN_REFRESH_MARGIN_MS) return token.token;
+      if (this.tokens.get(installationId) === cached) this.tokens.delete(installationId);
+    }
+
+    if (!this.tokens.has(installationId)) {
+      const pending = this.octokit.request('POST /app/installations/{installation_id}/access_tokens', {
+        installation_id: installationId,
+      }).then(response => ({
+        token: response.data.token,
+        expiresAt: new Date(response.data.expires_at).getTime(),
+      }));
+
+      this.tokens.set(installationId, pending);
+      pending.catch(() => this.tokens.delete(installationId));
+    }
+
+    return (await this.tokens.get(installationId)).token;
+  }
+}
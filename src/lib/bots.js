@@ -0,0 +1,51 @@
+/**
+ * Bots
+ * Recognise bot and automation accounts so they can be kept out of people's numbers
+ */
+
+/**
+ * Decides which accounts are bots and whether their activity counts
+ */
+export class BotFilter {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.includeBots - Count bots like everyone else (their activity is still reported separately)
+   * @param {string[]} options.accounts - Service account logins that are bots without looking like one
+   */
+  constructor({ includeBots = false, accounts = [] } = {}) {
+    this.includeBots = includeBots;
+    this.accounts = new Set(accounts.map(login => login.toLowerCase()));
+  }
+
+  /**
+   * Bots are GitHub App and GitLab bot users (type 'Bot'), `[bot]` logins and the configured service accounts
+   */
+  isBot(user) {
+    if (!user?.login) return false;
+    return user.type === 'Bot'
+      || /\[bot\]$/i.test(user.login)
+      || this.accounts.has(user.login.toLowerCase());
+  }
+
+  /**
+   * Whether a user's activity goes into the counts
+   */
+  counts(user) {
+    return this.includeBots || !this.isBot(user);
+  }
+
+  describe() {
+    return { included: this.includeBots, accounts: [...this.accounts] };
+  }
+}
+
+/**
+ * The filter for --include-bots and --bot-accounts (or GHMETRICS_BOT_ACCOUNTS), comma-separated logins
+ */
+export function createBotFilter(options = {}) {
+  const accounts = (options.botAccounts || process.env.GHMETRICS_BOT_ACCOUNTS || '')
+    .split(',')
+    .map(login => login.trim())
+    .filter(Boolean);
+  return new BotFilter({ includeBots: Boolean(options.includeBots), accounts });
+}
@@ -0,0 +1,38 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { BotFilter, createBotFilter } from './bots.js';
+
+describe('BotFilter', () => {
+  it('recognises bot users, [bot] logins and the configured service accounts', () => {
+    const bots = new BotFilter({ accounts: ['CI-Reporter'] });
+
+    assert.equal(bots.isBot({ login: 'renovate', type: 'Bot' }), true);
+    assert.equal(bots.isBot({ login: 'dependabot[bot]', type: 'User' }), true);
+    assert.equal(bots.isBot({ login: 'ci-reporter', type: 'User' }), true);
+    assert.equal(bots.isBot({ login: 'alice', type: 'User' }), false);
+    assert.equal(bots.isBot(null), false);
+  });
+
+  it('leaves bots out of the counts unless they are included', () => {
+    const bot = { login: 'dependabot[bot]' };
+
+    assert.equal(new BotFilter().counts(bot), false);
+    assert.equal(new BotFilter().counts({ login: 'alice' }), true);
+    assert.equal(new BotFilter({ includeBots: true }).counts(bot), true);
+  });
+});
+
+describe('createBotFilter', () => {
+  const env = process.env.GHMETRICS_BOT_ACCOUNTS;
+  afterEach(() => {
+    if (env === undefined) delete process.env.GHMETRICS_BOT_ACCOUNTS;
+    else process.env.GHMETRICS_BOT_ACCOUNTS = env;
+  });
+
+  it('reads --bot-accounts, falling back to GHMETRICS_BOT_ACCOUNTS', () => {
+    process.env.GHMETRICS_BOT_ACCOUNTS = 'deploy-bot';
+
+    assert.deepEqual(createBotFilter({ botAccounts: ' Release-Bot, ,ci ' }).describe(), { included: false, accounts: ['release-bot', 'ci'] });
+    assert.deepEqual(createBotFilter({ includeBots: true }).describe(), { included: true, accounts: ['deploy-bot'] });
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * Response Cache
+ * Persistent on-disk cache for GitHub API responses with ETag revalidation
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Response headers worth keeping; `link` is needed for pagination
+const CACHED_HEADERS = ['content-type', 'etag', 'last-modified', 'link'];
+
+/**
+ * Default cache directory: $GHMETRICS_CACHE_DIR, $XDG_CACHE_HOME/ghmetrics or ~/.cache/ghmetrics
+ */
+export function getDefaultCacheDir() {
+  if (process.env.GHMETRICS_CACHE_DIR) return process.env.GHMETRICS_CACHE_DIR;
+  const base = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  return path.join(base, 'ghmetrics');
+}
+
+/**
+ * Key identifying the PR or issue a request URL belongs to, e.g.
+ * https://api.github.com/repos/owner/repo#42 for .../repos/owner/repo/pulls/42/reviews
+ */
+function getItemKey(url) {
+  const match = url.match(/^(.*\/repos\/[^/]+\/[^/]+)\/(?:pulls|issues)\/(\d+)(?:[/?]|$)/);
+  return match ? `${match[1]}#${match[2]}` : null;
+}
+
+/**
+ * Scope of the credential a request is made with, so a response fetched with one token is never served to another.
+ * Tokens are stored only as a fingerprint; a GitHub App is identified by its ID and installation, since its tokens rotate.
+ */
+export function getCredentialScope({ token, appAuth } = {}) {
+  if (appAuth) return `app:${appAuth.appId}:${appAuth.installationId ?? 'any'}`;
+  if (!token) return 'anonymous';
+  return `token:${crypto.createHash('sha256').update(token).digest('hex')}`;
+}
+
+export class ResponseCache {
+  constructor(dir = getDefaultCacheDir()) {
+    this.dir = dir;
+    this.responsesDir = path.join(dir, 'responses');
+    this.immutableFile = path.join(dir, 'immutable.json');
+    this.immutable = this.readImmutable();
+    this.stats = { hits: 0, revalidated: 0, misses: 0 };
+  }
+
+  /**
+   * Serve GET requests from the cache, revalidating with If-None-Match/If-Modified-Since.
+   * Used as an Octokit `request` hook; `endpoint` resolves options to the final URL
+   * and `scope` (see getCredentialScope) keeps each credential's responses apart.
+   */
+  async handle(request, options, endpoint, scope = '') {
+    if (options.method !== 'GET') return request(options);
+
+    const { url, headers } = endpoint.parse(options);
+    const file = this.getFile(url, headers.accept, scope);
+    const entry = this.readJSON(file);
+
+    // Merged PRs and their reviews, comments and commits don't change,
+    // but a response stored before the PR was merged has to be revalidated once
+    const itemKey = getItemKey(url);
+    if (entry && this.isFinal(itemKey, entry)) {
+      this.stats.hits++;
+      return this.toResponse(entry);
+    }
+
+    const conditional = {};
+    if (entry?.headers.etag) conditional['if-none-match'] = entry.headers.etag;
+    if (entry?.headers['last-modified']) conditional['if-modified-since'] = entry.headers['last-modified'];
+
+    // Inner hooks are bound to this options object, so extend it in place
+    Object.assign(options.headers, conditional);
+
+    try {
+      const response = await request(options);
+      this.stats.misses++;
+      // Only complete responses: a 202 from a statistics endpoint means "still computing"
+      if (response.status === 200) this.write(file, url, response);
+      this.markImmutable(response.data);
+      return response;
+    } catch (error) {
+      // 304 Not Modified does not count against the rate limit
+      if (error.status === 304 && entry) {
+        this.stats.revalidated++;
+        // Still current after the PR was merged, so it can be served without asking from now on
+        if (this.immutable.has(itemKey)) this.writeJSON(file, { ...entry, storedAt: new Date().toISOString() });
+        return this.toResponse(entry);
+      }
+      throw error;
+    }
+  }
+
+  getFile(url, accept = '', scope = '') {
+    const hash = crypto.createHash('sha256').update(`${scope} ${accept} ${url}`).digest('hex');
+    return path.join(this.responsesDir, hash.slice(0, 2), `${hash}.json`);
+  }
+
+  write(file, url, response) {
+    const headers = {};
+    CACHED_HEADERS.forEach(name => {
+      if (response.headers[name]) headers[name] = response.headers[name];
+    });
+
+    this.writeJSON(file, {
+      url,
+      status: response.status,
+      headers,
+      data: response.data,
+      storedAt: new Date().toISOString(),
+    });
+  }
+
+  toResponse(entry) {
+    return {
+      status: entry.status,
+      url: entry.url,
+      headers: { ...entry.headers },
+      data: entry.data,
+    };
+  }
+
+  /**
+   * Merged PRs, keyed like getItemKey, and when they were merged. Older caches list keys only;
+   * their merge time is unknown until the PR is seen again, so they are revalidated until then.
+   */
+  readImmutable() {
+    const stored = this.readJSON(this.immutableFile);
+    if (Array.isArray(stored)) return new Map(stored.map(key => [key, null]));
+    return new Map(Object.entries(stored || {}));
+  }
+
+  /**
+   * Whether a cached response for a PR can no longer change: the PR is merged and the response was stored after it merged
+   */
+  isFinal(itemKey, entry) {
+    const mergedAt = this.immutable.get(itemKey);
+    return Boolean(mergedAt && entry.storedAt) && Date.parse(entry.storedAt) > Date.parse(mergedAt);
+  }
+
+  /**
+   * Remember merged PRs seen in a response (single PR, PR list or search results), with when they merged.
+   * A PR closed without merging can still be reopened, so it is forgotten again rather than kept.
+   */
+  markImmutable(data) {
+    const items = Array.isArray(data) ? data : Array.isArray(data?.items) ? data.items : [data];
+    let changed = false;
+
+    items.forEach(item => {
+      if (!item?.number) return;
+
+      // Pulls API items carry base.repo.url, search items carry repository_url
+      const repoUrl = item.base?.repo?.url || (item.pull_request ? item.repository_url : null);
+      if (!repoUrl) return;
+
+      const key = `${repoUrl}#${item.number}`;
+      const mergedAt = item.merged_at || item.pull_request?.merged_at || null;
+      if (mergedAt && this.immutable.get(key) !== mergedAt) {
+        this.immutable.set(key, mergedAt);
+        changed = true;
+      } else if (!mergedAt && this.immutable.delete(key)) {
+        changed = true;
+      }
+    });
+
+    if (changed) {
+      this.writeJSON(this.immutableFile, Object.fromEntries(this.immutable));
+    }
+  }
+
+  /**
+   * Number of cached responses, size on disk and immutable PRs
+   */
+  getDiskStats() {
+    let entries = 0;
+    let bytes = 0;
+    let oldest = null;
+    let newest = null;
+
+    if (fs.existsSync(this.responsesDir)) {
+      fs.readdirSync(this.responsesDir).forEach(bucket => {
+        fs.readdirSync(path.join(this.responsesDir, bucket)).forEach(name => {
+          const stat = fs.statSync(path.join(this.responsesDir, bucket, name));
+          entries++;
+          bytes += stat.size;
+          if (!oldest || stat.mtime < oldest) oldest = stat.mtime;
+          if (!newest || stat.mtime > newest) newest = stat.mtime;
+        });
+      });
+    }
+
+    return {
+      dir: this.dir,
+      entries,
+      bytes,
+      immutablePRs: this.immutable.size,
+      oldest: oldest ? oldest.toISOString() : null,
+      newest: newest ? newest.toISOString() : null,
+    };
+  }
+
+  /**
+   * Remove every cached response
+   */
+  clear() {
+    fs.rmSync(this.responsesDir, { recursive: true, force: true });
+    fs.rmSync(this.immutableFile, { force: true });
+    this.immutable.clear();
+  }
+
+  readJSON(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  writeJSON(file, data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data));
+    fs.renameSync(tmp, file);
+  }
+}
@@ -0,0 +1,155 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { ResponseCache, getCredentialScope } from './cache.js';
+
+const API = 'https://api.github.com';
+const PR_URL = `${API}/repos/acme/web/pulls/7`;
+const endpoint = { parse: options => ({ url: options.url, headers: options.headers }) };
+
+const pull = (fields) => ({ number: 7, base: { repo: { url: `${API}/repos/acme/web` } }, ...fields });
+
+/**
+ * A server that answers with `data` and an ETag, or 304 when the client sends that ETag back
+ */
+function createServer(data, etag = '"v1"') {
+  const server = {
+    requests: [],
+    data,
+    request: async (options) => {
+      server.requests.push({ ...options.headers });
+      if (options.headers['if-none-match'] === etag) {
+        throw Object.assign(new Error('Not Modified'), { status: 304 });
+      }
+      return { status: 200, url: options.url, headers: { etag, 'x-ratelimit-remaining': '4999' }, data: server.data };
+    },
+  };
+  return server;
+}
+
+const get = (cache, server, url = PR_URL, scope = '') => cache.handle(server.request, { method: 'GET', url, headers: {} }, endpoint, scope);
+
+describe('ResponseCache', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghmetrics-cache-'));
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('revalidates with the stored ETag and serves the cached body on a 304', async () => {
+    const cache = new ResponseCache(dir);
+    const server = createServer(pull({ state: 'open', title: 'Add search' }));
+
+    await get(cache, server);
+    const response = await get(cache, server);
+
+    assert.equal(server.requests[0]['if-none-match'], undefined);
+    assert.equal(server.requests[1]['if-none-match'], '"v1"');
+    assert.equal(response.status, 200);
+    assert.equal(response.data.title, 'Add search');
+    // Only the headers worth keeping are stored
+    assert.deepEqual(response.headers, { etag: '"v1"' });
+    assert.deepEqual(cache.stats, { hits: 0, revalidated: 1, misses: 1 });
+  });
+
+  it('serves responses stored after a PR merged without asking again', async () => {
+    const cache = new ResponseCache(dir);
+    const server = createServer(pull({ state: 'closed', closed_at: '2024-03-05T12:00:00Z', merged_at: '2024-03-05T12:00:00Z' }));
+
+    await get(cache, server);
+    await get(cache, server);
+
+    assert.equal(server.requests.length, 1);
+    assert.deepEqual(cache.stats, { hits: 1, revalidated: 0, misses: 1 });
+    // Remembered across runs
+    assert.deepEqual(new ResponseCache(dir).immutable, new Map([[`${API}/repos/acme/web#7`, '2024-03-05T12:00:00Z']]));
+  });
+
+  it('revalidates a response stored while the PR was still open, once, after it merged', async () => {
+    const cache = new ResponseCache(dir);
+    const reviewsUrl = `${PR_URL}/reviews`;
+    const reviews = createServer([{ id: 1, state: 'APPROVED' }]);
+    await get(cache, reviews, reviewsUrl);
+
+    // Cached while the PR was open, which then merged
+    const file = cache.getFile(reviewsUrl);
+    fs.writeFileSync(file, JSON.stringify({ ...JSON.parse(fs.readFileSync(file, 'utf8')), storedAt: '2024-03-01T00:00:00Z' }));
+    cache.markImmutable(pull({ state: 'closed', merged_at: '2024-03-05T12:00:00Z' }));
+
+    await get(cache, reviews, reviewsUrl);
+    const response = await get(cache, reviews, reviewsUrl);
+
+    assert.equal(reviews.requests.length, 2);
+    assert.deepEqual(cache.stats, { hits: 1, revalidated: 1, misses: 1 });
+    assert.deepEqual(response.data, [{ id: 1, state: 'APPROVED' }]);
+  });
+
+  it('keeps revalidating PRs closed without merging, which can be reopened', async () => {
+    const cache = new ResponseCache(dir);
+    const server = createServer(pull({ state: 'closed', closed_at: '2024-03-05T12:00:00Z', merged_at: null }));
+
+    await get(cache, server);
+    server.data = pull({ state: 'open', closed_at: null, merged_at: null });
+    await get(cache, server);
+
+    assert.equal(server.requests.length, 2);
+    assert.equal(cache.immutable.size, 0);
+  });
+
+  it('forgets PRs an older cache took as final when they turn out not to be merged', () => {
+    fs.writeFileSync(path.join(dir, 'immutable.json'), JSON.stringify({ [`${API}/repos/acme/web#7`]: '2024-03-05T12:00:00Z' }));
+    const cache = new ResponseCache(dir);
+
+    cache.markImmutable({ items: [{ number: 7, state: 'open', repository_url: `${API}/repos/acme/web`, pull_request: { merged_at: null } }] });
+
+    assert.equal(new ResponseCache(dir).immutable.size, 0);
+  });
+
+  it('keeps responses fetched with different credentials apart', async () => {
+    const cache = new ResponseCache(dir);
+    const server = createServer(pull({ state: 'closed', merged_at: '2024-03-05T12:00:00Z', title: 'Private' }));
+    const admin = getCredentialScope({ token: 'ghp_admin' });
+    const reader = getCredentialScope({ token: 'ghp_reader' });
+
+    await get(cache, server, PR_URL, admin);
+    await get(cache, server, PR_URL, reader);
+    await get(cache, server, PR_URL, admin);
+
+    assert.equal(server.requests.length, 2);
+    assert.equal(server.requests[1]['if-none-match'], undefined);
+    assert.deepEqual(cache.stats, { hits: 1, revalidated: 0, misses: 2 });
+  });
+
+  it('scopes GitHub Apps by installation and never keeps the token itself', () => {
+    assert.match(getCredentialScope({ token: 'ghp_secret' }), /^token:[0-9a-f]{64}$/);
+    assert.equal(getCredentialScope({ token: 'ghp_secret', appAuth: { appId: '12', installationId: 34 } }), 'app:12:34');
+    assert.equal(getCredentialScope({ appAuth: { appId: '12', installationId: null } }), 'app:12:any');
+    assert.equal(getCredentialScope({}), 'anonymous');
+  });
+
+  it('keeps revalidating PRs listed by older caches without their merge time', async () => {
+    fs.writeFileSync(path.join(dir, 'immutable.json'), JSON.stringify([`${API}/repos/acme/web#7`]));
+    const cache = new ResponseCache(dir);
+    const server = createServer(pull({ state: 'closed', merged_at: null }));
+
+    await get(cache, server);
+    await get(cache, server);
+
+    assert.equal(server.requests.length, 2);
+  });
+
+  it('does not store incomplete responses', async () => {
+    const cache = new ResponseCache(dir);
+    const url = `${API}/repos/acme/web/stats/contributors`;
+    const request = async (options) => ({ status: 202, url: options.url, headers: {}, data: {} });
+
+    await cache.handle(request, { method: 'GET', url, headers: {} }, endpoint);
+
+    assert.equal(fs.existsSync(cache.getFile(url)), false);
+    assert.equal(cache.getDiskStats().entries, 0);
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Working Calendar
+ * Measure durations in calendar time, or in business time: working hours on working days in a timezone, minus holidays
+ */
+
+import fs from 'fs';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const DURATION_MODES = ['calendar', 'business'];
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Calendar time: what durations were before business time existed
+ */
+export const CALENDAR_TIME = {
+  mode: 'calendar',
+  hoursPerDay: 24,
+  hoursBetween: (from, to) => (new Date(to) - new Date(from)) / HOUR_MS,
+  daysBetween: (from, to) => (new Date(to) - new Date(from)) / DAY_MS,
+  describe: () => ({ mode: 'calendar', hoursPerDay: 24 }),
+};
+
+/**
+ * "9-17" or "9:30-17:30" -> [start, end] in minutes after midnight
+ */
+function parseWorkHours(value) {
+  const match = /^(\d{1,2})(?::(\d{2}))?-(\d{1,2})(?::(\d{2}))?$/.exec(value.trim());
+  const start = match && Number(match[1]) * 60 + Number(match[2] || 0);
+  const end = match && Number(match[3]) * 60 + Number(match[4] || 0);
+  if (!match || start >= end || end > 24 * 60) {
+    throw new Error(`Invalid --work-hours "${value}". Use a range like 9-17 or 8:30-16:30`);
+  }
+  return [start, end];
+}
+
+/**
+ * "mon-fri", "sun-thu" or "mon,tue,thu" -> set of day numbers (0 = Sunday)
+ */
+function parseWorkDays(value) {
+  const days = new Set();
+  value.toLowerCase().split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+    const [from, to = from] = part.split('-').map(day => WEEKDAYS.indexOf(day.slice(0, 3)));
+    if (from < 0 || to < 0) {
+      throw new Error(`Invalid --work-days "${value}". Use day names like mon-fri or mon,tue,thu`);
+    }
+    for (let day = from; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === to) break;
+    }
+  });
+  if (days.size === 0) {
+    throw new Error(`Invalid --work-days "${value}". Use day names like mon-fri or mon,tue,thu`);
+  }
+  return days;
+}
+
+/**
+ * Holiday dates from a file: one YYYY-MM-DD per line, `#` starts a comment
+ */
+function readHolidays(file) {
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw new Error(`Cannot read holidays file ${file}: ${err.message}`);
+  }
+
+  const dates = content.split('\n').map(line => line.replace(/#.*/, '').trim()).filter(Boolean);
+  const invalid = dates.find(date => !DATE_PATTERN.test(date));
+  if (invalid) {
+    throw new Error(`Invalid date "${invalid}" in holidays file ${file}. Use YYYY-MM-DD, one per line`);
+  }
+  return new Set(dates);
+}
+
+/**
+ * Day numbers back to the --work-days form, e.g. "mon-fri" or "sun-tue,thu"
+ */
+function formatWorkDays(days) {
+  const runs = [];
+  for (let day = 0; day < 7; day++) {
+    if (!days.has(day)) continue;
+    const last = runs[runs.length - 1];
+    if (last && last[1] === day - 1) last[1] = day;
+    else runs.push([day, day]);
+  }
+  return runs.map(([from, to]) => (from === to ? WEEKDAYS[from] : `${WEEKDAYS[from]}-${WEEKDAYS[to]}`)).join(',');
+}
+
+const formatMinutes = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+/**
+ * Business time: only working hours on working days count, in the given timezone
+ */
+export class WorkCalendar {
+  /**
+   * @param {Object} options
+   * @param {string} options.timeZone - IANA timezone the working hours are in
+   * @param {number[]} options.workHours - [start, end] in minutes after midnight
+   * @param {Set<number>} options.workDays - Day numbers, 0 = Sunday
+   * @param {Set<string>} options.holidays - YYYY-MM-DD dates that are not worked
+   */
+  constructor({ timeZone, workHours, workDays, holidays }) {
+    this.mode = 'business';
+    this.timeZone = timeZone;
+    this.workHours = workHours;
+    this.workDays = workDays;
+    this.holidays = holidays;
+    this.hoursPerDay = (workHours[1] - workHours[0]) / 60;
+
+    try {
+      this.formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+      });
+    } catch {
+      throw new Error(`Unknown --timezone "${timeZone}". Use an IANA name like Europe/Berlin or America/New_York`);
+    }
+  }
+
+  /**
+   * Wall-clock time of an instant in the calendar's timezone, as if it were UTC
+   */
+  toWallClock(time) {
+    const parts = Object.fromEntries(this.formatter.formatToParts(new Date(time)).map(({ type, value }) => [type, Number(value)]));
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  }
+
+  /**
+   * Instant of a wall-clock time in the calendar's timezone (the inverse of toWallClock)
+   */
+  fromWallClock(wallClock) {
+    const offset = this.toWallClock(wallClock) - wallClock;
+    const guess = wallClock - offset;
+    // Around a DST change the offset at the guess can differ from the one we started from
+    const correctedOffset = this.toWallClock(guess) - guess;
+    return wallClock - correctedOffset;
+  }
+
+  /**
+   * Working hours between two instants
+   */
+  hoursBetween(from, to) {
+    const start = new Date(from).getTime();
+    const end = new Date(to).getTime();
+    if (end <= start) return 0;
+
+    let worked = 0;
+    const lastDay = Math.floor(this.toWallClock(end) / DAY_MS) * DAY_MS;
+    for (let day = Math.floor(this.toWallClock(start) / DAY_MS) * DAY_MS; day <= lastDay; day += DAY_MS) {
+      const date = new Date(day);
+      if (!this.workDays.has(date.getUTCDay()) || this.holidays.has(date.toISOString().slice(0, 10))) continue;
+
+      const open = this.fromWallClock(day + this.workHours[0] * 60 * 1000);
+      const close = this.fromWallClock(day + this.workHours[1] * 60 * 1000);
+      worked += Math.max(0, Math.min(end, close) - Math.max(start, open));
+    }
+    return worked / HOUR_MS;
+  }
+
+  /**
+   * Working days between two instants, a day being one day's working hours
+   */
+  daysBetween(from, to) {
+    return this.hoursBetween(from, to) / this.hoursPerDay;
+  }
+
+  describe() {
+    return {
+      mode: 'business',
+      timeZone: this.timeZone,
+      workHours: `${formatMinutes(this.workHours[0])}-${formatMinutes(this.workHours[1])}`,
+      workDays: formatWorkDays(this.workDays),
+      holidays: this.holidays.size,
+      hoursPerDay: this.hoursPerDay,
+    };
+  }
+}
+
+/**
+ * The calendar for --durations: calendar time, or business time configured by
+ * --timezone (default: the system's), --work-hours (9-17), --work-days (mon-fri) and --holidays
+ */
+export function createCalendar(options) {
+  const mode = options.durations || 'calendar';
+  if (!DURATION_MODES.includes(mode)) {
+    throw new Error(`Invalid --durations "${mode}". Use ${DURATION_MODES.join(' or ')}`);
+  }
+
+  if (mode === 'calendar') {
+    if (options.timezone || options.workHours || options.workDays || options.holidays) {
+      throw new Error('--timezone, --work-hours, --work-days and --holidays only apply with --durations business');
+    }
+    return CALENDAR_TIME;
+  }
+
+  return new WorkCalendar({
+    timeZone: options.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+    workHours: parseWorkHours(options.workHours || '9-17'),
+    workDays: parseWorkDays(options.workDays || 'mon-fri'),
+    holidays: options.holidays ? readHolidays(options.holidays) : new Set(),
+  });
+}
@@ -0,0 +1,69 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { CALENDAR_TIME, createCalendar } from './calendar.js';
+
+describe('CALENDAR_TIME', () => {
+  it('measures elapsed time', () => {
+    assert.equal(CALENDAR_TIME.hoursBetween('2024-03-01T15:00:00Z', '2024-03-04T09:00:00Z'), 66);
+    assert.equal(CALENDAR_TIME.daysBetween('2024-03-01T00:00:00Z', '2024-03-02T12:00:00Z'), 1.5);
+  });
+});
+
+describe('business time', () => {
+  let dir;
+  let berlin;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghmetrics-calendar-'));
+    const holidays = path.join(dir, 'holidays.txt');
+    fs.writeFileSync(holidays, '# Public holidays\n2024-05-01  # Labour Day\n');
+    berlin = createCalendar({ durations: 'business', timezone: 'Europe/Berlin', workHours: '9-17', workDays: 'mon-fri', holidays });
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('counts only working hours on working days', () => {
+    // Friday 16:00 to Monday 10:00 in Berlin (UTC+1)
+    assert.equal(berlin.hoursBetween('2024-03-01T15:00:00Z', '2024-03-04T09:00:00Z'), 2);
+    assert.equal(berlin.daysBetween('2024-03-01T15:00:00Z', '2024-03-04T09:00:00Z'), 0.25);
+    // Overnight and before opening time don't count
+    assert.equal(berlin.hoursBetween('2024-03-04T18:00:00Z', '2024-03-05T07:00:00Z'), 0);
+    assert.equal(berlin.hoursBetween('2024-03-05T09:00:00Z', '2024-03-04T09:00:00Z'), 0);
+  });
+
+  it('works in the timezone across a daylight saving change', () => {
+    // Friday 16:00 CET to Monday 10:00 CEST: clocks went forward on Sunday 31 March
+    assert.equal(berlin.hoursBetween('2024-03-29T15:00:00Z', '2024-04-01T08:00:00Z'), 2);
+  });
+
+  it('skips holidays', () => {
+    // Tuesday 16:00 to Thursday 10:00, Wednesday 1 May off
+    assert.equal(berlin.hoursBetween('2024-04-30T14:00:00Z', '2024-05-02T08:00:00Z'), 2);
+  });
+
+  it('describes its working calendar', () => {
+    assert.deepEqual(berlin.describe(), {
+      mode: 'business',
+      timeZone: 'Europe/Berlin',
+      workHours: '09:00-17:00',
+      workDays: 'mon-fri',
+      holidays: 1,
+      hoursPerDay: 8,
+    });
+    assert.equal(
+      createCalendar({ durations: 'business', timezone: 'UTC', workHours: '8:30-12', workDays: 'sun-thu' }).describe().workDays,
+      'sun-thu',
+    );
+  });
+
+  it('rejects invalid options', () => {
+    assert.throws(() => createCalendar({ durations: 'weekly' }), /Invalid --durations "weekly"/);
+    assert.throws(() => createCalendar({ workHours: '9-17' }), /only apply with --durations business/);
+    assert.throws(() => createCalendar({ durations: 'business', workHours: '17-9' }), /Invalid --work-hours "17-9"/);
+    assert.throws(() => createCalendar({ durations: 'business', workDays: 'mon-funday' }), /Invalid --work-days/);
+    assert.throws(() => createCalendar({ durations: 'business', timezone: 'Mars/Olympus' }), /Unknown --timezone "Mars\/Olympus"/);
+  });
+});
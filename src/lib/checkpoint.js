@@ -0,0 +1,105 @@
+/**
+ * Checkpoints
+ * Periodically saved per-item progress for long runs, so they can be resumed after a failure or Ctrl-C
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { getDefaultCacheDir } from './cache.js';
+
+// Save after this many newly processed items, or this long since the last save, whichever comes first
+const SAVE_EVERY = 25;
+const SAVE_INTERVAL_MS = 15000;
+
+export class Checkpoint {
+  /**
+   * @param {string} file - Checkpoint file
+   * @param {Object} params - Parameters identifying the run; a checkpoint only resumes the same run
+   */
+  constructor(file, params) {
+    this.file = file;
+    this.params = params;
+    this.processed = new Map();
+    this.unsaved = 0;
+    this.savedAt = Date.now();
+  }
+
+  /**
+   * Default checkpoint file for a command run, e.g. <cache dir>/checkpoints/summary-3f2a9c1b7d4e.json
+   */
+  static getFile(command, params, dir = getDefaultCacheDir()) {
+    const hash = crypto.createHash('sha256').update(JSON.stringify(params)).digest('hex').slice(0, 12);
+    return path.join(dir, 'checkpoints', `${command}-${hash}.json`);
+  }
+
+  /**
+   * Load saved progress. Returns the number of items already processed (0 without a checkpoint).
+   */
+  load() {
+    let saved;
+    try {
+      saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch {
+      return 0;
+    }
+
+    if (JSON.stringify(saved.params) !== JSON.stringify(this.params)) {
+      throw new Error(`Checkpoint ${this.file} belongs to a different run (${JSON.stringify(saved.params)}). Remove it or run without --resume`);
+    }
+
+    this.processed = new Map(Object.entries(saved.processed));
+    return this.processed.size;
+  }
+
+  get size() {
+    return this.processed.size;
+  }
+
+  has(key) {
+    return this.processed.has(key);
+  }
+
+  get(key) {
+    return this.processed.get(key);
+  }
+
+  /**
+   * Record a processed item, saving periodically
+   */
+  record(key, data) {
+    this.processed.set(key, data);
+    this.unsaved++;
+    if (this.unsaved >= SAVE_EVERY || Date.now() - this.savedAt >= SAVE_INTERVAL_MS) {
+      this.save();
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({
+      params: this.params,
+      updatedAt: new Date().toISOString(),
+      processed: Object.fromEntries(this.processed),
+    }));
+    fs.renameSync(tmp, this.file);
+    this.unsaved = 0;
+    this.savedAt = Date.now();
+  }
+
+  /**
+   * Where partial results of an interrupted run go when no export file was requested
+   */
+  get partialFile() {
+    return `${this.file.replace(/\.json$/, '')}.partial.json`;
+  }
+
+  /**
+   * Delete the checkpoint (and any partial results) once the run has completed
+   */
+  remove() {
+    fs.rmSync(this.file, { force: true });
+    fs.rmSync(this.partialFile, { force: true });
+  }
+}
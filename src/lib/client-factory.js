@@ -0,0 +1,118 @@
+/**
+ * Client Factory
+ * Build the API client for a command from its options
+ */
+
+import { GitHubClient } from './github-client.js';
+import { GitLabClient } from './gitlab-client.js';
+import { MultiClient } from './multi-client.js';
+import { ResponseCache } from './cache.js';
+import { AppAuth } from './app-auth.js';
+import { MetricsStore } from './store.js';
+import { StoreClient } from './store-client.js';
+import { PROVIDERS } from './provider.js';
+import { printWarning } from './formatters.js';
+
+const DEFAULT_API_URL = 'https://api.github.com';
+const DEFAULT_GITLAB_API_URL = 'https://gitlab.com/api/v4';
+
+/**
+ * Environment variable holding the token for an API host,
+ * e.g. GITHUB_TOKEN_GITHUB_EXAMPLE_COM for https://github.example.com/api/v3
+ */
+export function getTokenEnvVar(apiUrl) {
+  const host = new URL(apiUrl).host;
+  return `GITHUB_TOKEN_${host.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+}
+
+/**
+ * Parse an identity such as `jdoe@https://github.example.com/api/v3`
+ */
+export function parseIdentity(spec) {
+  const at = spec.indexOf('@');
+  if (at <= 0 || !/^https?:\/\//.test(spec.slice(at + 1))) {
+    throw new Error(`Invalid identity "${spec}". Use <login>@<api-url>, e.g. jdoe@https://github.example.com/api/v3`);
+  }
+  return { login: spec.slice(0, at), apiUrl: spec.slice(at + 1) };
+}
+
+/**
+ * Create a client from command options. With one or more `--identity` options,
+ * returns a client that combines the user's activity across all identities.
+ * With `--from-store`, returns a client that reads synced data instead of calling the API.
+ */
+export function createClient(options = {}) {
+  if (options.fromStore) {
+    return new StoreClient(new MetricsStore(options.store));
+  }
+
+  if (options.api && !['rest', 'graphql'].includes(options.api)) {
+    throw new Error(`Unknown API "${options.api}". Use rest or graphql`);
+  }
+  if (options.provider && !PROVIDERS.includes(options.provider)) {
+    throw new Error(`Unknown provider "${options.provider}". Use ${PROVIDERS.join(' or ')}`);
+  }
+  if (options.record && options.replay) {
+    throw new Error('Use either --record or --replay, not both');
+  }
+
+  if (options.provider === 'gitlab') {
+    return createGitLabClient(options);
+  }
+
+  const apiUrl = options.apiUrl || process.env.GITHUB_API_URL || DEFAULT_API_URL;
+  const token = options.token || process.env.GITHUB_TOKEN;
+
+  // Recording must see every response and replay must not depend on local state, so both bypass the cache
+  const useCache = options.cache !== false && !options.record && !options.replay;
+  const cache = useCache ? new ResponseCache(options.cacheDir) : null;
+
+  const build = (clientToken, baseUrl, appAuth = null) => new GitHubClient(clientToken, {
+    baseUrl,
+    appAuth,
+    onRateLimitWait: printWarning,
+    cache,
+    api: options.api,
+    statsTimeout: options.statsTimeout !== undefined ? Number(options.statsTimeout) * 1000 : undefined,
+    recordDir: options.record,
+    replayDir: options.replay,
+  });
+
+  // A configured GitHub App takes precedence over the personal token
+  const client = build(token, apiUrl, AppAuth.fromOptions(options));
+  if (!options.identity?.length) return client;
+
+  const identities = [{ user: options.user, client }];
+  options.identity.forEach(spec => {
+    const identity = parseIdentity(spec);
+    const envVar = getTokenEnvVar(identity.apiUrl);
+    const sameHost = new URL(identity.apiUrl).host === new URL(apiUrl).host;
+    const identityToken = process.env[envVar] || (sameHost ? token : null);
+
+    if (!identityToken && !options.replay) {
+      throw new Error(`No token for ${identity.apiUrl}. Set ${envVar}`);
+    }
+    identities.push({ user: identity.login, client: build(identityToken, identity.apiUrl) });
+  });
+
+  return new MultiClient(identities);
+}
+
+/**
+ * GitLab client (gitlab.com or a self-hosted instance via --api-url / GITLAB_API_URL)
+ */
+function createGitLabClient(options) {
+  if (options.api === 'graphql') {
+    throw new Error('--api graphql is only available for GitHub');
+  }
+  if (options.identity?.length) {
+    throw new Error('--identity is only available for GitHub');
+  }
+
+  return new GitLabClient(options.token || process.env.GITLAB_TOKEN, {
+    baseUrl: options.apiUrl || process.env.GITLAB_API_URL || DEFAULT_GITLAB_API_URL,
+    onRateLimitWait: printWarning,
+    recordDir: options.record,
+    replayDir: options.replay,
+  });
+}
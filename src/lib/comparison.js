@@ -0,0 +1,100 @@
+/**
+ * Comparison
+ * Compare a summary against a baseline period (--compare-to)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Summary metrics where a rise is an improvement; everything else not in LOWER_IS_BETTER is neutral
+const HIGHER_IS_BETTER = new Set([
+  'totalPRs',
+  'mergedPRs',
+  'reposContributed',
+  'closedIssues',
+  'closedIssuesCreated',
+  'closedIssuesAssigned',
+  'totalPRsReviewed',
+]);
+
+const LOWER_IS_BETTER = new Set([
+  'closedPRs',
+  'totalChangesRequested',
+  'avgChangesRequestedPerPR',
+  'avgTimeToMerge',
+]);
+
+const toDate = (value) => new Date(`${value}T00:00:00Z`);
+
+const toDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Baseline window for --compare-to: `previous` (the same number of days right before --since)
+ * or an explicit `<since>..<until>`. Returns { since, until } or null when not comparing.
+ */
+export function parseCompareTo(value, { since, until } = {}) {
+  if (!value) return null;
+
+  if (value === 'previous') {
+    if (!since) {
+      throw new Error('--compare-to previous needs --since to know how long the period is');
+    }
+    const start = toDate(since);
+    const end = until ? toDate(until) : toDate(toDay(new Date()));
+    // Date ranges include both ends
+    const days = Math.round((end - start) / DAY_MS) + 1;
+    return {
+      since: toDay(new Date(start.getTime() - days * DAY_MS)),
+      until: toDay(new Date(start.getTime() - DAY_MS)),
+    };
+  }
+
+  const [baselineSince, baselineUntil, ...rest] = value.split('..');
+  if (rest.length > 0 || !DATE_PATTERN.test(baselineSince) || !DATE_PATTERN.test(baselineUntil || '')) {
+    throw new Error(`Invalid --compare-to "${value}". Use previous or YYYY-MM-DD..YYYY-MM-DD`);
+  }
+  return { since: baselineSince, until: baselineUntil };
+}
+
+const isMetric = (value) => typeof value === 'number' || value === null;
+
+/**
+ * Deltas of every numeric summary metric against the baseline, e.g.
+ * { mergedPRs: { current: 12, baseline: 8, change: 4, percentChange: 50, trend: 'improving' }, ... }
+ * percentChange is null when the baseline is 0; trend is null for metrics where neither direction is better.
+ * A metric missing from one period (null, e.g. the average time to merge without merged PRs) has no change or trend.
+ */
+export function compareSummaries(current, baseline) {
+  const deltas = {};
+
+  Object.entries(current).forEach(([key, value]) => {
+    if (!isMetric(value) || !isMetric(baseline[key])) return;
+    if (value === null || baseline[key] === null) {
+      if (value !== null || baseline[key] !== null) {
+        deltas[key] = { current: value, baseline: baseline[key], change: null, percentChange: null, trend: null };
+      }
+      return;
+    }
+
+    const change = Number((value - baseline[key]).toFixed(2));
+    let trend = null;
+    if (change === 0) {
+      trend = 'unchanged';
+    } else if (HIGHER_IS_BETTER.has(key)) {
+      trend = change > 0 ? 'improving' : 'regressing';
+    } else if (LOWER_IS_BETTER.has(key)) {
+      trend = change < 0 ? 'improving' : 'regressing';
+    }
+
+    deltas[key] = {
+      current: value,
+      baseline: baseline[key],
+      change,
+      percentChange: baseline[key] !== 0 ? Number(((change / baseline[key]) * 100).toFixed(1)) : null,
+      trend,
+    };
+  });
+
+  return deltas;
+}
@@ -0,0 +1,45 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareSummaries, parseCompareTo } from './comparison.js';
+
+describe('compareSummaries', () => {
+  it('reports the change and whether it is an improvement', () => {
+    const deltas = compareSummaries(
+      { mergedPRs: 12, avgTimeToMerge: 1.5, totalComments: 30, user: 'alice' },
+      { mergedPRs: 8, avgTimeToMerge: 2, totalComments: 30, user: 'alice' },
+    );
+
+    assert.deepEqual(deltas, {
+      mergedPRs: { current: 12, baseline: 8, change: 4, percentChange: 50, trend: 'improving' },
+      avgTimeToMerge: { current: 1.5, baseline: 2, change: -0.5, percentChange: -25, trend: 'improving' },
+      totalComments: { current: 30, baseline: 30, change: 0, percentChange: 0, trend: 'unchanged' },
+    });
+  });
+
+  it('has no trend for neutral metrics and no percentage from a zero baseline', () => {
+    const deltas = compareSummaries({ totalComments: 5, closedPRs: 2 }, { totalComments: 3, closedPRs: 0 });
+
+    assert.equal(deltas.totalComments.trend, null);
+    assert.deepEqual(deltas.closedPRs, { current: 2, baseline: 0, change: 2, percentChange: null, trend: 'regressing' });
+  });
+
+  it('has no change for a metric missing from one period', () => {
+    const deltas = compareSummaries({ avgTimeToMerge: 1.2, mergedPRs: 3 }, { avgTimeToMerge: null, mergedPRs: 0 });
+
+    assert.deepEqual(deltas.avgTimeToMerge, { current: 1.2, baseline: null, change: null, percentChange: null, trend: null });
+    assert.equal(compareSummaries({ avgTimeToMerge: null }, { avgTimeToMerge: null }).avgTimeToMerge, undefined);
+  });
+});
+
+describe('parseCompareTo', () => {
+  it('takes the same number of days right before --since as the previous period', () => {
+    assert.deepEqual(parseCompareTo('previous', { since: '2024-04-01', until: '2024-06-30' }), { since: '2024-01-01', until: '2024-03-31' });
+  });
+
+  it('accepts an explicit range and rejects anything else', () => {
+    assert.equal(parseCompareTo(undefined, {}), null);
+    assert.deepEqual(parseCompareTo('2023-01-01..2023-03-31'), { since: '2023-01-01', until: '2023-03-31' });
+    assert.throws(() => parseCompareTo('previous', {}), /needs --since/);
+    assert.throws(() => parseCompareTo('2023-01-01'), /Invalid --compare-to "2023-01-01"/);
+  });
+});
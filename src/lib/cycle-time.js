@@ -0,0 +1,63 @@
+/**
+ * Cycle Time
+ * Break a PR's lifetime into coding, pickup, review and merge phases
+ */
+
+import { DURATION_STATS, describe } from './stats.js';
+import { CALENDAR_TIME } from './calendar.js';
+
+// Phase key -> label, in the order a PR goes through them
+export const CYCLE_PHASES = {
+  codingTime: 'Coding (first commit → open)',
+  pickupTime: 'Pickup (open → first review)',
+  reviewTime: 'Review (first review → approval)',
+  mergeDelay: 'Merge delay (approval → merge)',
+};
+
+const earliest = (dates) => dates.length ? new Date(Math.min(...dates)) : null;
+
+const toDates = (values) => values.filter(Boolean).map(value => new Date(value).getTime());
+
+/**
+ * Phase durations of one PR in hours; a phase the PR has not reached is null.
+ *
+ * Pickup ends at the first review or comment by someone other than the author.
+ * Review ends at the first approval before the merge, and merge delay runs from
+ * there, so waiting on further approvers counts towards merge delay.
+ * Hours are working hours when the calendar is business time.
+ */
+export function calculateCycleTime({ author, createdAt, mergedAt, reviews = [], comments = [], commits = [], calendar = CALENDAR_TIME }) {
+  const hoursBetween = (from, to) => Number(Math.max(0, calendar.hoursBetween(from, to)).toFixed(2));
+  const opened = new Date(createdAt);
+  const merged = mergedAt ? new Date(mergedAt) : null;
+
+  const firstCommit = earliest(toDates(commits.map(c => c.commit?.author?.date)));
+
+  const byOthers = (item) => item.user && item.user.login !== author;
+  const firstReview = earliest(toDates(reviews.filter(byOthers).map(r => r.submitted_at)));
+  const firstResponse = earliest(toDates([
+    ...reviews.filter(byOthers).map(r => r.submitted_at),
+    ...comments.filter(byOthers).map(c => c.created_at),
+  ]));
+
+  const approval = earliest(toDates(reviews.filter(r => byOthers(r) && r.state === 'APPROVED').map(r => r.submitted_at))
+    .filter(time => !merged || time <= merged));
+
+  return {
+    codingTime: firstCommit ? hoursBetween(firstCommit, opened) : null,
+    pickupTime: firstResponse ? hoursBetween(opened, firstResponse) : null,
+    reviewTime: firstReview && approval ? hoursBetween(firstReview, approval) : null,
+    mergeDelay: approval && merged ? hoursBetween(approval, merged) : null,
+  };
+}
+
+/**
+ * The --stats figures of each phase across PRs (see parseDurationStats),
+ * e.g. { pickupTime: { count: 12, p50: 3.5, p75: 9, p90: 26.1 }, ... }
+ */
+export function summarizeCycleTimes(cycleTimes, stats = DURATION_STATS) {
+  return Object.fromEntries(Object.keys(CYCLE_PHASES).map(phase => [
+    phase,
+    describe(cycleTimes.map(cycleTime => cycleTime?.[phase]), stats),
+  ]));
+}
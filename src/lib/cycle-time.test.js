@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateCycleTime, summarizeCycleTimes } from './cycle-time.js';
+
+const review = (login, state, submittedAt) => ({ user: { login }, state, submitted_at: submittedAt });
+
+const PR = {
+  author: 'alice',
+  createdAt: '2024-03-04T10:00:00Z',
+  mergedAt: '2024-03-06T10:00:00Z',
+  commits: [
+    { commit: { author: { date: '2024-03-03T16:00:00Z' } } },
+    { commit: { author: { date: '2024-03-04T08:00:00Z' } } },
+  ],
+};
+
+describe('calculateCycleTime', () => {
+  it('ends review at the first approval, leaving the wait for further approvers to merge delay', () => {
+    const cycleTime = calculateCycleTime({
+      ...PR,
+      comments: [{ user: { login: 'carol' }, created_at: '2024-03-04T12:00:00Z' }],
+      reviews: [
+        review('alice', 'COMMENTED', '2024-03-04T10:30:00Z'),
+        review('bob', 'CHANGES_REQUESTED', '2024-03-04T14:00:00Z'),
+        review('bob', 'APPROVED', '2024-03-05T10:00:00Z'),
+        review('carol', 'APPROVED', '2024-03-06T04:00:00Z'),
+        // After the merge
+        review('dave', 'APPROVED', '2024-03-06T12:00:00Z'),
+      ],
+    });
+
+    assert.deepEqual(cycleTime, { codingTime: 18, pickupTime: 2, reviewTime: 20, mergeDelay: 24 });
+  });
+
+  it('leaves phases the PR has not reached as null', () => {
+    assert.deepEqual(calculateCycleTime({ ...PR, mergedAt: null, commits: [] }), {
+      codingTime: null,
+      pickupTime: null,
+      reviewTime: null,
+      mergeDelay: null,
+    });
+  });
+});
+
+describe('summarizeCycleTimes', () => {
+  it('describes each phase across PRs, skipping PRs that did not reach it', () => {
+    const summary = summarizeCycleTimes([
+      { codingTime: 2, pickupTime: 1, reviewTime: null, mergeDelay: null },
+      { codingTime: 4, pickupTime: 3, reviewTime: 6, mergeDelay: 1 },
+      null,
+    ], ['p50', 'max']);
+
+    assert.deepEqual(summary, {
+      codingTime: { count: 2, p50: 3, max: 4 },
+      pickupTime: { count: 2, p50: 2, max: 3 },
+      reviewTime: { count: 1, p50: 6, max: 6 },
+      mergeDelay: { count: 1, p50: 1, max: 1 },
+    });
+  });
+});
@@ -6,6 +6,9 @@
 import chalk from 'chalk';
 import Table from 'cli-table3';
 import fs from 'fs';
+import { CYCLE_PHASES } from './cycle-time.js';
+import { TIMESERIES_COLUMNS, sparkline } from './timeseries.js';
+import { DISTRIBUTION_METRICS } from './stats.js';
 
 /**
  * Format number with color based on thresholds
@@ -23,6 +26,181 @@ export function colorNumber(value, { low = 3, high = 10, inverse = false } = {})
   }
 }
 
+/**
+ * Format a duration in hours, switching to days from two days' worth (working days in business time)
+ */
+export function formatHours(hours, hoursPerDay = 24) {
+  if (hours === null || hours === undefined) return '-';
+  if (hours < 1) return `${Math.round(hours * 60)}m`;
+  if (hours < 2 * hoursPerDay) return `${Number(hours.toFixed(1))}h`;
+  return `${Number((hours / hoursPerDay).toFixed(1))}d`;
+}
+
+/**
+ * Line saying whether durations are calendar or business time
+ */
+export function printDurationMode(durations) {
+  if (!durations || durations.mode === 'calendar') {
+    console.log(`  ${chalk.gray('Durations:')} calendar time`);
+    return;
+  }
+  const holidays = durations.holidays > 0 ? `, ${durations.holidays} holidays off` : '';
+  console.log(`  ${chalk.gray('Durations:')} business time, ${durations.workDays} ${durations.workHours} ${durations.timeZone}${holidays} ${chalk.gray(`(a day is ${durations.hoursPerDay} working hours)`)}`);
+}
+
+/**
+ * Change against the baseline to show after a value, e.g. " (+4, +50%)": green when improving,
+ * red when regressing. Empty when there is nothing to compare, n/a when one period has no value.
+ */
+export function formatDelta(delta) {
+  if (!delta) return '';
+  if (delta.change === null) return chalk.gray(' (n/a)');
+  if (delta.change === 0) return chalk.gray(' (±0)');
+  const sign = delta.change > 0 ? '+' : '';
+  const percent = delta.percentChange !== null ? `, ${sign}${delta.percentChange}%` : '';
+  const text = ` (${sign}${delta.change}${percent})`;
+
+  if (delta.trend === 'improving') return chalk.green(text);
+  if (delta.trend === 'regressing') return chalk.red(text);
+  return chalk.gray(text);
+}
+
+/**
+ * Line naming the baseline period deltas are shown against
+ */
+export function printComparisonPeriod(comparison) {
+  if (!comparison) return;
+  console.log(`  ${chalk.gray('Compared to:')} ${comparison.baseline.dateRange.since} to ${comparison.baseline.dateRange.until} ${chalk.gray('(changes in brackets)')}`);
+}
+
+/**
+ * Figures in a summary from describe(), in --stats order, e.g. ['p50', 'p90']
+ */
+export function getFigures(stats) {
+  return Object.keys(stats).filter(key => key !== 'count' && key !== 'histogram');
+}
+
+/**
+ * Durations in hours as "p50 3h · p90 1.5d", or '-' when there were none
+ */
+export function formatDurationStats(stats, hoursPerDay = 24) {
+  if (!stats.count) return '-';
+  return getFigures(stats).map(figure => `${figure} ${formatHours(stats[figure], hoursPerDay)}`).join(' · ');
+}
+
+/**
+ * Print the cycle-time breakdown section (the --stats figures per phase)
+ */
+export function formatCycleTimeTable(cycleTime, width = 80, hoursPerDay = 24) {
+  console.log('\n' + chalk.bold.yellow('  Cycle Time'));
+  console.log(chalk.gray('  ' + '─'.repeat(width - 4)));
+
+  const figures = getFigures(Object.values(cycleTime)[0]);
+  const table = new Table({
+    head: ['Phase', 'PRs', ...figures],
+    style: { head: ['cyan'], border: ['gray'] },
+  });
+
+  Object.entries(CYCLE_PHASES).forEach(([phase, label]) => {
+    const stats = cycleTime[phase];
+    table.push([label, stats.count, ...figures.map(figure => formatHours(stats[figure], hoursPerDay))]);
+  });
+
+  console.log(table.toString());
+}
+
+/**
+ * Histogram as one line, e.g. "0: 4 · 1-2: 7 · 3-5: 2 · 6+: 1"
+ */
+export function formatHistogram(buckets, { integer = false } = {}) {
+  return buckets.map(({ min, max, count }) => {
+    let label;
+    if (min === null) label = integer && max === 1 ? '0' : `<${max}`;
+    else if (max === null) label = `${min}+`;
+    else if (integer) label = max - 1 === min ? `${min}` : `${min}-${max - 1}`;
+    else label = `${min}-${max}`;
+    return `${label}: ${count}`;
+  }).join(' · ');
+}
+
+/**
+ * Header and rows of the distribution figures, for the CSV exports; `unit` is what the values were counted over
+ */
+export function getDistributionRows(distributions, unit = 'PRs') {
+  const figures = getFigures(Object.values(distributions)[0]);
+  const hasHistogram = Object.values(distributions).some(stats => stats.histogram);
+
+  const header = ['Metric', unit, ...figures, ...(hasHistogram ? ['Histogram'] : [])];
+  const metrics = Object.entries(DISTRIBUTION_METRICS).filter(([metric]) => distributions[metric]);
+  const rows = metrics.map(([metric, { label, integer }]) => {
+    const stats = distributions[metric];
+    return [
+      label,
+      stats.count,
+      ...figures.map(figure => stats[figure] ?? ''),
+      ...(hasHistogram ? [formatHistogram(stats.histogram, { integer })] : []),
+    ];
+  });
+  return [header, ...rows];
+}
+
+/**
+ * Print the distributions section: the --stats figures per metric, then histograms
+ */
+export function formatDistributionTable(distributions, width = 80, unit = 'PRs') {
+  if (!distributions) return;
+
+  console.log('\n' + chalk.bold.yellow('  Distributions'));
+  console.log(chalk.gray('  ' + '─'.repeat(width - 4)));
+
+  const [header, ...rows] = getDistributionRows(distributions, unit);
+  const hasHistogram = header[header.length - 1] === 'Histogram';
+
+  const table = new Table({
+    head: hasHistogram ? header.slice(0, -1) : header,
+    style: { head: ['cyan'], border: ['gray'] },
+  });
+  rows.forEach(row => table.push((hasHistogram ? row.slice(0, -1) : row).map(cell => (cell === '' ? '-' : cell))));
+  console.log(table.toString());
+
+  if (hasHistogram) {
+    rows.forEach(row => {
+      console.log(`  ${chalk.gray(`${row[0]}:`)} ${row[row.length - 1]}`);
+    });
+  }
+}
+
+/**
+ * Print the trends section: a sparkline per metric across the --granularity periods
+ */
+export function formatTimeseriesTable(timeseries, granularity, width = 80) {
+  if (!timeseries || timeseries.length === 0) return;
+
+  const range = `${timeseries[0].period} → ${timeseries[timeseries.length - 1].period}`;
+  console.log('\n' + chalk.bold.yellow(`  Trends (by ${granularity}, ${range})`));
+  console.log(chalk.gray('  ' + '─'.repeat(width - 4)));
+
+  const table = new Table({
+    head: ['Metric', 'Trend', 'Min', 'Max', 'Last'],
+    style: { head: ['cyan'], border: ['gray'] },
+  });
+
+  Object.entries(TIMESERIES_COLUMNS).forEach(([key, label]) => {
+    const values = timeseries.map(bucket => bucket[key]);
+    const present = values.filter(v => v !== null);
+    if (present.length === 0) return;
+    table.push([
+      label,
+      chalk.cyan(sparkline(values)),
+      Math.min(...present),
+      Math.max(...present),
+      values[values.length - 1] ?? '-',
+    ]);
+  });
+
+  console.log(table.toString());
+}
+
 /**
  * Format PR metrics as table
  */
@@ -35,6 +213,7 @@ export function formatPRMetricsTable(data) {
   console.log(`  ${chalk.gray('Repository:')} ${chalk.white(data.repository)}`);
   console.log(`  ${chalk.gray('Total PRs:')} ${chalk.cyan(data.totalPRs)}`);
   console.log(`  ${chalk.gray('Merged PRs:')} ${chalk.green(data.mergedPRs)}`);
+  printDurationMode(data.durations);
 
   console.log('\n' + chalk.bold.yellow('  Summary Statistics'));
   console.log(chalk.gray('  ' + '─'.repeat(76)));
@@ -52,10 +231,15 @@ export function formatPRMetricsTable(data) {
     { 'Avg Reviewers/PR': data.summary.averageReviewers },
     { 'Avg Time to Merge': `${data.summary.averageTimeToMerge} days` },
     { 'Total Comments': data.summary.totalComments },
+    { [`Bot Comments / Reviews (${data.bots?.included ? 'included' : 'excluded'})`]: chalk.gray(`${data.summary.totalBotComments ?? 0} / ${data.summary.totalBotReviews ?? 0}`) },
   );
 
   console.log(summaryTable.toString());
 
+  formatCycleTimeTable(data.summary.cycleTime, 80, data.durations?.hoursPerDay);
+  formatDistributionTable(data.summary.distributions);
+  formatTimeseriesTable(data.timeseries, data.granularity);
+
   console.log('\n' + chalk.bold.yellow('  Individual PRs'));
   console.log(chalk.gray('  ' + '─'.repeat(76)));
 
@@ -74,7 +258,7 @@ export function formatPRMetricsTable(data) {
       pr.metrics.totalComments,
       pr.metrics.reviews,
       pr.metrics.changesRequested,
-      pr.metrics.timeToMergeInDays ? `${pr.metrics.timeToMergeInDays}d` : '-',
+      pr.metrics.timeToMergeInDays !== null ? `${pr.metrics.timeToMergeInDays}d` : '-',
     ]);
   });
 
@@ -113,6 +297,8 @@ export function formatUserStatsTable(data) {
 
   console.log(statsTable.toString());
 
+  formatDistributionTable(data.distributions, 80, 'Commits');
+
   if (data.repoBreakdown && data.repoBreakdown.length > 0) {
     console.log('\n' + chalk.bold.yellow('  Top Repositories by Contribution'));
     console.log(chalk.gray('  ' + '─'.repeat(76)));
@@ -150,6 +336,12 @@ export function formatRepoStatsTable(data) {
   console.log(`  ${chalk.gray('Repository:')} ${chalk.white(data.repository)}`);
   console.log(`  ${chalk.gray('Total Contributors:')} ${chalk.cyan(data.totalContributors)}`);
   console.log(`  ${chalk.gray('Total PRs:')} ${chalk.cyan(data.totalPRs)}`);
+  if (data.botContributors > 0 || data.botPRs > 0) {
+    console.log(`  ${chalk.gray(`Bots (${data.bots.included ? 'included' : 'excluded'}):`)} ${chalk.gray(`${data.botContributors} contributors, ${data.botPRs} PRs`)}`);
+  }
+  printDurationMode(data.durations);
+
+  formatDistributionTable(data.distributions);
 
   console.log('\n' + chalk.bold.yellow('  Top Contributors'));
   console.log(chalk.gray('  ' + '─'.repeat(76)));
@@ -174,6 +366,31 @@ export function formatRepoStatsTable(data) {
   console.log();
 }
 
+/**
+ * Format cache stats as table
+ */
+export function formatCacheStatsTable(data) {
+  console.log('\n' + chalk.bold.yellow('  Response Cache'));
+  console.log(chalk.gray('  ' + '─'.repeat(76)));
+
+  const statsTable = new Table({
+    chars: { 'mid': '', 'left-mid': '', 'mid-mid': '', 'right-mid': '' },
+    style: { head: ['cyan'], border: ['gray'] },
+  });
+
+  statsTable.push(
+    { 'Directory': data.dir },
+    { 'Cached Responses': chalk.cyan(data.entries) },
+    { 'Size on Disk': `${(data.bytes / 1024 / 1024).toFixed(2)} MB` },
+    { 'Immutable PRs': chalk.cyan(data.immutablePRs) },
+    { 'Oldest Entry': data.oldest || '-' },
+    { 'Newest Entry': data.newest || '-' },
+  );
+
+  console.log(statsTable.toString());
+  console.log();
+}
+
 /**
  * Format data as JSON
  */
@@ -185,7 +402,7 @@ export function formatJSON(data) {
  * Format PR metrics as CSV
  */
 export function formatPRMetricsCSV(data) {
-  const headers = ['PR Number', 'Title', 'Status', 'Merged', 'Total Comments', 'Issue Comments', 'Review Comments', 'Reviews', 'Changes Requested', 'Approved', 'Reviewers', 'Participants', 'Commits', 'Additions', 'Deletions', 'Files Changed', 'Time to Merge (days)', 'Created At'];
+  const headers = ['PR Number', 'Title', 'Status', 'Merged', 'Total Comments', 'Issue Comments', 'Review Comments', 'Reviews', 'Changes Requested', 'Approved', 'Reviewers', 'Participants', 'Bot Comments', 'Bot Reviews', 'Commits', 'Additions', 'Deletions', 'Files Changed', 'Time to Merge (days)', 'Coding Time (hours)', 'Pickup Time (hours)', 'Review Time (hours)', 'Merge Delay (hours)', 'Created At', 'Limits Hit'];
 
   const rows = data.prs.map(pr => [
     pr.number,
@@ -200,16 +417,31 @@ export function formatPRMetricsCSV(data) {
     pr.metrics.approved,
     pr.metrics.uniqueReviewers,
     pr.metrics.uniqueParticipants,
+    pr.metrics.botComments,
+    pr.metrics.botReviews,
     pr.metrics.commits,
     pr.metrics.additions,
     pr.metrics.deletions,
     pr.metrics.changedFiles,
-    pr.metrics.timeToMergeInDays || '',
+    pr.metrics.timeToMergeInDays ?? '',
+    ...Object.keys(CYCLE_PHASES).map(phase => pr.metrics.cycleTime[phase] ?? ''),
     pr.createdAt,
+    (pr.limitsHit || []).join('; '),
   ]);
 
   console.log(headers.join(','));
   rows.forEach(row => console.log(row.join(',')));
+
+  console.log();
+  getDistributionRows(data.summary.distributions).forEach(row => console.log(row.join(',')));
+
+  if (data.timeseries) {
+    console.log();
+    console.log(['Period', ...Object.values(TIMESERIES_COLUMNS)].join(','));
+    data.timeseries.forEach(bucket => {
+      console.log([bucket.period, ...Object.keys(TIMESERIES_COLUMNS).map(key => bucket[key] ?? '')].join(','));
+    });
+  }
 }
 
 /**
@@ -222,14 +454,26 @@ export function formatUserStatsCSV(data) {
   data.repoBreakdown.forEach(repo => {
     console.log([repo.repo, repo.commits, repo.additions, repo.deletions, repo.net].join(','));
   });
+
+  if (data.distributions) {
+    console.log();
+    getDistributionRows(data.distributions, 'Commits').forEach(row => console.log(row.join(',')));
+  }
 }
 
 /**
- * Export data to JSON file
+ * Export data to JSON file (reporting to stderr with `toStderr`, like printSuccess)
  */
-export function exportToFile(data, filename) {
+export function exportToFile(data, filename, toStderr = false) {
   fs.writeFileSync(filename, JSON.stringify(data, null, 2));
-  console.log(chalk.green(`\n✓ Data exported to ${filename}`));
+  (toStderr ? console.error : console.log)(chalk.green(`\n✓ Data exported to ${filename}`));
+}
+
+/**
+ * Whether `format` prints output for other tools to stdout, so progress and messages go to stderr
+ */
+export function isMachineReadable(format) {
+  return format !== 'table';
 }
 
 /**
@@ -240,15 +484,40 @@ export function printError(message) {
 }
 
 /**
- * Print success message
+ * Print success message (to stderr with `toStderr`, when stdout carries machine-readable output)
  */
-export function printSuccess(message) {
-  console.log(chalk.green(`\n✓ ${message}`));
+export function printSuccess(message, toStderr = false) {
+  (toStderr ? console.error : console.log)(chalk.green(`\n✓ ${message}`));
 }
 
 /**
- * Print info message
+ * Print info message (to stderr with `toStderr`, when stdout carries machine-readable output)
  */
-export function printInfo(message) {
-  console.log(chalk.blue(`ℹ ${message}`));
+export function printInfo(message, toStderr = false) {
+  (toStderr ? console.error : console.log)(chalk.blue(`ℹ ${message}`));
+}
+
+/**
+ * Print warning message (to stderr, so it doesn't interleave with report output)
+ */
+export function printWarning(message) {
+  console.error(chalk.yellow(`\n⚠ ${message}`));
+}
+
+/**
+ * Print API usage for the run (to stderr, so JSON and CSV output on stdout stays parseable)
+ */
+export function printApiUsage(usage) {
+  const resources = Object.entries(usage.byResource)
+    .map(([resource, count]) => `${resource}: ${count}`)
+    .join(', ');
+  const core = usage.limits.core;
+  const quota = core ? `, core quota left ${core.remaining}/${core.limit}` : '';
+  const retries = usage.retries ? `, ${usage.retries} retries` : '';
+  console.error(chalk.gray(`  API usage: ${usage.requests} requests (${resources || 'none'})${retries}${quota}`));
+
+  if (usage.cache) {
+    const { hits, revalidated, misses } = usage.cache;
+    console.error(chalk.gray(`  Cache: ${hits} hits, ${revalidated} revalidated (304), ${misses} fetched`));
+  }
 }
@@ -4,17 +4,197 @@
  */
 
 import { Octokit } from '@octokit/rest';
+import { RateLimiter } from './rate-limiter.js';
+import { buildPRDetailsQuery, isComplete, toPRDetails } from './graphql.js';
+import { createTransport, surfaceReplayMisses } from './recorder.js';
+import { getCredentialScope } from './cache.js';
+
+// Search returns at most 1000 results per query
+const SEARCH_RESULT_LIMIT = 1000;
+// Earliest date worth searching from when a range has to be split
+const SEARCH_EPOCH = '2008-01-01';
+// PRs per aliased GraphQL query
+const GRAPHQL_BATCH_SIZE = 10;
+// The pulls commits endpoint lists at most 250 commits, however many pages are requested
+const PR_COMMITS_LIMIT = 250;
+// Statistics endpoints answer 202 while GitHub computes them; poll with backoff between these bounds
+const STATS_POLL_INITIAL_MS = 1000;
+const STATS_POLL_MAX_MS = 15000;
+const DEFAULT_STATS_TIMEOUT_MS = 60000;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const toDateString = (date) => new Date(date).toISOString().slice(0, 10);
+
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return toDateString(d);
+}
+
+/**
+ * Extract owner and repo from an API repository URL (e.g. the `repository_url`
+ * of a search result). Works for github.com, GitHub Enterprise Server and GitLab hosts.
+ */
+export function getRepoFromUrl(repositoryUrl) {
+  const { host, pathname } = new URL(repositoryUrl);
+  const match = pathname.match(/\/repos\/([^/]+)\/([^/]+)\/?$/);
+  if (match) {
+    return { owner: match[1], repo: match[2], host };
+  }
+
+  // GitLab project URL, e.g. https://gitlab.example.com/api/v4/projects/group%2Fsubgroup%2Fproject
+  const project = pathname.match(/\/projects\/([^/]+)\/?$/);
+  const fullPath = project ? decodeURIComponent(project[1]) : '';
+  if (fullPath.includes('/')) {
+    const at = fullPath.lastIndexOf('/');
+    return { owner: fullPath.slice(0, at), repo: fullPath.slice(at + 1), host };
+  }
+
+  throw new Error(`Unrecognized repository URL: ${repositoryUrl}`);
+}
+
+/**
+ * Build a date qualifier such as ` created:2024-01-01..2024-06-30`
+ */
+function dateQualifier(field, since, until) {
+  if (since && until) return ` ${field}:${since}..${until}`;
+  if (since) return ` ${field}:>=${since}`;
+  if (until) return ` ${field}:<=${until}`;
+  return '';
+}
 
 export class GitHubClient {
-  constructor(token) {
-    if (!token) {
-      throw new Error('GitHub token is required. Set GITHUB_TOKEN env var or use --token flag');
+  constructor(token, options = {}) {
+    if (!token && !options.appAuth && !options.replayDir) {
+      throw new Error('GitHub token is required. Set GITHUB_TOKEN env var or use --token flag (or authenticate as a GitHub App with --app-id)');
     }
 
+    this.warnings = [];
+    this.api = options.api || 'rest';
+    this.prefetched = new Map();
+    this.statsTimeout = options.statsTimeout ?? DEFAULT_STATS_TIMEOUT_MS;
+
+    // GitHub Enterprise Server: e.g. https://github.example.com/api/v3
+    this.baseUrl = (options.baseUrl || 'https://api.github.com').replace(/\/+$/, '');
+
+    // Record/replay swaps the transport underneath every hook below
+    const fetch = createTransport(options);
+
+    // A GitHub App authenticates each request itself with installation tokens
     this.octokit = new Octokit({
-      auth: token,
+      auth: options.appAuth ? undefined : token,
+      baseUrl: this.baseUrl,
       userAgent: 'github-metrics-calculator/1.0.0',
+      request: fetch ? { fetch } : undefined,
     });
+    if (options.replayDir) {
+      this.octokit.hook.wrap('request', surfaceReplayMisses);
+    }
+    if (options.appAuth) {
+      options.appAuth.attach(this.octokit);
+    }
+
+    // Throttle and retry every request, including the ones commands make via client.octokit
+    // Replayed responses come from disk, so there is no search budget to pace against
+    this.rateLimiter = new RateLimiter({
+      onWait: options.onRateLimitWait,
+      searchPerMinute: options.replayDir ? Infinity : undefined,
+      // GitHub Enterprise Server answers 404 on /rate_limit when rate limiting is disabled
+      isRateLimited: () => this.octokit.request('GET /rate_limit').then(() => true, error => error.status !== 404),
+    });
+    this.octokit.hook.wrap('request', (request, requestOptions) =>
+      this.rateLimiter.schedule(request, requestOptions));
+
+    // Cache wraps the rate limiter so cache hits never touch the network
+    this.cache = options.cache || null;
+    if (this.cache) {
+      const scope = getCredentialScope({ token, appAuth: options.appAuth });
+      this.octokit.hook.wrap('request', (request, requestOptions) =>
+        this.cache.handle(request, requestOptions, this.octokit.request.endpoint, scope));
+    }
+  }
+
+  /**
+   * Requests made, retries and quota remaining for this run
+   */
+  getUsage() {
+    return {
+      ...this.rateLimiter.getUsage(),
+      cache: this.cache ? { ...this.cache.stats } : null,
+    };
+  }
+
+  /**
+   * Number of PRs to process in parallel, lowered under rate limit pressure
+   */
+  getConcurrencyLimit(requested) {
+    return this.rateLimiter.getConcurrencyLimit(requested);
+  }
+
+  /**
+   * Data completeness warnings collected during the run
+   */
+  getWarnings() {
+    return [...this.warnings];
+  }
+
+  /**
+   * Run a search and return every result. When a date window matches more than
+   * the 1000 results search will return, it is split in half recursively and the
+   * windows are merged and de-duplicated (newest first).
+   */
+  async searchAll(endpoint, query, options = {}) {
+    const { dateField = 'created', sort = 'created' } = options;
+    const results = new Map();
+
+    const search = (q, page) => this.octokit.search[endpoint]({
+      q,
+      per_page: 100,
+      page,
+      sort,
+      order: 'desc',
+    });
+
+    const fetchWindow = async (since, until) => {
+      const q = query + dateQualifier(dateField, since, until);
+      const first = await search(q, 1);
+      const total = first.data.total_count;
+
+      if (total > SEARCH_RESULT_LIMIT) {
+        const from = since ? toDateString(since) : SEARCH_EPOCH;
+        const to = until ? toDateString(until) : toDateString(Date.now());
+
+        if (from < to) {
+          const days = Math.round((new Date(to) - new Date(from)) / (1000 * 60 * 60 * 24));
+          const mid = addDays(from, Math.floor(days / 2));
+          await fetchWindow(addDays(mid, 1), to);
+          await fetchWindow(from, mid);
+          return;
+        }
+      }
+
+      const items = [...first.data.items];
+      let page = 2;
+      let hasMore = first.data.items.length === 100;
+
+      while (hasMore && page <= SEARCH_RESULT_LIMIT / 100) {
+        const response = await search(q, page);
+        items.push(...response.data.items);
+        hasMore = response.data.items.length === 100;
+        page++;
+      }
+
+      if (total > SEARCH_RESULT_LIMIT) {
+        this.warnings.push(`Search "${q}" matched ${total} results in a single day; only the first ${SEARCH_RESULT_LIMIT} were fetched`);
+      } else if (first.data.incomplete_results) {
+        this.warnings.push(`Search "${q}" timed out on GitHub's side; results may be incomplete`);
+      }
+
+      items.forEach(item => results.set(item.url, item));
+    };
+
+    await fetchWindow(options.since, options.until);
+    return Array.from(results.values());
   }
 
   /**
@@ -54,59 +234,121 @@ export class GitHubClient {
     return prs;
   }
 
+  /**
+   * With the GraphQL API selected, fetch details for many PRs up front using
+   * aliased batch queries. fetchPRDetails and fetchPRActivity then serve these
+   * PRs without further requests. PRs with more than one page of reviews,
+   * comments or commits are left to the REST path, which paginates fully.
+   */
+  async prefetchPRDetails(refs) {
+    if (this.api !== 'graphql') return;
+
+    for (let i = 0; i < refs.length; i += GRAPHQL_BATCH_SIZE) {
+      const batch = refs.slice(i, i + GRAPHQL_BATCH_SIZE);
+      const { query, variables } = buildPRDetailsQuery(batch);
+
+      let data;
+      try {
+        data = await this.octokit.graphql(query, variables);
+      } catch (error) {
+        // Partial results: PRs that couldn't be resolved are left to REST
+        if (!error.data) throw error;
+        data = error.data;
+      }
+
+      batch.forEach((ref, j) => {
+        const node = data[`pr${j}`]?.pullRequest;
+        if (node && isComplete(node)) {
+          this.prefetched.set(`${ref.owner}/${ref.repo}#${ref.number}`, { ...toPRDetails(node), limitsHit: [] });
+        }
+      });
+    }
+  }
+
+  /**
+   * Fetch a PR with its reviews, issue comments and commits
+   */
+  async fetchPRActivity(owner, repo, prNumber) {
+    const prefetched = this.prefetched.get(`${owner}/${repo}#${prNumber}`);
+    if (prefetched) {
+      const { pr, reviews, issueComments, commits, limitsHit } = prefetched;
+      return { pr, reviews, issueComments, commits, limitsHit };
+    }
+
+    const [prDetails, reviews, issueComments, commits] = await Promise.all([
+      this.octokit.pulls.get({ owner, repo, pull_number: prNumber }),
+      this.octokit.paginate(this.octokit.pulls.listReviews, { owner, repo, pull_number: prNumber, per_page: 100 }),
+      this.octokit.paginate(this.octokit.issues.listComments, { owner, repo, issue_number: prNumber, per_page: 100 }),
+      this.fetchPRCommits(owner, repo, prNumber),
+    ]);
+
+    return {
+      pr: prDetails.data,
+      reviews,
+      issueComments,
+      commits,
+      limitsHit: this.getLimitsHit(commits),
+    };
+  }
+
   /**
    * Fetch detailed metrics for a single PR
    */
   async fetchPRDetails(owner, repo, prNumber) {
+    const prefetched = this.prefetched.get(`${owner}/${repo}#${prNumber}`);
+    if (prefetched) return prefetched;
+
     const [prDetails, issueComments, reviewComments, reviews, commits] = await Promise.all([
       this.octokit.pulls.get({ owner, repo, pull_number: prNumber }),
-      this.octokit.issues.listComments({ owner, repo, issue_number: prNumber, per_page: 100 }),
-      this.octokit.pulls.listReviewComments({ owner, repo, pull_number: prNumber, per_page: 100 }),
-      this.octokit.pulls.listReviews({ owner, repo, pull_number: prNumber, per_page: 100 }),
-      this.octokit.pulls.listCommits({ owner, repo, pull_number: prNumber, per_page: 100 }),
+      this.octokit.paginate(this.octokit.issues.listComments, { owner, repo, issue_number: prNumber, per_page: 100 }),
+      this.octokit.paginate(this.octokit.pulls.listReviewComments, { owner, repo, pull_number: prNumber, per_page: 100 }),
+      this.octokit.paginate(this.octokit.pulls.listReviews, { owner, repo, pull_number: prNumber, per_page: 100 }),
+      this.fetchPRCommits(owner, repo, prNumber),
     ]);
 
     return {
       pr: prDetails.data,
-      issueComments: issueComments.data,
-      reviewComments: reviewComments.data,
-      reviews: reviews.data,
-      commits: commits.data,
+      issueComments,
+      reviewComments,
+      reviews,
+      commits,
+      limitsHit: this.getLimitsHit(commits),
     };
   }
 
   /**
-   * Fetch user's commits across all repositories using search API
+   * Reviews, inline review comments and timeline events (for review requests) of a PR
    */
-  async fetchUserCommits(username, options = {}) {
-    let query = `author:${username}`;
-
-    if (options.since) {
-      query += ` committer-date:>=${options.since}`;
-    }
-    if (options.until) {
-      query += ` committer-date:<=${options.until}`;
-    }
+  async fetchReviewActivity(owner, repo, prNumber) {
+    const [reviews, reviewComments, timeline] = await Promise.all([
+      this.octokit.paginate(this.octokit.pulls.listReviews, { owner, repo, pull_number: prNumber, per_page: 100 }),
+      this.octokit.paginate(this.octokit.pulls.listReviewComments, { owner, repo, pull_number: prNumber, per_page: 100 }),
+      this.octokit.paginate(this.octokit.issues.listEventsForTimeline, { owner, repo, issue_number: prNumber, per_page: 100 }),
+    ]);
 
-    const commits = [];
-    let page = 1;
-    let hasMore = true;
+    return { reviews, reviewComments, timeline };
+  }
 
-    while (hasMore && page <= 10) { // Limit to 1000 commits (10 pages)
-      const response = await this.octokit.search.commits({
-        q: query,
-        per_page: 100,
-        page,
-        sort: 'committer-date',
-        order: 'desc',
-      });
+  /**
+   * Hard API limits a PR's data ran into, e.g. ['commits'] when only the
+   * first 250 commits could be listed
+   */
+  getLimitsHit(commits) {
+    return commits.length >= PR_COMMITS_LIMIT ? ['commits'] : [];
+  }
 
-      commits.push(...response.data.items);
-      hasMore = response.data.items.length === 100;
-      page++;
-    }
+  /**
+   * Fetch user's commits across all repositories using search API
+   */
+  async fetchUserCommits(username, options = {}) {
+    const query = `author:${username}`;
 
-    return commits;
+    return this.searchAll('commits', query, {
+      since: options.since,
+      until: options.until,
+      dateField: 'committer-date',
+      sort: 'committer-date',
+    });
   }
 
   /**
@@ -152,38 +394,138 @@ export class GitHubClient {
     return response.data;
   }
 
+  /**
+   * Logins of a team's members (including members of child teams)
+   */
+  async fetchTeamMembers(org, teamSlug) {
+    const members = await this.octokit.paginate(this.octokit.teams.listMembersInOrg, {
+      org,
+      team_slug: teamSlug,
+      per_page: 100,
+    });
+    return members.map(member => member.login);
+  }
+
+  /**
+   * Every repository of an organization
+   */
+  async fetchOrgRepos(org) {
+    return this.octokit.paginate(this.octokit.repos.listForOrg, {
+      org,
+      type: 'all',
+      per_page: 100,
+    });
+  }
+
   /**
    * Fetch repository contributors with stats
    */
   async fetchRepoContributors(owner, repo) {
-    const response = await this.octokit.repos.listContributors({
+    return this.octokit.paginate(this.octokit.repos.listContributors, {
       owner,
       repo,
       per_page: 100,
     });
-    return response.data;
   }
 
   /**
-   * Fetch repository commit activity
+   * Fetch commits on a repository's default branch
    */
-  async fetchRepoCommitActivity(owner, repo) {
-    const response = await this.octokit.repos.getCommitActivityStats({
+  async fetchRepoCommits(owner, repo, options = {}) {
+    return this.octokit.paginate(this.octokit.repos.listCommits, {
       owner,
       repo,
+      since: options.since,
+      until: options.until,
+      per_page: 100,
     });
-    return response.data;
   }
 
   /**
-   * Fetch contributor stats for a repository
+   * Call a statistics endpoint, polling with backoff while GitHub answers 202 (still computing).
+   * Returns null if the stats aren't ready within the stats timeout.
+   */
+  async pollStats(request, label) {
+    const deadline = Date.now() + this.statsTimeout;
+    let delay = STATS_POLL_INITIAL_MS;
+
+    for (;;) {
+      const response = await request();
+      // 204: empty repository, nothing to compute
+      if (response.status !== 202) return response.data || [];
+
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) return null;
+
+      const wait = Math.min(delay, remaining);
+      await this.rateLimiter.wait(wait, `GitHub is computing ${label}, checking again in ${Math.ceil(wait / 1000)}s`, false);
+      delay = Math.min(delay * 2, STATS_POLL_MAX_MS);
+    }
+  }
+
+  /**
+   * Fetch repository commit activity (commits per day for the last 52 weeks).
+   * Falls back to counting the commit list if GitHub hasn't computed the stats in time.
+   */
+  async fetchRepoCommitActivity(owner, repo) {
+    const stats = await this.pollStats(
+      () => this.octokit.repos.getCommitActivityStats({ owner, repo }),
+      `commit activity for ${owner}/${repo}`,
+    );
+    if (stats) return stats;
+
+    this.warnings.push(`Commit activity for ${owner}/${repo} was not ready after ${Math.round(this.statsTimeout / 1000)}s; counted from the commit list instead`);
+
+    // Same shape as the stats endpoint: weeks start on Sunday, days run Sunday..Saturday
+    const thisWeek = new Date();
+    thisWeek.setUTCHours(0, 0, 0, 0);
+    thisWeek.setUTCDate(thisWeek.getUTCDate() - thisWeek.getUTCDay());
+    const firstWeek = thisWeek.getTime() - 51 * WEEK_MS;
+
+    const weeks = Array.from({ length: 52 }, (_, i) => ({
+      days: [0, 0, 0, 0, 0, 0, 0],
+      total: 0,
+      week: (firstWeek + i * WEEK_MS) / 1000,
+    }));
+
+    const commits = await this.fetchRepoCommits(owner, repo, { since: new Date(firstWeek).toISOString() });
+    commits.forEach(c => {
+      const date = new Date(c.commit.author.date);
+      const week = weeks[Math.floor((date.getTime() - firstWeek) / WEEK_MS)];
+      if (!week) return;
+      week.days[date.getUTCDay()]++;
+      week.total++;
+    });
+
+    return weeks;
+  }
+
+  /**
+   * Fetch contributor stats for a repository.
+   * Falls back to commit counts from the commit list if GitHub hasn't computed the stats in time;
+   * those entries have no weekly additions/deletions.
    */
   async fetchContributorStats(owner, repo) {
-    const response = await this.octokit.repos.getContributorsStats({
-      owner,
-      repo,
+    const stats = await this.pollStats(
+      () => this.octokit.repos.getContributorsStats({ owner, repo }),
+      `contributor stats for ${owner}/${repo}`,
+    );
+    if (stats) return stats;
+
+    this.warnings.push(`Contributor stats for ${owner}/${repo} were not ready after ${Math.round(this.statsTimeout / 1000)}s; commit counts come from the commit list and additions/deletions are unavailable`);
+
+    const contributors = new Map();
+    const commits = await this.fetchRepoCommits(owner, repo);
+    commits.forEach(c => {
+      // Commits whose email isn't linked to an account are grouped by author name
+      const author = c.author || { login: c.commit.author.name, email: c.commit.author.email };
+      const entry = contributors.get(author.login) || { author, total: 0, weeks: [] };
+      entry.total++;
+      contributors.set(author.login, entry);
     });
-    return response.data;
+
+    // The stats endpoint lists contributors by ascending commit count
+    return [...contributors.values()].sort((a, b) => a.total - b.total);
   }
 
   /**
@@ -205,12 +547,6 @@ export class GitHubClient {
       query += ` repo:${options.repo}`;
     }
 
-    if (options.since) {
-      query += ` created:>=${options.since}`;
-    }
-    if (options.until) {
-      query += ` created:<=${options.until}`;
-    }
     if (options.state === 'merged') {
       query += ` is:merged`;
     } else if (options.state === 'open') {
@@ -219,38 +555,28 @@ export class GitHubClient {
       query += ` is:closed`;
     }
 
-    const prs = [];
-    let page = 1;
-    let hasMore = true;
-
-    while (hasMore && page <= 10) { // Limit to 1000 PRs
-      const response = await this.octokit.search.issuesAndPullRequests({
-        q: query,
-        per_page: 100,
-        page,
-        sort: 'created',
-        order: 'desc',
-      });
-
-      prs.push(...response.data.items);
-      hasMore = response.data.items.length === 100;
-      page++;
-    }
-
-    return prs;
+    return this.searchAll('issuesAndPullRequests', query, {
+      since: options.since,
+      until: options.until,
+      dateField: options.dateField,
+    });
   }
 
   /**
    * Fetch commits for a PR to check for AI co-authorship
    */
   async fetchPRCommits(owner, repo, prNumber) {
-    const response = await this.octokit.pulls.listCommits({
+    const commits = await this.octokit.paginate(this.octokit.pulls.listCommits, {
       owner,
       repo,
       pull_number: prNumber,
       per_page: 100,
     });
-    return response.data;
+
+    if (commits.length >= PR_COMMITS_LIMIT) {
+      this.warnings.push(`${owner}/${repo}#${prNumber} reached the ${PR_COMMITS_LIMIT}-commit listing limit; GitHub lists no more than ${PR_COMMITS_LIMIT}, so AI detection and commit counts may be low`);
+    }
+    return commits;
   }
 
   /**
@@ -265,32 +591,11 @@ export class GitHubClient {
       query += ` (${orgQuery})`;
     }
 
-    if (options.since) {
-      query += ` created:>=${options.since}`;
-    }
-    if (options.until) {
-      query += ` created:<=${options.until}`;
-    }
-
-    const issues = [];
-    let page = 1;
-    let hasMore = true;
-
-    while (hasMore && page <= 10) {
-      const response = await this.octokit.search.issuesAndPullRequests({
-        q: query,
-        per_page: 100,
-        page,
-        sort: 'created',
-        order: 'desc',
-      });
-
-      issues.push(...response.data.items);
-      hasMore = response.data.items.length === 100;
-      page++;
-    }
-
-    return issues;
+    return this.searchAll('issuesAndPullRequests', query, {
+      since: options.since,
+      until: options.until,
+      dateField: options.dateField,
+    });
   }
 
   /**
@@ -305,32 +610,11 @@ export class GitHubClient {
       query += ` (${orgQuery})`;
     }
 
-    if (options.since) {
-      query += ` created:>=${options.since}`;
-    }
-    if (options.until) {
-      query += ` created:<=${options.until}`;
-    }
-
-    const prs = [];
-    let page = 1;
-    let hasMore = true;
-
-    while (hasMore && page <= 10) {
-      const response = await this.octokit.search.issuesAndPullRequests({
-        q: query,
-        per_page: 100,
-        page,
-        sort: 'created',
-        order: 'desc',
-      });
-
-      prs.push(...response.data.items);
-      hasMore = response.data.items.length === 100;
-      page++;
-    }
-
-    return prs;
+    return this.searchAll('issuesAndPullRequests', query, {
+      since: options.since,
+      until: options.until,
+      dateField: options.dateField,
+    });
   }
 
   /**
@@ -346,32 +630,11 @@ export class GitHubClient {
       query += ` (${orgQuery})`;
     }
 
-    if (options.since) {
-      query += ` created:>=${options.since}`;
-    }
-    if (options.until) {
-      query += ` created:<=${options.until}`;
-    }
-
-    const issues = [];
-    let page = 1;
-    let hasMore = true;
-
-    while (hasMore && page <= 10) { // Limit to 1000 issues
-      const response = await this.octokit.search.issuesAndPullRequests({
-        q: query,
-        per_page: 100,
-        page,
-        sort: 'created',
-        order: 'desc',
-      });
-
-      issues.push(...response.data.items);
-      hasMore = response.data.items.length === 100;
-      page++;
-    }
-
-    return issues;
+    return this.searchAll('issuesAndPullRequests', query, {
+      since: options.since,
+      until: options.until,
+      dateField: options.dateField,
+    });
   }
 
   /**
@@ -404,6 +667,29 @@ export class GitHubClient {
     };
   }
 
+  /**
+   * Fetch a repository's PRs updated since a date (all of them without one), most recently updated first
+   */
+  async fetchUpdatedRepoPRs(owner, repo, since) {
+    const prs = [];
+    const pages = this.octokit.paginate.iterator(this.octokit.pulls.list, {
+      owner,
+      repo,
+      state: 'all',
+      sort: 'updated',
+      direction: 'desc',
+      per_page: 100,
+    });
+
+    for await (const response of pages) {
+      const updated = since ? response.data.filter(pr => new Date(pr.updated_at) >= new Date(since)) : response.data;
+      prs.push(...updated);
+      if (updated.length < response.data.length) break;
+    }
+
+    return prs;
+  }
+
   /**
    * Fetch all PRs for a repository
    */
@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GitHubClient, getRepoFromUrl } from './github-client.js';
+
+const item = (n) => ({ url: `https://api.github.com/repos/acme/web/issues/${n}`, number: n });
+
+/**
+ * A client whose issue search answers from `respond(q, page)` instead of the API
+ */
+function createSearchClient(respond) {
+  const client = new GitHubClient('token');
+  const queries = [];
+  client.octokit.search = {
+    issuesAndPullRequests: async ({ q, page }) => {
+      queries.push([q, page]);
+      return { data: respond(q, page) };
+    },
+  };
+  return { client, queries };
+}
+
+describe('GitHubClient.searchAll', () => {
+  it('splits a date window that matches more than 1000 results in half', async () => {
+    const { client, queries } = createSearchClient((q) => {
+      if (q.endsWith('2024-01-01..2024-01-04')) return { total_count: 1200, items: [] };
+      // Each half: its own PR plus one on both sides of the split
+      if (q.endsWith('2024-01-03..2024-01-04')) return { total_count: 2, items: [item(2), item(1)] };
+      return { total_count: 2, items: [item(1), item(0)] };
+    });
+
+    const results = await client.searchAll('issuesAndPullRequests', 'author:alice is:pr', { since: '2024-01-01', until: '2024-01-04' });
+
+    assert.deepEqual(queries, [
+      ['author:alice is:pr created:2024-01-01..2024-01-04', 1],
+      ['author:alice is:pr created:2024-01-03..2024-01-04', 1],
+      ['author:alice is:pr created:2024-01-01..2024-01-02', 1],
+    ]);
+    assert.deepEqual(results.map(r => r.number), [2, 1, 0]);
+    assert.deepEqual(client.getWarnings(), []);
+  });
+
+  it('fetches every page of a window and warns when a single day is over the limit', async () => {
+    const { client, queries } = createSearchClient((q, page) => ({
+      total_count: 1500,
+      items: Array.from({ length: 100 }, (_, i) => item((page - 1) * 100 + i)),
+    }));
+
+    const results = await client.searchAll('issuesAndPullRequests', 'is:pr', { since: '2024-01-01', until: '2024-01-01' });
+
+    assert.equal(queries.length, 10);
+    assert.equal(results.length, 1000);
+    assert.deepEqual(client.getWarnings(), [
+      'Search "is:pr created:2024-01-01..2024-01-01" matched 1500 results in a single day; only the first 1000 were fetched',
+    ]);
+  });
+
+  it('warns when GitHub reports incomplete results', async () => {
+    const { client } = createSearchClient(() => ({ total_count: 1, incomplete_results: true, items: [item(1)] }));
+
+    await client.searchAll('issuesAndPullRequests', 'is:pr', { since: '2024-01-01' });
+
+    assert.deepEqual(client.getWarnings(), ['Search "is:pr created:>=2024-01-01" timed out on GitHub\'s side; results may be incomplete']);
+  });
+});
+
+describe('getRepoFromUrl', () => {
+  it('reads owner and repo from GitHub and GitLab repository URLs', () => {
+    assert.deepEqual(getRepoFromUrl('https://api.github.com/repos/acme/web'), { owner: 'acme', repo: 'web', host: 'api.github.com' });
+    assert.deepEqual(
+      getRepoFromUrl('https://gitlab.example.com/api/v4/projects/acme%2Fplatform%2Fweb'),
+      { owner: 'acme/platform', repo: 'web', host: 'gitlab.example.com' },
+    );
+    assert.throws(() => getRepoFromUrl('https://example.com/acme'), /Unrecognized repository URL/);
+  });
+});
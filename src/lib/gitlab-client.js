@@ -0,0 +1,468 @@
+/**
+ * GitLab API Client
+ * Provider for GitLab (gitlab.com or self-hosted) that maps merge requests, approvals,
+ * notes, commits and issues onto the GitHub-shaped records the commands use
+ */
+
+import { GitHubClient } from './github-client.js';
+import { RateLimiter } from './rate-limiter.js';
+import { createTransport, checkReplayMiss } from './recorder.js';
+
+const PER_PAGE = 100;
+
+// System notes GitLab adds for review actions
+const APPROVED_NOTE = /^approved this merge request/i;
+const CHANGES_REQUESTED_NOTE = /^requested changes/i;
+const REVIEW_REQUESTED_NOTE = /^requested review from /i;
+
+const toState = (state) => (state === 'opened' ? 'open' : 'closed');
+
+/**
+ * Start/end of whole days, matching GitHub's inclusive `created:` ranges
+ */
+const startOfDay = (date) => (date ? `${date}T00:00:00Z` : undefined);
+const endOfDay = (date) => (date ? `${date}T23:59:59Z` : undefined);
+
+function toUser(user) {
+  if (!user) return null;
+  return {
+    login: user.username,
+    name: user.name,
+    type: user.bot ? 'Bot' : 'User',
+    html_url: user.web_url,
+  };
+}
+
+export class GitLabClient {
+  constructor(token, options = {}) {
+    if (!token && !options.replayDir) {
+      throw new Error('GitLab token is required. Set GITLAB_TOKEN env var or use --token flag');
+    }
+
+    this.token = token;
+    this.warnings = [];
+    // e.g. https://gitlab.example.com/api/v4
+    this.baseUrl = (options.baseUrl || 'https://gitlab.com/api/v4').replace(/\/+$/, '');
+    // Web paths are relative to the instance root, which may itself have a path (relative URL root)
+    this.webRoot = new URL(this.baseUrl).pathname.replace(/\/api\/v4$/, '');
+
+    this.fetch = createTransport(options) || fetch;
+    this.rateLimiter = new RateLimiter({ onWait: options.onRateLimitWait });
+  }
+
+  getUsage() {
+    return { ...this.rateLimiter.getUsage(), cache: null };
+  }
+
+  getConcurrencyLimit(requested) {
+    return this.rateLimiter.getConcurrencyLimit(requested);
+  }
+
+  getWarnings() {
+    return [...this.warnings];
+  }
+
+  /**
+   * GET a GitLab API path, throttled and retried like GitHub requests
+   */
+  request(url, params = {}) {
+    return this.rateLimiter.schedule(options => this.send(options), { method: 'GET', url, params });
+  }
+
+  async send({ method, url, params }) {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value === undefined || value === null) return;
+      if (Array.isArray(value)) value.forEach(v => query.append(`${key}[]`, v));
+      else query.append(key, value);
+    });
+
+    let response;
+    try {
+      response = await this.fetch(`${this.baseUrl}${url}?${query}`, {
+        method,
+        headers: {
+          'private-token': this.token || '',
+          accept: 'application/json',
+          'user-agent': 'github-metrics-calculator/1.0.0',
+        },
+      });
+    } catch (cause) {
+      // Network failures are retried like server errors, as on the GitHub path
+      const error = new Error(`${cause.message} (${method} ${url})`);
+      error.status = 500;
+      throw error;
+    }
+
+    const headers = {};
+    response.headers.forEach((value, name) => {
+      headers[name] = value;
+    });
+    // GitLab's RateLimit-* headers, under the names the rate limiter reads
+    if (headers['ratelimit-remaining'] !== undefined) {
+      headers['x-ratelimit-limit'] = headers['ratelimit-limit'];
+      headers['x-ratelimit-remaining'] = headers['ratelimit-remaining'];
+      headers['x-ratelimit-reset'] = headers['ratelimit-reset'];
+    }
+
+    const text = await response.text();
+    const data = text ? JSON.parse(text) : null;
+
+    if (!response.ok) {
+      checkReplayMiss(headers, data);
+      const message = data?.message || data?.error || response.statusText;
+      const error = new Error(`${typeof message === 'string' ? message : JSON.stringify(message)} (${method} ${url})`);
+      error.status = response.status;
+      error.response = { headers, data };
+      throw error;
+    }
+
+    return { status: response.status, headers, data };
+  }
+
+  /**
+   * GET every page of a list endpoint
+   */
+  async paginate(url, params = {}) {
+    const items = [];
+    let page = 1;
+
+    while (page) {
+      const response = await this.request(url, { ...params, per_page: PER_PAGE, page });
+      items.push(...response.data);
+
+      const next = response.headers['x-next-page'];
+      if (next !== undefined) {
+        page = next ? Number(next) : null;
+      } else {
+        page = response.data.length === PER_PAGE ? page + 1 : null;
+      }
+    }
+
+    return items;
+  }
+
+  projectId(owner, repo) {
+    return encodeURIComponent(`${owner}/${repo}`);
+  }
+
+  /**
+   * API URL of the project an MR or issue belongs to, parsed from its web URL
+   * (https://gitlab.example.com/group/project/-/merge_requests/12)
+   */
+  getProjectUrl(item) {
+    const pathname = new URL(item.web_url).pathname.slice(this.webRoot.length);
+    const projectPath = pathname.replace(/^\/|\/-\/.*$/g, '');
+    return `${this.baseUrl}/projects/${encodeURIComponent(projectPath)}`;
+  }
+
+  /**
+   * MR or issue as a GitHub search result item
+   */
+  toSearchItem(item, isMergeRequest) {
+    const repositoryUrl = this.getProjectUrl(item);
+    const kind = isMergeRequest ? 'merge_requests' : 'issues';
+    const searchItem = {
+      url: `${repositoryUrl}/${kind}/${item.iid}`,
+      number: item.iid,
+      title: item.title,
+      user: toUser(item.author),
+      assignees: (item.assignees || []).map(toUser),
+      state: toState(item.state),
+      comments: item.user_notes_count || 0,
+      created_at: item.created_at,
+      updated_at: item.updated_at,
+      closed_at: item.closed_at || item.merged_at || null,
+      html_url: item.web_url,
+      repository_url: repositoryUrl,
+    };
+
+    if (isMergeRequest) {
+      searchItem.pull_request = {
+        merged_at: item.merged_at || null,
+        url: searchItem.url,
+      };
+    }
+    return searchItem;
+  }
+
+  /**
+   * MR as a GitHub pull request
+   */
+  toPull(mr, diffStats = {}) {
+    return {
+      number: mr.iid,
+      title: mr.title,
+      user: toUser(mr.author),
+      state: toState(mr.state),
+      draft: !!(mr.draft || mr.work_in_progress),
+      created_at: mr.created_at,
+      updated_at: mr.updated_at,
+      closed_at: mr.closed_at || mr.merged_at || null,
+      merged_at: mr.merged_at || null,
+      merged: mr.state === 'merged',
+      html_url: mr.web_url,
+      additions: diffStats.additions ?? null,
+      deletions: diffStats.deletions ?? null,
+      changed_files: diffStats.changedFiles ?? (Number.parseInt(mr.changes_count, 10) || null),
+      base: { ref: mr.target_branch },
+      head: { ref: mr.source_branch },
+    };
+  }
+
+  /**
+   * Search-like listing of MRs or issues across the instance, or within groups (--org)
+   */
+  async listAcross(kind, params, options = {}) {
+    // `sync` asks for items updated (rather than created) in the range
+    const field = options.dateField === 'updated' ? 'updated' : 'created';
+    const query = {
+      scope: 'all',
+      [`${field}_after`]: startOfDay(options.since),
+      [`${field}_before`]: endOfDay(options.until),
+      ...params,
+    };
+
+    if (options.state === 'open') query.state = 'opened';
+    if (options.state === 'merged') query.state = 'merged';
+
+    let items;
+    if (options.repo) {
+      const [owner, ...rest] = options.repo.split('/');
+      items = await this.paginate(`/projects/${this.projectId(owner, rest.join('/'))}/${kind}`, query);
+    } else if (options.org) {
+      const groups = options.org.split(',').map(o => o.trim());
+      const lists = [];
+      for (const group of groups) {
+        lists.push(await this.paginate(`/groups/${encodeURIComponent(group)}/${kind}`, { ...query, scope: undefined }));
+      }
+      items = lists.flat();
+    } else {
+      items = await this.paginate(`/${kind}`, query);
+    }
+
+    const records = items.map(item => this.toSearchItem(item, kind === 'merge_requests'));
+    return options.state === 'closed' ? records.filter(r => r.state === 'closed') : records;
+  }
+
+  fetchUserPRsAcrossRepos(username, options = {}) {
+    return this.listAcross('merge_requests', { author_username: username }, options);
+  }
+
+  fetchUserIssuesAcrossRepos(username, options = {}) {
+    return this.listAcross('issues', { author_username: username }, options);
+  }
+
+  fetchAssignedIssues(username, options = {}) {
+    return this.listAcross('issues', { assignee_username: username }, options);
+  }
+
+  /**
+   * GitLab has no "reviewed-by" search; MRs the user is a reviewer on are the closest match
+   */
+  fetchReviewRequestedPRs(username, options = {}) {
+    return this.listAcross('merge_requests', { reviewer_username: username }, options);
+  }
+
+  /**
+   * MRs of a project, as pull request listings
+   */
+  async listProjectMRs(owner, repo, params, options = {}) {
+    const mrs = await this.paginate(`/projects/${this.projectId(owner, repo)}/merge_requests`, {
+      state: options.state === 'open' ? 'opened' : options.state === 'merged' ? 'merged' : 'all',
+      created_after: options.since ? new Date(options.since).toISOString() : undefined,
+      created_before: options.until ? new Date(options.until).toISOString() : undefined,
+      ...params,
+    });
+
+    const pulls = mrs.map(mr => this.toPull(mr));
+    return options.state === 'closed' ? pulls.filter(pr => pr.state === 'closed') : pulls;
+  }
+
+  fetchUserPRs(owner, repo, username, options = {}) {
+    return this.listProjectMRs(owner, repo, { author_username: username }, options);
+  }
+
+  fetchRepoPRs(owner, repo, options = {}) {
+    return this.listProjectMRs(owner, repo, {}, options);
+  }
+
+  /**
+   * MRs of a project updated since a date (all of them without one)
+   */
+  async fetchUpdatedRepoPRs(owner, repo, since) {
+    const mrs = await this.paginate(`/projects/${this.projectId(owner, repo)}/merge_requests`, {
+      state: 'all',
+      updated_after: since || undefined,
+      order_by: 'updated_at',
+    });
+    return mrs.map(mr => this.toPull(mr));
+  }
+
+  async prefetchPRDetails() {}
+
+  /**
+   * An MR with its reviews, conversation comments and commits
+   */
+  async fetchPRActivity(owner, repo, prNumber) {
+    const { pr, reviews, issueComments, commits, limitsHit } = await this.fetchPRDetails(owner, repo, prNumber);
+    return { pr, reviews, issueComments, commits, limitsHit };
+  }
+
+  /**
+   * Everything about an MR, shaped like GitHubClient.fetchPRDetails
+   */
+  async fetchPRDetails(owner, repo, prNumber) {
+    const mrPath = `/projects/${this.projectId(owner, repo)}/merge_requests/${prNumber}`;
+
+    const [mr, notes, approvals, commits, diffs] = await Promise.all([
+      this.request(mrPath).then(response => response.data),
+      this.paginate(`${mrPath}/notes`, { sort: 'asc', order_by: 'created_at' }),
+      this.request(`${mrPath}/approvals`).then(response => response.data),
+      this.paginate(`${mrPath}/commits`),
+      this.paginate(`${mrPath}/diffs`),
+    ]);
+
+    return {
+      pr: this.toPull(mr, this.getDiffStats(diffs)),
+      issueComments: notes.filter(n => !n.system && n.type !== 'DiffNote').map(n => this.toComment(n)),
+      reviewComments: notes.filter(n => !n.system && n.type === 'DiffNote').map(n => this.toDiffComment(n)),
+      reviews: this.toReviews(notes, approvals),
+      commits: commits.map(c => ({
+        sha: c.id,
+        commit: {
+          message: c.message,
+          author: { name: c.author_name, email: c.author_email, date: c.authored_date },
+          committer: { name: c.committer_name, email: c.committer_email, date: c.committed_date },
+        },
+        // GitLab doesn't link commit authors to accounts
+        author: null,
+      })),
+      limitsHit: [],
+    };
+  }
+
+  /**
+   * Reviews, inline (diff) comments and review requests of an MR, shaped like
+   * GitHubClient.fetchReviewActivity. Review requests come from system notes
+   * such as "requested review from @bob and @carol".
+   */
+  async fetchReviewActivity(owner, repo, prNumber) {
+    const mrPath = `/projects/${this.projectId(owner, repo)}/merge_requests/${prNumber}`;
+
+    const [notes, approvals] = await Promise.all([
+      this.paginate(`${mrPath}/notes`, { sort: 'asc', order_by: 'created_at' }),
+      this.request(`${mrPath}/approvals`).then(response => response.data),
+    ]);
+
+    const timeline = notes
+      .filter(n => n.system && REVIEW_REQUESTED_NOTE.test(n.body))
+      .flatMap(n => [...n.body.matchAll(/@([\w.-]+)/g)].map(([, username]) => ({
+        event: 'review_requested',
+        created_at: n.created_at,
+        actor: toUser(n.author),
+        requested_reviewer: { login: username },
+      })));
+
+    return {
+      reviews: this.toReviews(notes, approvals),
+      reviewComments: notes.filter(n => !n.system && n.type === 'DiffNote').map(n => this.toDiffComment(n)),
+      timeline,
+    };
+  }
+
+  toComment(note) {
+    return {
+      id: note.id,
+      user: toUser(note.author),
+      body: note.body,
+      created_at: note.created_at,
+    };
+  }
+
+  /**
+   * Diff note as an inline review comment, with the file it is on
+   */
+  toDiffComment(note) {
+    return {
+      ...this.toComment(note),
+      path: note.position?.new_path || null,
+    };
+  }
+
+  /**
+   * Reviews from approval and "requested changes" system notes. Current approvers without
+   * a note (e.g. approvals older than the notes) are added without a timestamp.
+   */
+  toReviews(notes, approvals) {
+    const reviews = [];
+    notes.filter(n => n.system).forEach(n => {
+      const state = APPROVED_NOTE.test(n.body) ? 'APPROVED'
+        : CHANGES_REQUESTED_NOTE.test(n.body) ? 'CHANGES_REQUESTED'
+          : null;
+      if (state) {
+        reviews.push({ id: n.id, user: toUser(n.author), state, body: '', submitted_at: n.created_at });
+      }
+    });
+
+    (approvals?.approved_by || []).forEach(({ user }) => {
+      const noted = reviews.some(r => r.state === 'APPROVED' && r.user.login === user.username);
+      if (!noted) {
+        reviews.push({ id: null, user: toUser(user), state: 'APPROVED', body: '', submitted_at: null });
+      }
+    });
+
+    return reviews;
+  }
+
+  /**
+   * Line counts from an MR's diffs (GitLab sends hunks only, without ---/+++ file headers)
+   */
+  getDiffStats(diffs) {
+    let additions = 0;
+    let deletions = 0;
+    diffs.forEach(({ diff = '' }) => {
+      diff.split('\n').forEach(line => {
+        if (line.startsWith('+')) additions++;
+        else if (line.startsWith('-')) deletions++;
+      });
+    });
+    return { additions, deletions, changedFiles: diffs.length };
+  }
+
+  /**
+   * Projects of a group and its subgroups, shaped like GitHub's org repository listing
+   */
+  async fetchOrgRepos(group) {
+    const projects = await this.paginate(`/groups/${encodeURIComponent(group)}/projects`, { include_subgroups: true });
+    return projects.map(project => ({
+      name: project.path,
+      full_name: project.path_with_namespace,
+      owner: { login: project.namespace.full_path },
+      archived: project.archived,
+      fork: Boolean(project.forked_from_project),
+      visibility: project.visibility,
+      private: project.visibility !== 'public',
+      topics: project.topics || project.tag_list || [],
+      pushed_at: project.last_activity_at,
+    }));
+  }
+
+  /**
+   * Contributor totals, shaped like GitHub's contributor stats (a single "week" holds the totals)
+   */
+  async fetchContributorStats(owner, repo) {
+    const contributors = await this.paginate(`/projects/${this.projectId(owner, repo)}/repository/contributors`);
+    return contributors
+      .map(c => ({
+        author: { login: c.name, email: c.email },
+        total: c.commits,
+        weeks: [{ w: null, a: c.additions || 0, d: c.deletions || 0, c: c.commits }],
+      }))
+      .sort((a, b) => a.total - b.total);
+  }
+
+  detectAICoAuthorship(commitMessage) {
+    return GitHubClient.prototype.detectAICoAuthorship(commitMessage);
+  }
+}
@@ -0,0 +1,168 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { GitLabClient } from './gitlab-client.js';
+
+const alice = { username: 'alice', name: 'Alice', web_url: 'https://gitlab.example.com/alice' };
+const bob = { username: 'bob', name: 'Bob', web_url: 'https://gitlab.example.com/bob' };
+const carol = { username: 'carol', name: 'Carol', web_url: 'https://gitlab.example.com/carol' };
+
+const MR = '/api/v4/projects/acme%2Fweb/merge_requests/7';
+
+// Path -> pages of JSON bodies; single objects are served as they are
+const ROUTES = {
+  [MR]: {
+    iid: 7,
+    title: 'Add search',
+    author: alice,
+    state: 'merged',
+    created_at: '2024-03-04T09:00:00Z',
+    updated_at: '2024-03-05T12:00:00Z',
+    merged_at: '2024-03-05T12:00:00Z',
+    closed_at: null,
+    web_url: 'https://gitlab.example.com/acme/web/-/merge_requests/7',
+    target_branch: 'main',
+    source_branch: 'search',
+  },
+  [`${MR}/notes`]: [
+    [
+      { id: 1, system: true, author: alice, body: 'requested review from @bob and @carol', created_at: '2024-03-04T09:05:00Z' },
+      { id: 2, system: false, type: null, author: bob, body: 'Looks close', created_at: '2024-03-04T10:00:00Z' },
+      { id: 3, system: false, type: 'DiffNote', author: bob, body: 'Typo', created_at: '2024-03-04T10:01:00Z', position: { new_path: 'src/search.js' } },
+    ],
+    [
+      { id: 4, system: true, author: bob, body: 'requested changes', created_at: '2024-03-04T10:02:00Z' },
+      { id: 5, system: true, author: bob, body: 'approved this merge request', created_at: '2024-03-05T11:00:00Z' },
+    ],
+  ],
+  [`${MR}/approvals`]: { approved_by: [{ user: bob }, { user: carol }] },
+  [`${MR}/commits`]: [[
+    {
+      id: 'abc123',
+      message: 'Add search\n\nCo-authored-by: Copilot <copilot@github.com>',
+      author_name: 'Alice',
+      author_email: 'alice@example.com',
+      authored_date: '2024-03-03T15:00:00Z',
+      committer_name: 'Alice',
+      committer_email: 'alice@example.com',
+      committed_date: '2024-03-03T15:00:00Z',
+    },
+  ]],
+  [`${MR}/diffs`]: [[
+    { new_path: 'src/search.js', diff: '@@ -1,2 +1,3 @@\n+const index = [];\n+export default index;\n-export {};\n' },
+    { new_path: 'README.md', diff: '@@ -10 +10 @@\n+Search\n' },
+  ]],
+  '/api/v4/projects/acme%2Fweb/repository/contributors': [[
+    { name: 'alice', email: 'alice@example.com', commits: 12, additions: 300, deletions: 40 },
+    { name: 'bob', email: 'bob@example.com', commits: 3, additions: 20, deletions: 5 },
+  ]],
+};
+
+describe('GitLabClient', () => {
+  let server;
+  let client;
+  const requests = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push({ path: url.pathname, token: req.headers['private-token'] });
+
+      const route = ROUTES[url.pathname];
+      if (!route) {
+        res.writeHead(404, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ message: '404 Not Found' }));
+        return;
+      }
+
+      let body = route;
+      const headers = { 'content-type': 'application/json' };
+      if (Array.isArray(route)) {
+        const page = Number(url.searchParams.get('page') || 1);
+        body = route[page - 1] || [];
+        headers['x-next-page'] = page < route.length ? String(page + 1) : '';
+      }
+      res.writeHead(200, headers);
+      res.end(JSON.stringify(body));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    client = new GitLabClient('secret', { baseUrl: `http://127.0.0.1:${server.address().port}/api/v4` });
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('builds reviews from system notes and approvals', async () => {
+    const { reviews } = await client.fetchPRDetails('acme', 'web', 7);
+
+    assert.deepEqual(reviews.map(r => [r.user.login, r.state, r.submitted_at]), [
+      ['bob', 'CHANGES_REQUESTED', '2024-03-04T10:02:00Z'],
+      ['bob', 'APPROVED', '2024-03-05T11:00:00Z'],
+      // Approved without a note: no timestamp
+      ['carol', 'APPROVED', null],
+    ]);
+  });
+
+  it('splits notes into conversation and diff comments, leaving out system notes', async () => {
+    const { issueComments, reviewComments } = await client.fetchPRDetails('acme', 'web', 7);
+
+    assert.deepEqual(issueComments.map(c => [c.id, c.user.login, c.body]), [[2, 'bob', 'Looks close']]);
+    assert.deepEqual(reviewComments.map(c => [c.id, c.path]), [[3, 'src/search.js']]);
+  });
+
+  it('maps commits without linking their authors to accounts', async () => {
+    const { commits } = await client.fetchPRDetails('acme', 'web', 7);
+
+    assert.equal(commits.length, 1);
+    assert.equal(commits[0].sha, 'abc123');
+    assert.equal(commits[0].author, null);
+    assert.deepEqual(commits[0].commit.author, { name: 'Alice', email: 'alice@example.com', date: '2024-03-03T15:00:00Z' });
+    assert.equal(client.detectAICoAuthorship(commits[0].commit.message).isAIAssisted, true);
+  });
+
+  it('maps the MR to a pull request with line counts from its diffs', async () => {
+    const { pr } = await client.fetchPRDetails('acme', 'web', 7);
+
+    assert.equal(pr.number, 7);
+    assert.equal(pr.user.login, 'alice');
+    assert.equal(pr.state, 'closed');
+    assert.equal(pr.merged, true);
+    assert.equal(pr.closed_at, '2024-03-05T12:00:00Z');
+    assert.deepEqual([pr.additions, pr.deletions, pr.changed_files], [3, 1, 2]);
+    assert.deepEqual([pr.base.ref, pr.head.ref], ['main', 'search']);
+  });
+
+  it('reads review requests from system notes', async () => {
+    const { reviews, reviewComments, timeline } = await client.fetchReviewActivity('acme', 'web', 7);
+
+    assert.deepEqual(timeline.map(e => [e.event, e.actor.login, e.requested_reviewer.login, e.created_at]), [
+      ['review_requested', 'alice', 'bob', '2024-03-04T09:05:00Z'],
+      ['review_requested', 'alice', 'carol', '2024-03-04T09:05:00Z'],
+    ]);
+    assert.equal(reviews.length, 3);
+    assert.equal(reviewComments.length, 1);
+  });
+
+  it('reports contributor totals in a single week without a timestamp', async () => {
+    const stats = await client.fetchContributorStats('acme', 'web');
+
+    assert.deepEqual(stats, [
+      { author: { login: 'bob', email: 'bob@example.com' }, total: 3, weeks: [{ w: null, a: 20, d: 5, c: 3 }] },
+      { author: { login: 'alice', email: 'alice@example.com' }, total: 12, weeks: [{ w: null, a: 300, d: 40, c: 12 }] },
+    ]);
+  });
+
+  it('sends the token and follows x-next-page', async () => {
+    requests.length = 0;
+    await client.paginate(`${MR.replace('/api/v4', '')}/notes`);
+
+    assert.deepEqual(requests.map(r => r.path), [`${MR}/notes`, `${MR}/notes`]);
+    assert.ok(requests.every(r => r.token === 'secret'));
+  });
+
+  it('fails with the status and message GitLab returns', async () => {
+    await assert.rejects(client.fetchPRDetails('acme', 'web', 8), {
+      status: 404,
+      message: /^404 Not Found \(GET \/projects\/acme%2Fweb\/merge_requests\/8/,
+    });
+  });
+});
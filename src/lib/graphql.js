@@ -0,0 +1,160 @@
+/**
+ * GraphQL Queries
+ * Batched PR detail queries and mapping of the results onto REST response shapes
+ */
+
+// Connections are fetched 100 at a time; a PR with more than that falls back to REST
+const PAGE_SIZE = 100;
+
+const ACTOR_FIELDS = 'login __typename';
+
+const PR_FIELDS = `
+  number
+  title
+  state
+  url
+  createdAt
+  updatedAt
+  mergedAt
+  closedAt
+  merged
+  additions
+  deletions
+  changedFiles
+  author { ${ACTOR_FIELDS} }
+  mergedBy { ${ACTOR_FIELDS} }
+  repository { nameWithOwner url }
+  reviews(first: ${PAGE_SIZE}) {
+    totalCount
+    nodes { databaseId state body submittedAt author { ${ACTOR_FIELDS} } }
+  }
+  comments(first: ${PAGE_SIZE}) {
+    totalCount
+    nodes { databaseId body createdAt author { ${ACTOR_FIELDS} } }
+  }
+  reviewThreads(first: ${PAGE_SIZE}) {
+    totalCount
+    nodes {
+      comments(first: ${PAGE_SIZE}) {
+        totalCount
+        nodes { databaseId body path createdAt author { ${ACTOR_FIELDS} } }
+      }
+    }
+  }
+  commits(first: ${PAGE_SIZE}) {
+    totalCount
+    nodes {
+      commit {
+        oid
+        message
+        additions
+        deletions
+        author { name email date user { login } }
+      }
+    }
+  }
+`;
+
+/**
+ * Build one aliased query fetching many PRs, with variables for each ref
+ */
+export function buildPRDetailsQuery(refs) {
+  const params = [];
+  const fields = [];
+  const variables = {};
+
+  refs.forEach((ref, i) => {
+    params.push(`$owner${i}: String!, $name${i}: String!, $number${i}: Int!`);
+    fields.push(`pr${i}: repository(owner: $owner${i}, name: $name${i}) { pullRequest(number: $number${i}) { ${PR_FIELDS} } }`);
+    variables[`owner${i}`] = ref.owner;
+    variables[`name${i}`] = ref.repo;
+    variables[`number${i}`] = ref.number;
+  });
+
+  const query = `query (${params.join(', ')}) {\n${fields.join('\n')}\nrateLimit { cost remaining }\n}`;
+  return { query, variables };
+}
+
+/**
+ * Map a GraphQL actor onto a REST user; bots get REST's `[bot]` login suffix
+ */
+function toUser(actor) {
+  if (!actor) return { login: 'ghost', type: 'User' };
+  const isBot = actor.__typename === 'Bot';
+  return {
+    login: isBot ? `${actor.login}[bot]` : actor.login,
+    type: isBot ? 'Bot' : 'User',
+  };
+}
+
+/**
+ * Whether every connection on a PR node fit in one page
+ */
+export function isComplete(node) {
+  return node.reviews.totalCount <= node.reviews.nodes.length
+    && node.comments.totalCount <= node.comments.nodes.length
+    && node.commits.totalCount <= node.commits.nodes.length
+    && node.reviewThreads.totalCount <= node.reviewThreads.nodes.length
+    && node.reviewThreads.nodes.every(t => t.comments.totalCount <= t.comments.nodes.length);
+}
+
+/**
+ * Convert a PR node into the { pr, issueComments, reviewComments, reviews, commits }
+ * shape returned by GitHubClient.fetchPRDetails
+ */
+export function toPRDetails(node) {
+  const pr = {
+    number: node.number,
+    title: node.title,
+    state: node.state === 'OPEN' ? 'open' : 'closed',
+    user: toUser(node.author),
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+    merged_at: node.mergedAt,
+    closed_at: node.closedAt,
+    merged: node.merged,
+    merged_by: node.mergedBy ? toUser(node.mergedBy) : null,
+    html_url: node.url,
+    additions: node.additions,
+    deletions: node.deletions,
+    changed_files: node.changedFiles,
+    base: { repo: { full_name: node.repository.nameWithOwner, html_url: node.repository.url } },
+  };
+
+  const issueComments = node.comments.nodes.map(c => ({
+    id: c.databaseId,
+    user: toUser(c.author),
+    body: c.body,
+    created_at: c.createdAt,
+  }));
+
+  const reviewComments = node.reviewThreads.nodes
+    .flatMap(t => t.comments.nodes)
+    .map(c => ({
+      id: c.databaseId,
+      user: toUser(c.author),
+      body: c.body,
+      path: c.path,
+      created_at: c.createdAt,
+    }));
+
+  const reviews = node.reviews.nodes.map(r => ({
+    id: r.databaseId,
+    user: toUser(r.author),
+    state: r.state,
+    body: r.body,
+    submitted_at: r.submittedAt,
+  }));
+
+  const commits = node.commits.nodes.map(({ commit }) => ({
+    sha: commit.oid,
+    commit: {
+      message: commit.message,
+      author: { name: commit.author.name, email: commit.author.email, date: commit.author.date },
+    },
+    author: commit.author.user ? { login: commit.author.user.login } : null,
+    stats: { additions: commit.additions, deletions: commit.deletions },
+  }));
+
+  return { pr, issueComments, reviewComments, reviews, commits };
+}
@@ -0,0 +1,125 @@
+/**
+ * Identity Map
+ * Merge a person's accounts: a file, similar to .mailmap, that maps logins and commit emails to one canonical login
+ */
+
+import fs from 'fs';
+
+const EMAIL_PATTERN = /^<([^<>\s]+@[^<>\s]+)>$/;
+
+const LOGIN_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*(\[bot\])?$/;
+
+/**
+ * Canonical login -> aliases, looked up case-insensitively
+ */
+export class IdentityMap {
+  /**
+   * @param {Array<{ login: string, aliases: string[], emails: string[] }>} people
+   *   Each person's canonical login, other logins and commit emails
+   */
+  constructor(people = []) {
+    this.byLogin = new Map();
+    this.byEmail = new Map();
+    this.people = new Map();
+
+    people.forEach(({ login, aliases = [], emails = [] }) => {
+      const logins = [login, ...aliases.filter(alias => alias.toLowerCase() !== login.toLowerCase())];
+      logins.forEach(alias => this.claim(this.byLogin, alias, login));
+      emails.forEach(email => this.claim(this.byEmail, email, login));
+      this.people.set(login.toLowerCase(), logins);
+    });
+  }
+
+  claim(index, alias, login) {
+    const owner = index.get(alias.toLowerCase());
+    if (owner && owner !== login) {
+      throw new Error(`Identity map lists ${alias} for both ${owner} and ${login}`);
+    }
+    index.set(alias.toLowerCase(), login);
+  }
+
+  get size() {
+    return this.people.size;
+  }
+
+  /**
+   * Canonical login of a login, or the login itself when it isn't mapped
+   */
+  resolve(login) {
+    return this.byLogin.get(login?.toLowerCase()) || login;
+  }
+
+  /**
+   * Canonical login of a commit author ({ login, email }), by login first and then by email
+   */
+  resolveAuthor(author) {
+    return this.byLogin.get(author.login?.toLowerCase())
+      || this.byEmail.get(author.email?.toLowerCase())
+      || author.login;
+  }
+
+  /**
+   * Every login of the person a login belongs to, canonical login first
+   */
+  aliases(login) {
+    return this.people.get(this.resolve(login)?.toLowerCase()) || [login];
+  }
+}
+
+/**
+ * Read an identity map file. Each line is a canonical login followed by that person's other
+ * logins and <emails>; `#` starts a comment:
+ *
+ *   jdoe  jdoe-personal  jane-corp  <jane.doe@corp.example>  <jane@mail.example>
+ */
+export function loadIdentityMap(file) {
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw new Error(`Cannot read identity map ${file}: ${err.message}`);
+  }
+
+  const people = content.split('\n').map((line, i) => {
+    const tokens = line.replace(/#.*/, '').trim().split(/\s+/).filter(Boolean);
+    if (tokens.length === 0) return null;
+
+    const [login, ...rest] = tokens;
+    const invalid = [login, ...rest.filter(token => !EMAIL_PATTERN.test(token))].find(token => !LOGIN_PATTERN.test(token));
+    if (invalid) {
+      throw new Error(`Invalid entry "${invalid}" on line ${i + 1} of identity map ${file}. Start each line with a login, followed by other logins and <emails>`);
+    }
+    return {
+      login,
+      aliases: rest.filter(token => !EMAIL_PATTERN.test(token)),
+      emails: rest.filter(token => EMAIL_PATTERN.test(token)).map(token => EMAIL_PATTERN.exec(token)[1]),
+    };
+  }).filter(Boolean);
+
+  return new IdentityMap(people);
+}
+
+/**
+ * The identity map for --identity-map (or GHMETRICS_IDENTITY_MAP); empty when neither is set
+ */
+export function createIdentityMap(options = {}) {
+  const file = options.identityMap || process.env.GHMETRICS_IDENTITY_MAP;
+  return file ? loadIdentityMap(file) : new IdentityMap();
+}
+
+/**
+ * Run a search-based fetcher once per alias and drop results found by more than one of them,
+ * e.g. an issue assigned to both of a person's accounts
+ */
+export async function searchAliases(logins, search) {
+  const seen = new Set();
+  const results = [];
+  for (const login of logins) {
+    (await search(login)).forEach(item => {
+      if (seen.has(item.html_url)) return;
+      seen.add(item.html_url);
+      results.push(item);
+    });
+  }
+  return results;
+}
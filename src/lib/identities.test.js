@@ -0,0 +1,87 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { IdentityMap, loadIdentityMap, searchAliases } from './identities.js';
+
+describe('IdentityMap', () => {
+  const identities = new IdentityMap([
+    { login: 'jdoe', aliases: ['jdoe-personal', 'JDOE'], emails: ['jane@corp.example'] },
+    { login: 'bob' },
+  ]);
+
+  it('resolves aliases and commit emails to the canonical login, case-insensitively', () => {
+    assert.equal(identities.resolve('JDoe-Personal'), 'jdoe');
+    assert.equal(identities.resolve('carol'), 'carol');
+    assert.equal(identities.resolveAuthor({ login: null, email: 'Jane@Corp.example' }), 'jdoe');
+    assert.equal(identities.resolveAuthor({ login: 'jdoe-personal', email: 'other@example.com' }), 'jdoe');
+    assert.equal(identities.resolveAuthor({ login: 'carol', email: 'carol@example.com' }), 'carol');
+  });
+
+  it('lists every login of a person, canonical login first', () => {
+    assert.deepEqual(identities.aliases('jdoe-personal'), ['jdoe', 'jdoe-personal']);
+    assert.deepEqual(identities.aliases('carol'), ['carol']);
+    assert.equal(identities.size, 2);
+  });
+
+  it('rejects a login or email claimed by two people', () => {
+    assert.throws(
+      () => new IdentityMap([{ login: 'jdoe', aliases: ['shared'] }, { login: 'bob', aliases: ['Shared'] }]),
+      /Identity map lists Shared for both jdoe and bob/,
+    );
+  });
+});
+
+describe('loadIdentityMap', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghmetrics-identities-'));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const write = (content) => {
+    const file = path.join(dir, `map-${Math.random().toString(36).slice(2)}.txt`);
+    fs.writeFileSync(file, content);
+    return file;
+  };
+
+  it('reads one person per line, with comments and blank lines', () => {
+    const identities = loadIdentityMap(write([
+      '# Team',
+      'jdoe  jdoe-personal  <jane.doe@corp.example>  <jane@mail.example>',
+      '',
+      'renovate-admin  renovate[bot]  # the bot runs under her account',
+    ].join('\n')));
+
+    assert.equal(identities.resolve('jdoe-personal'), 'jdoe');
+    assert.equal(identities.resolveAuthor({ email: 'jane@mail.example' }), 'jdoe');
+    assert.equal(identities.resolve('renovate[bot]'), 'renovate-admin');
+  });
+
+  it('names the line of an invalid entry', () => {
+    assert.throws(() => loadIdentityMap(write('jdoe\n<jane@corp.example> jdoe\n')), /Invalid entry "<jane@corp.example>" on line 2/);
+    assert.throws(() => loadIdentityMap(path.join(dir, 'missing.txt')), /Cannot read identity map/);
+  });
+});
+
+describe('searchAliases', () => {
+  it('searches once per alias and drops results found twice', async () => {
+    const searched = [];
+    const results = await searchAliases(['jdoe', 'jdoe-personal'], async (login) => {
+      searched.push(login);
+      return login === 'jdoe'
+        ? [{ html_url: 'https://github.com/acme/web/issues/1' }, { html_url: 'https://github.com/acme/web/issues/2' }]
+        : [{ html_url: 'https://github.com/acme/web/issues/2' }, { html_url: 'https://github.com/acme/api/issues/3' }];
+    });
+
+    assert.deepEqual(searched, ['jdoe', 'jdoe-personal']);
+    assert.deepEqual(results.map(r => r.html_url), [
+      'https://github.com/acme/web/issues/1',
+      'https://github.com/acme/web/issues/2',
+      'https://github.com/acme/api/issues/3',
+    ]);
+  });
+});
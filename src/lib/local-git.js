@@ -0,0 +1,202 @@
+/**
+ * Local Git Provider
+ * Reads commit statistics straight from local clones with `git log --numstat`, without the API
+ */
+
+import { spawn, execFile } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { summarizeDistributions } from './stats.js';
+
+// Marks the start of each commit header in the log output (%x00 in the format)
+const COMMIT_MARKER = '\x00';
+
+/**
+ * Run git and resolve with its trimmed stdout
+ */
+function git(args) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, (error, stdout) => {
+      if (error) reject(error);
+      else resolve(stdout.trim());
+    });
+  });
+}
+
+/**
+ * owner/repo from a remote URL (https or ssh), or null
+ */
+function parseRemote(url) {
+  // Only hosted remotes; a clone of a local path keeps its directory name
+  if (!/^(?:[a-z+]+:\/\/|[^/\s]+@[^/:\s]+:)/.test(url)) return null;
+  const match = url.match(/[:/]([^/:]+)\/([^/]+?)(?:\.git)?\/?$/);
+  return match ? `${match[1]}/${match[2]}` : null;
+}
+
+export class LocalGitProvider {
+  /**
+   * @param {string} dir - A clone (working tree or bare mirror) or a directory of clones
+   * @param {Object} options
+   * @param {string} [options.mailmap] - Mailmap file used in addition to each repo's .mailmap
+   */
+  constructor(dir, options = {}) {
+    if (!fs.existsSync(dir)) {
+      throw new Error(`Path not found: ${dir}`);
+    }
+    this.dir = path.resolve(dir);
+    this.mailmap = options.mailmap ? path.resolve(options.mailmap) : null;
+  }
+
+  async isRepo(dir) {
+    try {
+      await git(['-C', dir, 'rev-parse', '--git-dir']);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * The clone itself, or each clone directly inside the directory
+   */
+  async findRepos() {
+    if (await this.isRepo(this.dir)) return [this.dir];
+
+    const repos = [];
+    for (const entry of fs.readdirSync(this.dir, { withFileTypes: true })) {
+      const repoDir = path.join(this.dir, entry.name);
+      if (entry.isDirectory() && await this.isRepo(repoDir)) repos.push(repoDir);
+    }
+
+    if (repos.length === 0) {
+      throw new Error(`No git repositories found in ${this.dir}`);
+    }
+    return repos.sort();
+  }
+
+  /**
+   * Repository name: owner/repo from the origin remote, else the directory name
+   */
+  async getRepoName(repoDir) {
+    try {
+      const name = parseRemote(await git(['-C', repoDir, 'config', '--get', 'remote.origin.url']));
+      if (name) return name;
+    } catch {
+      // No origin remote
+    }
+    return path.basename(repoDir).replace(/\.git$/, '');
+  }
+
+  /**
+   * Non-merge commits on HEAD with per-commit additions/deletions, filtered by author date.
+   * Author names and emails have the mailmap applied.
+   */
+  async fetchCommits(repoDir, options = {}) {
+    const args = ['-C', repoDir];
+    if (this.mailmap) args.push('-c', `mailmap.file=${this.mailmap}`);
+    args.push('log', '--use-mailmap', '--no-merges', '--numstat', '--format=%x00%H%x09%aN%x09%aE%x09%aI');
+    // git filters on committer date, which is never earlier than the author date,
+    // so --since safely skips older history; the exact range is applied to author dates below
+    const since = options.since ? new Date(`${options.since}T00:00:00`) : null;
+    const until = options.until ? new Date(`${options.until}T23:59:59`) : null;
+    if (since) args.push(`--since=${options.since}T00:00:00`);
+
+    const child = spawn('git', args);
+    const exited = new Promise((resolve, reject) => {
+      let stderr = '';
+      child.stderr.on('data', chunk => { stderr += chunk; });
+      child.on('error', reject);
+      child.on('close', code => {
+        // An empty repository has no HEAD to log
+        if (code === 0 || /does not have any commits/.test(stderr)) resolve();
+        else reject(new Error(`git log failed in ${repoDir}: ${stderr.trim()}`));
+      });
+    });
+    // Awaited after the output is read; don't let an early failure go unhandled meanwhile
+    exited.catch(() => {});
+
+    const commits = [];
+    let current = null;
+    for await (const line of readline.createInterface({ input: child.stdout })) {
+      if (line.startsWith(COMMIT_MARKER)) {
+        const [sha, name, email, date] = line.slice(1).split('\t');
+        current = { sha, name, email, date, additions: 0, deletions: 0 };
+        commits.push(current);
+      } else if (line && current) {
+        // Binary files show "-" instead of line counts
+        const [additions, deletions] = line.split('\t');
+        current.additions += Number(additions) || 0;
+        current.deletions += Number(deletions) || 0;
+      }
+    }
+
+    await exited;
+    return commits.filter(c => {
+      const date = new Date(c.date);
+      return (!since || date >= since) && (!until || date <= until);
+    });
+  }
+
+  /**
+   * Commit statistics for an author across all repositories, in the shape the user stats formatters expect.
+   * `author` is a case-insensitive regex matched against "Name <email>", like `git log --author`,
+   * but applied after the mailmap so every alias of a person is counted.
+   * `options.stats` are the --stats figures for the distribution of commit sizes.
+   */
+  async getUserStats(author, options = {}) {
+    const pattern = new RegExp(author, 'i');
+    const seen = new Set();
+    const names = new Map();
+    const repoBreakdown = [];
+    const commitSizes = [];
+
+    for (const repoDir of await this.findRepos()) {
+      const commits = (await this.fetchCommits(repoDir, options))
+        .filter(c => pattern.test(`${c.name} <${c.email}>`))
+        // Forks and mirrors of the same project share history; count each commit once
+        .filter(c => !seen.has(c.sha) && seen.add(c.sha));
+
+      if (commits.length === 0) continue;
+
+      commits.forEach(c => {
+        names.set(c.name, (names.get(c.name) || 0) + 1);
+        commitSizes.push({ commitSize: c.additions + c.deletions });
+      });
+
+      const additions = commits.reduce((sum, c) => sum + c.additions, 0);
+      const deletions = commits.reduce((sum, c) => sum + c.deletions, 0);
+      repoBreakdown.push({
+        repo: await this.getRepoName(repoDir),
+        commits: commits.length,
+        additions,
+        deletions,
+        net: additions - deletions,
+      });
+    }
+
+    const totalCommits = repoBreakdown.reduce((sum, r) => sum + r.commits, 0);
+    const totalAdditions = repoBreakdown.reduce((sum, r) => sum + r.additions, 0);
+    const totalDeletions = repoBreakdown.reduce((sum, r) => sum + r.deletions, 0);
+    const [name] = [...names.entries()].sort((a, b) => b[1] - a[1])[0] || [];
+
+    return {
+      user: author,
+      profile: { name },
+      dateRange: {
+        since: options.since || null,
+        until: options.until || null,
+      },
+      stats: {
+        totalCommits,
+        totalAdditions,
+        totalDeletions,
+        netLines: totalAdditions - totalDeletions,
+        reposContributed: repoBreakdown.length,
+        avgCommitSize: totalCommits > 0 ? Math.round((totalAdditions + totalDeletions) / totalCommits) : 0,
+      },
+      distributions: summarizeDistributions(commitSizes, options.stats, ['commitSize']),
+      repoBreakdown: repoBreakdown.sort((a, b) => b.commits - a.commits),
+    };
+  }
+}
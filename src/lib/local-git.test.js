@@ -0,0 +1,118 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { LocalGitProvider } from './local-git.js';
+
+/**
+ * Commit the given files as `author` ("Name <email>") on `date`
+ */
+function commit(repo, author, date, files, message = 'change') {
+  const [, name, email] = author.match(/^(.*) <(.*)>$/);
+  Object.entries(files).forEach(([file, content]) => fs.writeFileSync(path.join(repo, file), content));
+  git(repo, ['add', '-A']);
+  git(repo, ['commit', '-q', '-m', message], { name, email, date });
+}
+
+function git(repo, args, { name = 'Jane Doe', email = 'jane@corp.example', date = '2024-01-01T12:00:00Z' } = {}) {
+  return execFileSync('git', ['-C', repo, ...args], {
+    env: {
+      ...process.env,
+      GIT_CONFIG_NOSYSTEM: '1',
+      GIT_CONFIG_GLOBAL: os.devNull,
+      GIT_AUTHOR_NAME: name,
+      GIT_AUTHOR_EMAIL: email,
+      GIT_AUTHOR_DATE: date,
+      GIT_COMMITTER_NAME: name,
+      GIT_COMMITTER_EMAIL: email,
+      GIT_COMMITTER_DATE: date,
+    },
+  }).toString();
+}
+
+describe('LocalGitProvider', () => {
+  let dir;
+  let web;
+  let mailmap;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghmetrics-local-git-'));
+    const clones = path.join(dir, 'clones');
+    web = path.join(clones, 'web');
+    fs.mkdirSync(web, { recursive: true });
+
+    git(web, ['init', '-q', '-b', 'main']);
+    git(web, ['remote', 'add', 'origin', 'git@github.com:acme/web.git']);
+    commit(web, 'Jane Doe <jane@corp.example>', '2024-01-10T12:00:00Z', { 'a.txt': 'one\ntwo\nthree\n' });
+    commit(web, 'Jane <jane@home.example>', '2024-02-10T12:00:00Z', {
+      'a.txt': 'one\ntwo\n3\n',
+      'logo.png': Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x00, 0x01]),
+    });
+    commit(web, 'Bob <bob@example.com>', '2024-03-10T12:00:00Z', { 'b.txt': 'x\ny\n' });
+    git(web, ['checkout', '-q', '-b', 'feature']);
+    commit(web, 'Jane Doe <jane@corp.example>', '2024-04-10T12:00:00Z', { 'c.txt': 'z\n' });
+    git(web, ['checkout', '-q', 'main']);
+    git(web, ['merge', '-q', '--no-ff', '-m', 'Merge feature', 'feature'], { date: '2024-04-11T12:00:00Z' });
+
+    // A second clone of the same history, named after its directory
+    git(clones, ['clone', '-q', web, 'web-mirror']);
+
+    mailmap = path.join(dir, 'mailmap');
+    fs.writeFileSync(mailmap, 'Jane Doe <jane@corp.example> <jane@home.example>\n');
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('reads non-merge commits with their line counts, counting binary files as no lines', async () => {
+    const commits = await new LocalGitProvider(web).fetchCommits(web);
+
+    assert.deepEqual(commits.map(c => [c.name, c.email, c.date, c.additions, c.deletions]), [
+      ['Jane Doe', 'jane@corp.example', '2024-04-10T12:00:00+00:00', 1, 0],
+      ['Bob', 'bob@example.com', '2024-03-10T12:00:00+00:00', 2, 0],
+      ['Jane', 'jane@home.example', '2024-02-10T12:00:00+00:00', 1, 1],
+      ['Jane Doe', 'jane@corp.example', '2024-01-10T12:00:00+00:00', 3, 0],
+    ]);
+    assert.ok(commits.every(c => /^[0-9a-f]{40}$/.test(c.sha)));
+  });
+
+  it('filters commits by author date', async () => {
+    const commits = await new LocalGitProvider(web).fetchCommits(web, { since: '2024-02-01', until: '2024-03-31' });
+
+    assert.deepEqual(commits.map(c => c.date), ['2024-03-10T12:00:00+00:00', '2024-02-10T12:00:00+00:00']);
+  });
+
+  it('applies the mailmap and counts history shared by several clones once', async () => {
+    const stats = await new LocalGitProvider(path.join(dir, 'clones'), { mailmap }).getUserStats('jane');
+
+    assert.equal(stats.profile.name, 'Jane Doe');
+    assert.deepEqual(stats.stats, {
+      totalCommits: 3,
+      totalAdditions: 5,
+      totalDeletions: 1,
+      netLines: 4,
+      reposContributed: 1,
+      avgCommitSize: 2,
+    });
+    assert.deepEqual(stats.repoBreakdown, [{ repo: 'acme/web', commits: 3, additions: 5, deletions: 1, net: 4 }]);
+  });
+
+  it('describes the distribution of commit sizes with the requested figures', async () => {
+    const stats = await new LocalGitProvider(path.join(dir, 'clones'), { mailmap }).getUserStats('jane', { stats: ['p50', 'max'] });
+
+    assert.deepEqual(stats.distributions, { commitSize: { count: 3, p50: 2, max: 3 } });
+  });
+
+  it('names a repository after its origin remote', async () => {
+    const provider = new LocalGitProvider(web);
+
+    assert.equal(await provider.getRepoName(web), 'acme/web');
+    assert.equal(await provider.getRepoName(path.join(dir, 'clones', 'web-mirror')), 'web-mirror');
+  });
+
+  it('fails for a missing path or a directory without repositories', async () => {
+    assert.throws(() => new LocalGitProvider(path.join(dir, 'missing')), /Path not found/);
+    await assert.rejects(new LocalGitProvider(dir).findRepos(), /No git repositories found/);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Multi-Identity Client
+ * Combines one person's activity across several accounts or GitHub hosts
+ * (e.g. github.com and a GitHub Enterprise Server)
+ */
+
+import { getRepoFromUrl } from './github-client.js';
+
+export class MultiClient {
+  /**
+   * @param {Array<{ user: string, client: GitHubClient }>} identities
+   *   The first identity is the primary one
+   */
+  constructor(identities) {
+    this.identities = identities;
+    this.primary = identities[0].client;
+    // owner/repo -> client that found it, so per-PR requests go to the right host
+    this.repoClients = new Map();
+  }
+
+  /**
+   * Run a search-based fetcher on every identity's host. The primary login stands for each identity's
+   * own login on its host; any other login (e.g. an alias from the identity map) is searched as given.
+   * Results reached through more than one identity are kept once.
+   */
+  async searchEach(method, username, options) {
+    const primary = this.identities[0].user.toLowerCase();
+    const searches = new Map();
+    this.identities.forEach(({ user, client }) => {
+      const login = username.toLowerCase() === primary ? user : username;
+      // An alias is searched once per host, however many identities live there
+      const key = `${client.baseUrl} ${login.toLowerCase()}`;
+      if (!searches.has(key)) searches.set(key, { login, client });
+    });
+
+    const results = await Promise.all(Array.from(searches.values()).map(async ({ login, client }) => {
+      const items = await client[method](login, options);
+      items.forEach(item => {
+        const { owner, repo } = getRepoFromUrl(item.repository_url);
+        this.repoClients.set(`${owner}/${repo}`, client);
+      });
+      return items;
+    }));
+
+    const seen = new Set();
+    return results.flat().filter(item => {
+      if (seen.has(item.html_url)) return false;
+      seen.add(item.html_url);
+      return true;
+    });
+  }
+
+  clientFor(owner, repo) {
+    return this.repoClients.get(`${owner}/${repo}`) || this.primary;
+  }
+
+  fetchUserPRsAcrossRepos(username, options) {
+    return this.searchEach('fetchUserPRsAcrossRepos', username, options);
+  }
+
+  fetchUserIssuesAcrossRepos(username, options) {
+    return this.searchEach('fetchUserIssuesAcrossRepos', username, options);
+  }
+
+  fetchAssignedIssues(username, options) {
+    return this.searchEach('fetchAssignedIssues', username, options);
+  }
+
+  fetchReviewRequestedPRs(username, options) {
+    return this.searchEach('fetchReviewRequestedPRs', username, options);
+  }
+
+  async prefetchPRDetails(refs) {
+    for (const { client } of this.identities) {
+      await client.prefetchPRDetails(refs.filter(ref => this.clientFor(ref.owner, ref.repo) === client));
+    }
+  }
+
+  fetchPRActivity(owner, repo, prNumber) {
+    return this.clientFor(owner, repo).fetchPRActivity(owner, repo, prNumber);
+  }
+
+  fetchPRDetails(owner, repo, prNumber) {
+    return this.clientFor(owner, repo).fetchPRDetails(owner, repo, prNumber);
+  }
+
+  fetchReviewActivity(owner, repo, prNumber) {
+    return this.clientFor(owner, repo).fetchReviewActivity(owner, repo, prNumber);
+  }
+
+  detectAICoAuthorship(commitMessage) {
+    return this.primary.detectAICoAuthorship(commitMessage);
+  }
+
+  getConcurrencyLimit(requested) {
+    return Math.min(...this.identities.map(({ client }) => client.getConcurrencyLimit(requested)));
+  }
+
+  getWarnings() {
+    return this.identities.flatMap(({ client }) => client.getWarnings());
+  }
+
+  /**
+   * Requests and cache stats summed over all identities; quota is the primary host's
+   */
+  getUsage() {
+    const usages = this.identities.map(({ client }) => client.getUsage());
+    const usage = { ...usages[0], byResource: {} };
+
+    usage.requests = usages.reduce((sum, u) => sum + u.requests, 0);
+    usage.retries = usages.reduce((sum, u) => sum + u.retries, 0);
+    usage.waitedMs = usages.reduce((sum, u) => sum + u.waitedMs, 0);
+    usages.forEach(u => {
+      Object.entries(u.byResource).forEach(([resource, count]) => {
+        usage.byResource[resource] = (usage.byResource[resource] || 0) + count;
+      });
+    });
+
+    if (usage.cache) {
+      usage.cache = { hits: 0, revalidated: 0, misses: 0 };
+      usages.forEach(u => {
+        Object.keys(usage.cache).forEach(key => {
+          usage.cache[key] += u.cache?.[key] || 0;
+        });
+      });
+    }
+
+    return usage;
+  }
+}
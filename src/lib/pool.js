@@ -0,0 +1,46 @@
+/**
+ * Worker Pool
+ * Bounded concurrent processing with results kept in input order
+ */
+
+/**
+ * Run `worker(item, index)` over all items with at most `concurrency` in flight.
+ * `getLimit(concurrency)` is consulted before each launch so callers can lower
+ * the limit on the fly (e.g. under rate limit pressure).
+ * Resolves to the workers' results in the same order as `items`.
+ */
+export function runPool(items, worker, { concurrency = 1, getLimit } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+  let active = 0;
+
+  return new Promise((resolve, reject) => {
+    if (items.length === 0) {
+      resolve(results);
+      return;
+    }
+
+    const launch = () => {
+      const limit = Math.max(1, getLimit ? getLimit(concurrency) : concurrency);
+
+      while (active < limit && next < items.length) {
+        const index = next++;
+        active++;
+
+        Promise.resolve()
+          .then(() => worker(items[index], index))
+          .then(result => {
+            results[index] = result;
+            active--;
+            if (next >= items.length && active === 0) {
+              resolve(results);
+            } else {
+              launch();
+            }
+          }, reject);
+      }
+    };
+
+    launch();
+  });
+}
@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { runPool } from './pool.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('runPool', () => {
+  it('keeps results in input order whatever order the workers finish in', async () => {
+    const results = await runPool([30, 10, 20, 0], async (ms, index) => {
+      await sleep(ms);
+      return `${index}:${ms}`;
+    }, { concurrency: 4 });
+
+    assert.deepEqual(results, ['0:30', '1:10', '2:20', '3:0']);
+  });
+
+  it('runs at most `concurrency` workers at once', async () => {
+    let active = 0;
+    let peak = 0;
+    await runPool(Array.from({ length: 8 }, (_, i) => i), async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await sleep(5);
+      active--;
+    }, { concurrency: 3 });
+
+    assert.equal(peak, 3);
+  });
+
+  it('asks getLimit before each launch, so the limit can drop while running', async () => {
+    let active = 0;
+    let launched = 0;
+    const peaks = [];
+    await runPool(Array.from({ length: 6 }, (_, i) => i), async () => {
+      active++;
+      launched++;
+      peaks.push(active);
+      await sleep(5);
+      active--;
+    }, { concurrency: 3, getLimit: (concurrency) => (launched >= 3 ? 1 : concurrency) });
+
+    assert.deepEqual(peaks.slice(0, 3), [1, 2, 3]);
+    assert.ok(peaks.slice(3).every(count => count === 1));
+  });
+
+  it('resolves right away with no items and rejects with the first failure', async () => {
+    assert.deepEqual(await runPool([], async () => 1), []);
+    await assert.rejects(runPool([1, 2, 3], async (n) => {
+      if (n === 2) throw new Error('worker 2 failed');
+      return n;
+    }, { concurrency: 2 }), /worker 2 failed/);
+  });
+});
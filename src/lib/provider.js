@@ -0,0 +1,60 @@
+/**
+ * Provider Interface
+ * The data access the report commands rely on, implemented per code hosting platform
+ */
+
+/**
+ * Commands read records in the shapes of GitHub's REST API, so every provider maps its data onto them:
+ * - search items (PRs and issues): `number`, `title`, `user`, `state` ('open' | 'closed'), `comments`,
+ *   `created_at`, `closed_at`, `html_url`, `repository_url` (parseable by getRepoFromUrl) and, for PRs,
+ *   `pull_request.merged_at`
+ * - pull requests: `pulls.get` objects (`merged_at`, `additions`, `deletions`, `changed_files`, ...)
+ * - reviews (`user`, `state`, `submitted_at`), comments (`user`, `body`, `created_at`; inline review comments
+ *   also `path`) and commits (`sha`, `commit.message`, `commit.author`)
+ * - timeline events; only `review_requested` ones (`created_at`, `requested_reviewer`) are used
+ *
+ * GitHubClient and GitLabClient implement it against their APIs; MultiClient and StoreClient
+ * implement it on top of other providers' data.
+ *
+ * @typedef {Object} Provider
+ * @property {(username: string, options: Object) => Promise<Object[]>} fetchUserPRsAcrossRepos - PRs authored by a user
+ * @property {(username: string, options: Object) => Promise<Object[]>} fetchUserIssuesAcrossRepos - Issues opened by a user
+ * @property {(username: string, options: Object) => Promise<Object[]>} fetchAssignedIssues - Issues assigned to a user
+ * @property {(username: string, options: Object) => Promise<Object[]>} fetchReviewRequestedPRs - PRs a user reviewed
+ * @property {(owner: string, repo: string, username: string, options: Object) => Promise<Object[]>} fetchUserPRs - A user's PRs in one repository
+ * @property {(owner: string, repo: string, options: Object) => Promise<Object[]>} fetchRepoPRs - All PRs of a repository
+ * @property {(owner: string, repo: string, since: string) => Promise<Object[]>} fetchUpdatedRepoPRs - PRs updated since a date (for `sync`)
+ * @property {(org: string) => Promise<Object[]>} [fetchOrgRepos] - Repositories of an org (`full_name`, `archived`, `fork`, `visibility`, `topics`)
+ * @property {(org: string, teamSlug: string) => Promise<string[]>} [fetchTeamMembers] - Logins of a team's members (GitHub only)
+ * @property {(owner: string, repo: string) => Promise<Object[]>} fetchContributorStats - Per-contributor commit totals
+ * @property {(refs: Object[]) => Promise<void>} prefetchPRDetails - Optional batching ahead of per-PR calls
+ * @property {(owner: string, repo: string, number: number) => Promise<Object>} fetchPRActivity - The PR with its reviews, comments and commits
+ * @property {(owner: string, repo: string, number: number) => Promise<Object>} fetchPRDetails - The PR plus all of its activity
+ * @property {(owner: string, repo: string, number: number) => Promise<Object>} fetchReviewActivity - Reviews, inline comments and timeline of a PR
+ * @property {(message: string) => Object} detectAICoAuthorship
+ * @property {(requested: number) => number} getConcurrencyLimit
+ * @property {() => string[]} getWarnings
+ * @property {() => Object} getUsage
+ */
+
+export const PROVIDERS = ['github', 'gitlab'];
+
+// The Provider methods every provider has to implement (fetchOrgRepos and fetchTeamMembers are optional)
+export const PROVIDER_METHODS = [
+  'fetchUserPRsAcrossRepos',
+  'fetchUserIssuesAcrossRepos',
+  'fetchAssignedIssues',
+  'fetchReviewRequestedPRs',
+  'fetchUserPRs',
+  'fetchRepoPRs',
+  'fetchUpdatedRepoPRs',
+  'fetchContributorStats',
+  'prefetchPRDetails',
+  'fetchPRActivity',
+  'fetchPRDetails',
+  'fetchReviewActivity',
+  'detectAICoAuthorship',
+  'getConcurrencyLimit',
+  'getWarnings',
+  'getUsage',
+];
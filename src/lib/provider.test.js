@@ -0,0 +1,172 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { PROVIDER_METHODS } from './provider.js';
+import { GitHubClient } from './github-client.js';
+import { GitLabClient } from './gitlab-client.js';
+
+// The fields commands read from each record, as listed on the Provider typedef
+const SHAPES = {
+  searchItem: ['number', 'title', 'user.login', 'state', 'comments', 'created_at', 'closed_at', 'html_url', 'repository_url', 'pull_request.merged_at'],
+  pull: ['number', 'title', 'user.login', 'state', 'created_at', 'closed_at', 'merged_at', 'additions', 'deletions', 'changed_files', 'html_url'],
+  review: ['user.login', 'state', 'submitted_at'],
+  comment: ['user.login', 'body', 'created_at'],
+  reviewComment: ['user.login', 'body', 'created_at', 'path'],
+  commit: ['sha', 'commit.message', 'commit.author.name', 'commit.author.email', 'commit.author.date'],
+  reviewRequest: ['event', 'created_at', 'requested_reviewer.login'],
+};
+
+/**
+ * Fields of `record` missing from a shape (undefined; null is a valid "no value")
+ */
+function missingFields(record, shape) {
+  return SHAPES[shape].filter(field => field.split('.').reduce((value, key) => value?.[key], record) === undefined);
+}
+
+/**
+ * Serve `routes` (path -> JSON body) on a local port, with GitLab's pagination header on lists
+ */
+async function serve(routes) {
+  const server = http.createServer((req, res) => {
+    const body = routes[new URL(req.url, 'http://localhost').pathname];
+    const headers = { 'content-type': 'application/json' };
+    if (Array.isArray(body)) headers['x-next-page'] = '';
+    res.writeHead(body ? 200 : 404, headers);
+    res.end(JSON.stringify(body || { message: 'Not Found' }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+const ghUser = (login) => ({ login, type: 'User' });
+const GITHUB_PR = {
+  number: 7,
+  title: 'Add search',
+  user: ghUser('alice'),
+  state: 'closed',
+  created_at: '2024-03-04T09:00:00Z',
+  closed_at: '2024-03-05T12:00:00Z',
+  merged_at: '2024-03-05T12:00:00Z',
+  additions: 3,
+  deletions: 1,
+  changed_files: 2,
+  html_url: 'https://github.com/acme/web/pull/7',
+};
+
+const GITHUB_ROUTES = {
+  '/search/issues': {
+    total_count: 1,
+    items: [{
+      ...GITHUB_PR,
+      url: 'https://api.github.com/repos/acme/web/issues/7',
+      comments: 1,
+      repository_url: 'https://api.github.com/repos/acme/web',
+      pull_request: { merged_at: GITHUB_PR.merged_at },
+    }],
+  },
+  '/repos/acme/web/pulls/7': GITHUB_PR,
+  '/repos/acme/web/pulls/7/reviews': [{ user: ghUser('bob'), state: 'APPROVED', submitted_at: '2024-03-05T11:00:00Z' }],
+  '/repos/acme/web/issues/7/comments': [{ user: ghUser('bob'), body: 'Looks close', created_at: '2024-03-04T10:00:00Z' }],
+  '/repos/acme/web/pulls/7/comments': [{ user: ghUser('bob'), body: 'Typo', created_at: '2024-03-04T10:01:00Z', path: 'src/search.js' }],
+  '/repos/acme/web/pulls/7/commits': [{
+    sha: 'abc123',
+    commit: { message: 'Add search', author: { name: 'Alice', email: 'alice@example.com', date: '2024-03-03T15:00:00Z' } },
+  }],
+  '/repos/acme/web/issues/7/timeline': [{ event: 'review_requested', created_at: '2024-03-04T09:05:00Z', requested_reviewer: ghUser('bob') }],
+  '/rate_limit': { resources: {} },
+};
+
+const glUser = (username) => ({ username, name: username, web_url: `https://gitlab.example.com/${username}` });
+const GITLAB_MR = {
+  iid: 7,
+  title: 'Add search',
+  author: glUser('alice'),
+  state: 'merged',
+  user_notes_count: 1,
+  created_at: '2024-03-04T09:00:00Z',
+  merged_at: '2024-03-05T12:00:00Z',
+  closed_at: null,
+  web_url: 'https://gitlab.example.com/acme/web/-/merge_requests/7',
+  target_branch: 'main',
+  source_branch: 'search',
+};
+const MR = '/api/v4/projects/acme%2Fweb/merge_requests/7';
+
+const GITLAB_ROUTES = {
+  '/api/v4/merge_requests': [GITLAB_MR],
+  [MR]: GITLAB_MR,
+  [`${MR}/notes`]: [
+    { id: 1, system: true, author: glUser('alice'), body: 'requested review from @bob', created_at: '2024-03-04T09:05:00Z' },
+    { id: 2, system: false, type: null, author: glUser('bob'), body: 'Looks close', created_at: '2024-03-04T10:00:00Z' },
+    { id: 3, system: false, type: 'DiffNote', author: glUser('bob'), body: 'Typo', created_at: '2024-03-04T10:01:00Z', position: { new_path: 'src/search.js' } },
+    { id: 4, system: true, author: glUser('bob'), body: 'approved this merge request', created_at: '2024-03-05T11:00:00Z' },
+  ],
+  [`${MR}/approvals`]: { approved_by: [{ user: glUser('bob') }] },
+  [`${MR}/commits`]: [{
+    id: 'abc123',
+    message: 'Add search',
+    author_name: 'Alice',
+    author_email: 'alice@example.com',
+    authored_date: '2024-03-03T15:00:00Z',
+  }],
+  [`${MR}/diffs`]: [{ new_path: 'src/search.js', diff: '@@ -1 +1,3 @@\n+a\n+b\n+c\n-d\n' }, { new_path: 'README.md', diff: '' }],
+};
+
+describe('provider conformance', () => {
+  const servers = [];
+  const clients = {};
+
+  before(async () => {
+    const github = await serve(GITHUB_ROUTES);
+    const gitlab = await serve(GITLAB_ROUTES);
+    servers.push(github.server, gitlab.server);
+    clients.github = new GitHubClient('token', { baseUrl: github.url });
+    clients.gitlab = new GitLabClient('token', { baseUrl: `${gitlab.url}/api/v4` });
+  });
+
+  after(() => Promise.all(servers.map(server => new Promise(resolve => server.close(resolve)))));
+
+  it('implements every provider method', () => {
+    [GitHubClient, GitLabClient].forEach(Client => {
+      const missing = PROVIDER_METHODS.filter(method => typeof Client.prototype[method] !== 'function');
+      assert.deepEqual(missing, [], `${Client.name} lacks ${missing.join(', ')}`);
+    });
+  });
+
+  for (const provider of ['github', 'gitlab']) {
+    describe(provider, () => {
+      it('returns search items in the shape commands read', async () => {
+        const [item] = await clients[provider].fetchUserPRsAcrossRepos('alice', { since: '2024-03-01', until: '2024-03-31' });
+
+        assert.deepEqual(missingFields(item, 'searchItem'), []);
+        assert.equal(item.user.login, 'alice');
+        assert.equal(item.pull_request.merged_at, '2024-03-05T12:00:00Z');
+      });
+
+      it('returns PR details in the shape commands read', async () => {
+        const details = await clients[provider].fetchPRDetails('acme', 'web', 7);
+
+        assert.deepEqual(Object.keys(details).sort(), ['commits', 'issueComments', 'limitsHit', 'pr', 'reviewComments', 'reviews']);
+        assert.deepEqual(missingFields(details.pr, 'pull'), []);
+        assert.deepEqual(details.reviews.flatMap(review => missingFields(review, 'review')), []);
+        assert.deepEqual(details.issueComments.flatMap(comment => missingFields(comment, 'comment')), []);
+        assert.deepEqual(details.reviewComments.flatMap(comment => missingFields(comment, 'reviewComment')), []);
+        assert.deepEqual(details.commits.flatMap(commit => missingFields(commit, 'commit')), []);
+        assert.deepEqual([details.pr.additions, details.pr.deletions, details.pr.changed_files], [3, 1, 2]);
+
+        const activity = await clients[provider].fetchPRActivity('acme', 'web', 7);
+        assert.deepEqual(Object.keys(activity).sort(), ['commits', 'issueComments', 'limitsHit', 'pr', 'reviews']);
+      });
+
+      it('returns review activity in the shape commands read, inline comments with their file', async () => {
+        const { reviews, reviewComments, timeline } = await clients[provider].fetchReviewActivity('acme', 'web', 7);
+
+        assert.deepEqual(reviews.map(review => [review.user.login, review.state]), [['bob', 'APPROVED']]);
+        assert.deepEqual(reviewComments.map(comment => [comment.user.login, comment.path]), [['bob', 'src/search.js']]);
+        const requests = timeline.filter(event => event.event === 'review_requested');
+        assert.deepEqual(requests.flatMap(event => missingFields(event, 'reviewRequest')), []);
+        assert.deepEqual(requests.map(event => event.requested_reviewer.login), ['bob']);
+      });
+    });
+  }
+});
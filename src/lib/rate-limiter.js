@@ -0,0 +1,205 @@
+/**
+ * Rate Limiter
+ * Throttles and retries GitHub API requests based on rate limit headers
+ */
+
+const SEARCH_REQUESTS_PER_MINUTE = 30;
+const RETRYABLE_STATUSES = [500, 502, 503, 504];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Determine which rate limit bucket a request counts against
+ */
+export function getResource(url = '') {
+  if (url.startsWith('/search/')) return 'search';
+  if (url.startsWith('/graphql')) return 'graphql';
+  return 'core';
+}
+
+export class RateLimiter {
+  constructor(options = {}) {
+    this.maxRetries = options.maxRetries ?? 4;
+    this.minRemaining = options.minRemaining ?? 10;
+    this.baseDelay = options.baseDelay ?? 1000;
+    this.searchPerMinute = options.searchPerMinute ?? SEARCH_REQUESTS_PER_MINUTE;
+    // Resolves to false when the server confirms it has no rate limiting (e.g. GHES /rate_limit answering 404)
+    this.isRateLimited = options.isRateLimited || null;
+    this.rateLimitCheck = null;
+    this.onWait = options.onWait || (() => {});
+
+    this.limits = {};
+    this.searchWindow = [];
+    this.waiting = 0;
+    this.lastWaitAt = 0;
+    this.usage = {
+      requests: 0,
+      retries: 0,
+      waitedMs: 0,
+      byResource: {},
+    };
+  }
+
+  /**
+   * Run a request through throttling and retry handling.
+   * Used as an Octokit `request` hook.
+   */
+  async schedule(request, options) {
+    const resource = getResource(options.url);
+
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForBudget(resource);
+
+      try {
+        const response = await request(options);
+        this.update(resource, response.headers);
+        await this.checkSearchPacing(resource, response.headers);
+        return response;
+      } catch (error) {
+        this.update(resource, error.response?.headers);
+
+        const delay = this.getRetryDelay(error, attempt);
+        if (delay === null) throw error;
+
+        this.usage.retries++;
+        await this.wait(delay, `${error.status} from ${options.method} ${options.url}, retrying in ${Math.ceil(delay / 1000)}s`);
+      }
+    }
+  }
+
+  /**
+   * Wait until the bucket has quota left (and, for search, a free slot in the per-minute window)
+   */
+  async waitForBudget(resource) {
+    const limit = this.limits[resource];
+    if (limit && limit.remaining <= this.minRemaining) {
+      const delay = limit.reset * 1000 - Date.now();
+      if (delay > 0) {
+        await this.wait(delay + 1000, `${resource} rate limit nearly exhausted (${limit.remaining} left), waiting ${Math.ceil(delay / 1000)}s for reset`);
+        limit.remaining = limit.limit;
+      }
+    }
+
+    if (resource === 'search') {
+      for (;;) {
+        const now = Date.now();
+        this.searchWindow = this.searchWindow.filter(t => now - t < 60000);
+        if (this.searchWindow.length < this.searchPerMinute) {
+          this.searchWindow.push(now);
+          break;
+        }
+        const delay = this.searchWindow[0] + 60000 - now;
+        // Pacing searches isn't pressure on the core quota, so it doesn't slow other requests
+        await this.wait(delay, `search budget of ${this.searchPerMinute}/min reached, waiting ${Math.ceil(delay / 1000)}s`, false);
+      }
+    }
+
+    this.usage.requests++;
+    this.usage.byResource[resource] = (this.usage.byResource[resource] || 0) + 1;
+  }
+
+  /**
+   * Record the latest rate limit headers for a bucket
+   */
+  update(resource, headers = {}) {
+    if (headers['x-ratelimit-remaining'] === undefined) return;
+
+    const bucket = headers['x-ratelimit-resource'] || resource;
+    this.limits[bucket] = {
+      limit: Number(headers['x-ratelimit-limit']),
+      remaining: Number(headers['x-ratelimit-remaining']),
+      reset: Number(headers['x-ratelimit-reset']),
+    };
+
+    // The search limit is per minute and can be configured differently on GHES
+    if (bucket === 'search' && this.limits.search.limit) {
+      this.searchPerMinute = this.limits.search.limit;
+    }
+  }
+
+  /**
+   * GitHub Enterprise Server with rate limiting disabled sends no rate limit headers, but neither does
+   * a replayed or proxied response. The first search without them asks the server once; pacing stops
+   * only if it confirms rate limiting is off, and otherwise stays at the default.
+   */
+  async checkSearchPacing(resource, headers = {}) {
+    if (resource !== 'search' || headers['x-ratelimit-remaining'] !== undefined) return;
+    if (!this.isRateLimited || this.searchPerMinute === Infinity) return;
+
+    if (!this.rateLimitCheck) {
+      this.rateLimitCheck = this.isRateLimited().then(limited => {
+        if (!limited) this.searchPerMinute = Infinity;
+      }, () => {});
+    }
+    await this.rateLimitCheck;
+  }
+
+  /**
+   * Decide how long to wait before retrying a failed request.
+   * Returns null when the error should not be retried.
+   */
+  getRetryDelay(error, attempt) {
+    if (attempt >= this.maxRetries) return null;
+
+    const headers = error.response?.headers || {};
+    const retryAfter = Number(headers['retry-after']);
+    const message = String(error.response?.data?.message || error.message || '');
+
+    // Secondary ("abuse") rate limit
+    if (error.status === 403 || error.status === 429) {
+      if (retryAfter > 0) return retryAfter * 1000;
+      if (/secondary rate limit|abuse/i.test(message)) return this.baseDelay * 60 * 2 ** attempt;
+
+      // Primary rate limit exhausted
+      if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+        return Math.max(Number(headers['x-ratelimit-reset']) * 1000 - Date.now(), 0) + 1000;
+      }
+      return null;
+    }
+
+    if (RETRYABLE_STATUSES.includes(error.status)) {
+      return retryAfter > 0 ? retryAfter * 1000 : this.baseDelay * 2 ** attempt;
+    }
+
+    return null;
+  }
+
+  async wait(ms, reason, pressure = true) {
+    this.onWait(reason);
+    this.usage.waitedMs += ms;
+    if (!pressure) {
+      await sleep(ms);
+      return;
+    }
+
+    this.waiting++;
+    this.lastWaitAt = Date.now();
+    try {
+      await sleep(ms);
+    } finally {
+      this.waiting--;
+    }
+  }
+
+  /**
+   * How many requests callers should run in parallel given current pressure:
+   * one at a time while waiting (or within a minute of waiting) on a limit,
+   * half as many when any bucket is below 20% of its quota
+   */
+  getConcurrencyLimit(requested) {
+    if (this.waiting > 0 || Date.now() - this.lastWaitAt < 60000) return 1;
+
+    const low = Object.values(this.limits).some(l => l.limit && l.remaining < l.limit * 0.2);
+    return low ? Math.ceil(requested / 2) : requested;
+  }
+
+  /**
+   * Summary of requests made and quota left, per bucket
+   */
+  getUsage() {
+    return {
+      ...this.usage,
+      limits: { ...this.limits },
+    };
+  }
+}
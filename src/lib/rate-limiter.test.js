@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter, getResource } from './rate-limiter.js';
+
+const searchHeaders = (remaining, limit = 30) => ({
+  'x-ratelimit-resource': 'search',
+  'x-ratelimit-limit': String(limit),
+  'x-ratelimit-remaining': String(remaining),
+  'x-ratelimit-reset': String(Math.floor(Date.now() / 1000) + 60),
+});
+
+describe('getResource', () => {
+  it('maps request paths to rate limit buckets', () => {
+    assert.equal(getResource('/search/issues'), 'search');
+    assert.equal(getResource('/graphql'), 'graphql');
+    assert.equal(getResource('/repos/{owner}/{repo}/pulls'), 'core');
+  });
+});
+
+describe('RateLimiter', () => {
+  it('paces searches to the per-minute budget', async () => {
+    const waits = [];
+    const limiter = new RateLimiter({ searchPerMinute: 2, onWait: reason => waits.push(reason) });
+    // Two searches almost a minute ago: the third waits for the older one to leave the window
+    const now = Date.now();
+    limiter.searchWindow = [now - 59950, now - 59900];
+
+    const started = Date.now();
+    await limiter.schedule(async () => ({ headers: {} }), { method: 'GET', url: '/search/issues' });
+
+    assert.ok(Date.now() - started >= 40);
+    assert.deepEqual(waits.map(reason => reason.replace(/\d+s$/, 'Ns')), ['search budget of 2/min reached, waiting Ns']);
+    assert.equal(limiter.getUsage().byResource.search, 1);
+    // Pacing searches doesn't lower concurrency for everything else
+    assert.equal(limiter.getConcurrencyLimit(4), 4);
+  });
+
+  it('takes the search budget from the rate limit headers', async () => {
+    const limiter = new RateLimiter();
+    await limiter.schedule(async () => ({ headers: searchHeaders(9, 10) }), { method: 'GET', url: '/search/issues' });
+
+    assert.equal(limiter.searchPerMinute, 10);
+    assert.deepEqual(limiter.getUsage().limits.search, { limit: 10, remaining: 9, reset: Number(searchHeaders(0)['x-ratelimit-reset']) });
+  });
+
+  it('stops pacing searches only when the server confirms rate limiting is off', async () => {
+    let checks = 0;
+    const disabled = new RateLimiter({ isRateLimited: async () => { checks++; return false; } });
+    await disabled.schedule(async () => ({ headers: {} }), { method: 'GET', url: '/search/issues' });
+    await disabled.schedule(async () => ({ headers: {} }), { method: 'GET', url: '/search/issues' });
+
+    assert.equal(disabled.searchPerMinute, Infinity);
+    assert.equal(checks, 1);
+
+    const limited = new RateLimiter({ isRateLimited: async () => true });
+    await limited.schedule(async () => ({ headers: {} }), { method: 'GET', url: '/search/issues' });
+    assert.equal(limited.searchPerMinute, 30);
+
+    const unreachable = new RateLimiter({ isRateLimited: async () => { throw new Error('offline'); } });
+    await unreachable.schedule(async () => ({ headers: {} }), { method: 'GET', url: '/search/issues' });
+    assert.equal(unreachable.searchPerMinute, 30);
+  });
+
+  it('retries server errors with backoff and gives up on client errors', async () => {
+    const limiter = new RateLimiter({ baseDelay: 1 });
+    let attempts = 0;
+    const response = await limiter.schedule(async () => {
+      attempts++;
+      if (attempts < 3) throw Object.assign(new Error('Bad Gateway'), { status: 502 });
+      return { status: 200, headers: {} };
+    }, { method: 'GET', url: '/repos/acme/web' });
+
+    assert.equal(response.status, 200);
+    assert.equal(attempts, 3);
+    assert.equal(limiter.getUsage().retries, 2);
+
+    let notFound = 0;
+    await assert.rejects(limiter.schedule(async () => {
+      notFound++;
+      throw Object.assign(new Error('Not Found'), { status: 404 });
+    }, { method: 'GET', url: '/repos/acme/gone' }), { status: 404 });
+    assert.equal(notFound, 1);
+  });
+
+  it('waits out secondary rate limits and a spent primary limit', () => {
+    const limiter = new RateLimiter({ baseDelay: 1000 });
+    const error = (status, headers, message = '') => ({ status, message, response: { headers, data: { message } } });
+
+    assert.equal(limiter.getRetryDelay(error(403, { 'retry-after': '5' }), 0), 5000);
+    assert.equal(limiter.getRetryDelay(error(403, {}, 'You have exceeded a secondary rate limit'), 1), 120000);
+    const reset = Math.floor(Date.now() / 1000) + 30;
+    const delay = limiter.getRetryDelay(error(403, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(reset) }), 0);
+    assert.ok(delay > 29000 && delay <= 31000);
+    assert.equal(limiter.getRetryDelay(error(403, {}, 'Resource not accessible'), 0), null);
+    assert.equal(limiter.getRetryDelay(error(502, {}), 4), null);
+  });
+
+  it('lowers concurrency when a bucket runs low', () => {
+    const limiter = new RateLimiter();
+    limiter.update('core', { 'x-ratelimit-limit': '5000', 'x-ratelimit-remaining': '900', 'x-ratelimit-reset': '0' });
+
+    assert.equal(limiter.getConcurrencyLimit(8), 4);
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Record/Replay Transport
+ * fetch implementations that save API responses to fixture files and serve them back offline
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// Responses without a body can't be constructed with one
+const NULL_BODY_STATUSES = [204, 205, 304];
+
+/**
+ * Fixture file for a request, e.g. GET-repos-acme-web-pulls-3f2a9c1b.json.
+ * The hash covers method, full URL and body, so GraphQL batches get their own files.
+ */
+function getFixtureFile(dir, url, init = {}) {
+  const method = init.method || 'GET';
+  const body = typeof init.body === 'string' ? init.body : '';
+  const hash = crypto.createHash('sha256').update(`${method} ${url} ${body}`).digest('hex').slice(0, 12);
+  const slug = new URL(url).pathname.replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 80);
+  return path.join(dir, `${method}-${slug}-${hash}.json`);
+}
+
+/**
+ * Keep credentials out of fixtures: installation token responses carry a live token
+ */
+function redact(url, body) {
+  if (!/\/access_tokens$/.test(new URL(url).pathname)) return body;
+  try {
+    return JSON.stringify({ ...JSON.parse(body), token: 'REDACTED' });
+  } catch {
+    return body;
+  }
+}
+
+/**
+ * fetch that performs real requests and saves every request/response pair to `dir`
+ */
+export function createRecordingFetch(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  return async (url, init = {}) => {
+    const response = await fetch(url, init);
+    const body = await response.clone().text();
+
+    const headers = {};
+    response.headers.forEach((value, name) => {
+      if (name !== 'set-cookie') headers[name] = value;
+    });
+
+    fs.writeFileSync(getFixtureFile(dir, url, init), JSON.stringify({
+      request: {
+        method: init.method || 'GET',
+        url,
+        body: typeof init.body === 'string' ? init.body : null,
+      },
+      response: {
+        status: response.status,
+        headers,
+        body: redact(url, body),
+      },
+    }, null, 2));
+
+    return response;
+  };
+}
+
+/**
+ * A replayed run asked for a response that was never recorded, e.g. because the fixtures are stale
+ */
+export class ReplayMissError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReplayMissError';
+  }
+}
+
+// Marks the stand-in response for an unrecorded request, so the client can raise a ReplayMissError.
+// Octokit wraps anything a fetch throws as a plain 500, which would be retried and then swallowed.
+const REPLAY_MISS_HEADER = 'x-ghmetrics-replay-miss';
+
+/**
+ * Raise a ReplayMissError if a response (or the error it caused) is the stand-in for an unrecorded request
+ */
+export function checkReplayMiss(headers = {}, data = {}) {
+  if (headers[REPLAY_MISS_HEADER]) {
+    throw new ReplayMissError(data?.message || 'No recorded response');
+  }
+}
+
+/**
+ * Octokit request hook that turns the stand-in 404 for an unrecorded request into a ReplayMissError.
+ * Registered before other hooks, so 404 fallbacks further out (e.g. installation lookup) never see a 404.
+ */
+export async function surfaceReplayMisses(request, options) {
+  try {
+    return await request(options);
+  } catch (error) {
+    checkReplayMiss(error.response?.headers, error.response?.data);
+    throw error;
+  }
+}
+
+/**
+ * fetch that serves responses recorded in `dir` without touching the network.
+ * An unrecorded request gets a 404 marked as a replay miss, whose message names the request.
+ */
+export function createReplayFetch(dir) {
+  if (!fs.existsSync(dir)) {
+    throw new Error(`Replay directory not found: ${dir}`);
+  }
+
+  return async (url, init = {}) => {
+    const file = getFixtureFile(dir, url, init);
+
+    if (!fs.existsSync(file)) {
+      const message = `No recorded response for ${init.method || 'GET'} ${url} in ${dir}. Record the fixtures again with --record`;
+      return new Response(JSON.stringify({ message }), {
+        status: 404,
+        headers: { 'content-type': 'application/json; charset=utf-8', [REPLAY_MISS_HEADER]: 'true' },
+      });
+    }
+
+    const { response } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const body = NULL_BODY_STATUSES.includes(response.status) ? null : response.body;
+    return new Response(body, { status: response.status, headers: response.headers });
+  };
+}
+
+/**
+ * fetch for a client's record/replay options, or undefined to use the network as usual
+ */
+export function createTransport({ recordDir, replayDir } = {}) {
+  if (replayDir) return createReplayFetch(replayDir);
+  if (recordDir) return createRecordingFetch(recordDir);
+  return undefined;
+}
@@ -0,0 +1,217 @@
+/**
+ * Review Graph
+ * Who reviews whom: a directed graph from PR authors to their reviewers, its analyses and DOT/GraphML export
+ */
+
+import { createBotFilter } from './bots.js';
+import { IdentityMap } from './identities.js';
+
+// Pending reviews are drafts only their author can see
+const SUBMITTED_STATES = ['APPROVED', 'CHANGES_REQUESTED', 'COMMENTED', 'DISMISSED'];
+
+// Share of all reviews that the load carriers account for between them
+const LOAD_SHARE = 0.5;
+
+/**
+ * Graph of PR details as fetchPRDetails returns them ({ pr, issueComments, reviewComments, reviews }):
+ * {
+ *   nodes: [{ id, prsAuthored, prsReviewed, reviewsGiven, commentsGiven }],
+ *   edges: [{ source, target, prs, reviews, approvals, changesRequested, comments, weight }]
+ * }
+ * An edge runs from a PR's author to someone who reviewed or commented on it; its weight is reviews plus comments.
+ * Bots and people commenting on their own PRs are left out, and aliases in the identity map are merged.
+ */
+export function buildReviewGraph(prDetails, { bots = createBotFilter(), identities = new IdentityMap() } = {}) {
+  const nodes = new Map();
+  const edges = new Map();
+
+  const getNode = (id) => {
+    if (!nodes.has(id)) nodes.set(id, { id, prsAuthored: 0, prsReviewed: 0, reviewsGiven: 0, commentsGiven: 0 });
+    return nodes.get(id);
+  };
+
+  prDetails.forEach(({ pr, issueComments, reviewComments, reviews }) => {
+    if (!bots.counts(pr.user)) return;
+    const author = identities.resolve(pr.user.login);
+    getNode(author).prsAuthored++;
+
+    const reviewersOfPR = new Set();
+    const interact = (user) => {
+      if (!user?.login || !bots.counts(user)) return null;
+      const reviewer = identities.resolve(user.login);
+      if (reviewer === author) return null;
+
+      const key = `${author}\u0000${reviewer}`;
+      if (!edges.has(key)) {
+        edges.set(key, { source: author, target: reviewer, prs: 0, reviews: 0, approvals: 0, changesRequested: 0, comments: 0 });
+      }
+      if (!reviewersOfPR.has(reviewer)) {
+        reviewersOfPR.add(reviewer);
+        edges.get(key).prs++;
+        getNode(reviewer).prsReviewed++;
+      }
+      return edges.get(key);
+    };
+
+    reviews.filter(r => SUBMITTED_STATES.includes(r.state)).forEach(review => {
+      const edge = interact(review.user);
+      if (!edge) return;
+      edge.reviews++;
+      if (review.state === 'APPROVED') edge.approvals++;
+      if (review.state === 'CHANGES_REQUESTED') edge.changesRequested++;
+      getNode(edge.target).reviewsGiven++;
+    });
+
+    [...issueComments, ...reviewComments].forEach(comment => {
+      const edge = interact(comment.user);
+      if (!edge) return;
+      edge.comments++;
+      getNode(edge.target).commentsGiven++;
+    });
+  });
+
+  return {
+    nodes: Array.from(nodes.values()).sort((a, b) => a.id.localeCompare(b.id)),
+    edges: Array.from(edges.values())
+      .map(edge => ({ ...edge, weight: edge.reviews + edge.comments }))
+      .sort((a, b) => b.weight - a.weight || a.source.localeCompare(b.source) || a.target.localeCompare(b.target)),
+  };
+}
+
+/**
+ * Groups of people connected by reviews or comments in either direction, largest first
+ */
+function findClusters(graph) {
+  const neighbours = new Map(graph.nodes.map(node => [node.id, new Set()]));
+  graph.edges.forEach(({ source, target }) => {
+    neighbours.get(source).add(target);
+    neighbours.get(target).add(source);
+  });
+
+  const seen = new Set();
+  const clusters = [];
+  graph.nodes.forEach(({ id }) => {
+    if (seen.has(id)) return;
+    const members = [];
+    const queue = [id];
+    seen.add(id);
+    while (queue.length > 0) {
+      const current = queue.shift();
+      members.push(current);
+      neighbours.get(current).forEach(next => {
+        if (!seen.has(next)) {
+          seen.add(next);
+          queue.push(next);
+        }
+      });
+    }
+    clusters.push(members.sort());
+  });
+
+  return clusters.sort((a, b) => b.length - a.length || a[0].localeCompare(b[0]));
+}
+
+/**
+ * What the graph says about review habits:
+ * - reviewLoad: reviewers by reviews given, with their share of all reviews and how many authors they review
+ * - loadCarriers: the fewest reviewers who between them give at least half of all reviews
+ * - singleReviewerAuthors: authors whose reviews all come from one person
+ * - isolatedClusters: groups of people who never review or are reviewed by anyone outside the group
+ *   (every cluster but the largest)
+ */
+export function analyzeReviewGraph(graph) {
+  const totalReviews = graph.edges.reduce((sum, edge) => sum + edge.reviews, 0);
+
+  const reviewLoad = graph.nodes
+    .filter(node => node.reviewsGiven > 0)
+    .map(node => ({
+      reviewer: node.id,
+      reviews: node.reviewsGiven,
+      share: Number(((node.reviewsGiven / totalReviews) * 100).toFixed(1)),
+      authors: graph.edges.filter(edge => edge.target === node.id && edge.reviews > 0).length,
+    }))
+    .sort((a, b) => b.reviews - a.reviews || a.reviewer.localeCompare(b.reviewer));
+
+  const loadCarriers = [];
+  let carried = 0;
+  for (const { reviewer, reviews } of reviewLoad) {
+    if (carried >= totalReviews * LOAD_SHARE) break;
+    loadCarriers.push(reviewer);
+    carried += reviews;
+  }
+
+  const reviewersByAuthor = new Map();
+  graph.edges.filter(edge => edge.reviews > 0).forEach(edge => {
+    if (!reviewersByAuthor.has(edge.source)) reviewersByAuthor.set(edge.source, []);
+    reviewersByAuthor.get(edge.source).push(edge);
+  });
+  const singleReviewerAuthors = Array.from(reviewersByAuthor.values())
+    .filter(authorEdges => authorEdges.length === 1)
+    .map(([edge]) => ({ author: edge.source, reviewer: edge.target, prs: edge.prs, reviews: edge.reviews }))
+    .sort((a, b) => b.reviews - a.reviews || a.author.localeCompare(b.author));
+
+  const clusters = findClusters(graph);
+
+  return {
+    people: graph.nodes.length,
+    relationships: graph.edges.length,
+    totalReviews,
+    totalComments: graph.edges.reduce((sum, edge) => sum + edge.comments, 0),
+    reviewLoad,
+    loadCarriers,
+    singleReviewerAuthors,
+    clusters: clusters.length,
+    isolatedClusters: clusters.slice(1),
+  };
+}
+
+const quoteDOT = (value) => `"${String(value).replace(/"/g, '\\"')}"`;
+
+/**
+ * Graphviz DOT, e.g. for `dot -Tsvg reviews.dot > reviews.svg`; heavier edges are drawn thicker
+ */
+export function toDOT(graph, name = 'reviews') {
+  const maxWeight = Math.max(1, ...graph.edges.map(edge => edge.weight));
+  const lines = [
+    `digraph ${quoteDOT(name)} {`,
+    '  rankdir=LR;',
+    '  node [shape=box, style=rounded];',
+  ];
+  graph.nodes.forEach(node => {
+    lines.push(`  ${quoteDOT(node.id)} [label=${quoteDOT(`${node.id}\\n${node.prsAuthored} authored, ${node.reviewsGiven} reviews`)}];`);
+  });
+  graph.edges.forEach(edge => {
+    const penwidth = (1 + (4 * edge.weight) / maxWeight).toFixed(2);
+    lines.push(`  ${quoteDOT(edge.source)} -> ${quoteDOT(edge.target)} [weight=${edge.weight}, penwidth=${penwidth}, label=${quoteDOT(`${edge.reviews} reviews, ${edge.comments} comments`)}];`);
+  });
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+const escapeXML = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const NODE_KEYS = ['prsAuthored', 'prsReviewed', 'reviewsGiven', 'commentsGiven'];
+const EDGE_KEYS = ['weight', 'prs', 'reviews', 'approvals', 'changesRequested', 'comments'];
+
+/**
+ * GraphML, e.g. for Gephi, yEd or Cytoscape
+ */
+export function toGraphML(graph, name = 'reviews') {
+  const data = (item, keys) => keys.map(key => `<data key="${key}">${item[key]}</data>`).join('');
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...NODE_KEYS.map(key => `  <key id="${key}" for="node" attr.name="${key}" attr.type="int"/>`),
+    ...EDGE_KEYS.map(key => `  <key id="${key}" for="edge" attr.name="${key}" attr.type="int"/>`),
+    `  <graph id="${escapeXML(name)}" edgedefault="directed">`,
+    ...graph.nodes.map(node => `    <node id="${escapeXML(node.id)}">${data(node, NODE_KEYS)}</node>`),
+    ...graph.edges.map(edge => `    <edge source="${escapeXML(edge.source)}" target="${escapeXML(edge.target)}">${data(edge, EDGE_KEYS)}</edge>`),
+    '  </graph>',
+    '</graphml>',
+  ];
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,99 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildReviewGraph, analyzeReviewGraph, toDOT, toGraphML } from './review-graph.js';
+import { IdentityMap } from './identities.js';
+import { BotFilter } from './bots.js';
+
+const user = (login) => ({ login, type: login.endsWith('[bot]') ? 'Bot' : 'User' });
+const review = (login, state) => ({ user: user(login), state });
+const comment = (login) => ({ user: user(login) });
+
+const pr = (author, { reviews = [], issueComments = [], reviewComments = [] } = {}) => ({
+  pr: { user: user(author) },
+  reviews,
+  issueComments,
+  reviewComments,
+});
+
+const PRS = [
+  pr('alice', {
+    reviews: [review('bob', 'CHANGES_REQUESTED'), review('bob', 'APPROVED'), review('carol', 'PENDING')],
+    issueComments: [comment('carol'), comment('alice'), comment('codecov[bot]')],
+  }),
+  pr('alice', { reviews: [review('bob', 'APPROVED')], reviewComments: [comment('bob')] }),
+  pr('bob', { reviews: [review('alice', 'COMMENTED'), review('carol', 'APPROVED')] }),
+  pr('dave', { reviews: [review('erin', 'APPROVED')] }),
+  pr('dependabot[bot]', { reviews: [review('alice', 'APPROVED')] }),
+];
+
+describe('buildReviewGraph', () => {
+  it('links authors to reviewers, leaving out bots, self-comments and pending reviews', () => {
+    const graph = buildReviewGraph(PRS);
+
+    assert.deepEqual(graph.nodes.map(node => node.id), ['alice', 'bob', 'carol', 'dave', 'erin']);
+    assert.deepEqual(graph.edges, [
+      { source: 'alice', target: 'bob', prs: 2, reviews: 3, approvals: 2, changesRequested: 1, comments: 1, weight: 4 },
+      { source: 'alice', target: 'carol', prs: 1, reviews: 0, approvals: 0, changesRequested: 0, comments: 1, weight: 1 },
+      { source: 'bob', target: 'alice', prs: 1, reviews: 1, approvals: 0, changesRequested: 0, comments: 0, weight: 1 },
+      { source: 'bob', target: 'carol', prs: 1, reviews: 1, approvals: 1, changesRequested: 0, comments: 0, weight: 1 },
+      { source: 'dave', target: 'erin', prs: 1, reviews: 1, approvals: 1, changesRequested: 0, comments: 0, weight: 1 },
+    ]);
+    assert.deepEqual(graph.nodes.find(node => node.id === 'bob'), { id: 'bob', prsAuthored: 1, prsReviewed: 2, reviewsGiven: 3, commentsGiven: 1 });
+  });
+
+  it('merges aliases and counts bots when asked to', () => {
+    const identities = new IdentityMap([{ login: 'bob', aliases: ['bob-work'] }]);
+    const bots = new BotFilter({ includeBots: true });
+    const graph = buildReviewGraph([
+      pr('alice', { reviews: [review('bob', 'APPROVED'), review('BOB-WORK', 'APPROVED')] }),
+      pr('dependabot[bot]', { reviews: [review('alice', 'APPROVED')] }),
+    ], { identities, bots });
+
+    assert.deepEqual(graph.edges.map(edge => [edge.source, edge.target, edge.prs, edge.reviews]), [
+      ['alice', 'bob', 1, 2],
+      ['dependabot[bot]', 'alice', 1, 1],
+    ]);
+  });
+});
+
+describe('analyzeReviewGraph', () => {
+  it('finds the load carriers, single-reviewer authors and isolated clusters', () => {
+    const analysis = analyzeReviewGraph(buildReviewGraph(PRS));
+
+    assert.equal(analysis.people, 5);
+    assert.equal(analysis.relationships, 5);
+    assert.equal(analysis.totalReviews, 6);
+    assert.equal(analysis.totalComments, 2);
+    assert.deepEqual(analysis.reviewLoad, [
+      { reviewer: 'bob', reviews: 3, share: 50, authors: 1 },
+      { reviewer: 'alice', reviews: 1, share: 16.7, authors: 1 },
+      { reviewer: 'carol', reviews: 1, share: 16.7, authors: 1 },
+      { reviewer: 'erin', reviews: 1, share: 16.7, authors: 1 },
+    ]);
+    assert.deepEqual(analysis.loadCarriers, ['bob']);
+    assert.deepEqual(analysis.singleReviewerAuthors, [
+      { author: 'alice', reviewer: 'bob', prs: 2, reviews: 3 },
+      { author: 'dave', reviewer: 'erin', prs: 1, reviews: 1 },
+    ]);
+    assert.equal(analysis.clusters, 2);
+    assert.deepEqual(analysis.isolatedClusters, [['dave', 'erin']]);
+  });
+});
+
+describe('graph export', () => {
+  const graph = buildReviewGraph([pr('alice', { reviews: [review('b"ob', 'APPROVED')], issueComments: [comment('c&rol')] })]);
+
+  it('writes DOT with quoted ids', () => {
+    const dot = toDOT(graph, 'acme/web');
+
+    assert.match(dot, /^digraph "acme\/web" \{/);
+    assert.match(dot, /"alice" -> "b\\"ob" \[weight=1, penwidth=5\.00, label="1 reviews, 0 comments"\];/);
+  });
+
+  it('writes GraphML with escaped ids and data per node and edge', () => {
+    const graphml = toGraphML(graph);
+
+    assert.match(graphml, /<node id="b&quot;ob"><data key="prsAuthored">0<\/data><data key="prsReviewed">1<\/data>/);
+    assert.match(graphml, /<edge source="alice" target="c&amp;rol"><data key="weight">1<\/data>/);
+  });
+});
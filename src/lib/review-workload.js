@@ -0,0 +1,100 @@
+/**
+ * Review Workload
+ * What reviewers did on the PRs they reviewed: reviews by outcome, inline comments and response times
+ */
+
+import { DURATION_STATS, describe, median } from './stats.js';
+import { CALENDAR_TIME } from './calendar.js';
+import { IdentityMap } from './identities.js';
+
+const REVIEW_STATES = {
+  APPROVED: 'approved',
+  CHANGES_REQUESTED: 'changesRequested',
+  COMMENTED: 'commented',
+  DISMISSED: 'dismissed',
+};
+
+/**
+ * One reviewed PR's activity by the given reviewers, small enough to checkpoint:
+ * { repo, number, author, url, reviewers: { login: { reviews: {approved, ...}, inlineComments, requestedAt, firstReviewAt } } }
+ * A reviewer's activity from any of their aliases in the identity map counts as theirs.
+ */
+export function getReviewerActivity(pr, { reviews, reviewComments, timeline }, logins, identities = new IdentityMap()) {
+  const reviewers = {};
+
+  logins.forEach(login => {
+    const aliases = identities.aliases(login).map(alias => alias.toLowerCase());
+    const isReviewer = (user) => aliases.includes(user?.login?.toLowerCase());
+
+    // Pending reviews are drafts only their author can see
+    const submitted = reviews.filter(r => isReviewer(r.user) && REVIEW_STATES[r.state]);
+    const inlineComments = reviewComments.filter(c => isReviewer(c.user)).length;
+    if (submitted.length === 0 && inlineComments === 0) return;
+
+    const requestedAt = timeline
+      .filter(e => e.event === 'review_requested' && isReviewer(e.requested_reviewer))
+      .map(e => e.created_at)
+      .sort()[0] || null;
+    const firstReviewAt = submitted
+      .map(r => r.submitted_at)
+      .filter(date => date && (!requestedAt || new Date(date) >= new Date(requestedAt)))
+      .sort()[0] || null;
+
+    const counts = Object.fromEntries(Object.values(REVIEW_STATES).map(key => [key, 0]));
+    submitted.forEach(r => counts[REVIEW_STATES[r.state]]++);
+
+    reviewers[login] = { reviews: counts, inlineComments, requestedAt, firstReviewAt };
+  });
+
+  return { repo: pr.repo, number: pr.number, author: pr.author && identities.resolve(pr.author), url: pr.url, reviewers };
+}
+
+/**
+ * Most frequent values, e.g. [{ name: 'acme/web', prs: 12 }, ...]
+ */
+function topCounts(values, top) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return Array.from(counts, ([name, prs]) => ({ name, prs }))
+    .sort((a, b) => b.prs - a.prs || a.name.localeCompare(b.name))
+    .slice(0, top);
+}
+
+/**
+ * Per-reviewer totals across reviewed PRs (from getReviewerActivity); response times are measured with the calendar
+ * and summarised with the --stats figures (see parseDurationStats)
+ */
+export function aggregateReviewerWorkload(activities, { top = 5, calendar = CALENDAR_TIME, stats = DURATION_STATS } = {}) {
+  const byReviewer = new Map();
+  activities.forEach(activity => {
+    Object.entries(activity.reviewers).forEach(([login, data]) => {
+      if (!byReviewer.has(login)) byReviewer.set(login, []);
+      byReviewer.get(login).push({ ...activity, ...data });
+    });
+  });
+
+  return Array.from(byReviewer, ([reviewer, prs]) => {
+    const sum = (key) => prs.reduce((total, pr) => total + pr.reviews[key], 0);
+    const answered = prs.filter(pr => pr.requestedAt && pr.firstReviewAt);
+    const responseHours = answered.map(pr => calendar.hoursBetween(pr.requestedAt, pr.firstReviewAt));
+
+    return {
+      reviewer,
+      prsReviewed: prs.length,
+      reviewsSubmitted: Object.values(REVIEW_STATES).reduce((total, key) => total + sum(key), 0),
+      approved: sum('approved'),
+      changesRequested: sum('changesRequested'),
+      commented: sum('commented'),
+      inlineComments: prs.reduce((total, pr) => total + pr.inlineComments, 0),
+      medianHoursToFirstReview: median(responseHours),
+      hoursToFirstReview: describe(responseHours, stats),
+      // Also in calendar time when the calendar is business time
+      ...(calendar.mode === 'business' && {
+        calendarHoursToFirstReview: describe(answered.map(pr => CALENDAR_TIME.hoursBetween(pr.requestedAt, pr.firstReviewAt)), stats),
+      }),
+      requestsAnswered: responseHours.length,
+      topRepos: topCounts(prs.map(pr => pr.repo), top),
+      topAuthors: topCounts(prs.map(pr => pr.author).filter(Boolean), top),
+    };
+  }).sort((a, b) => b.reviewsSubmitted - a.reviewsSubmitted);
+}
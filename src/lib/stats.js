@@ -0,0 +1,128 @@
+/**
+ * Statistics
+ * Percentiles, spread and histograms of per-PR metrics, so one outlier doesn't hide behind an average
+ */
+
+// Figures reported when --stats isn't given; it can also ask for any percentile from p1 to p99
+export const DEFAULT_STATS = ['mean', 'min', 'p50', 'p75', 'p90', 'p95', 'max', 'stddev', 'histogram'];
+
+const NAMED_STATS = ['mean', 'min', 'max', 'stddev', 'histogram'];
+
+// Figures for durations without histogram buckets (cycle-time phases, time to first review) when --stats isn't given
+export const DURATION_STATS = ['p50', 'p75', 'p90'];
+
+// Per-PR field -> label and histogram bucket edges (each bucket includes its lower edge)
+export const DISTRIBUTION_METRICS = {
+  timeToMerge: { label: 'Time to Merge (days)', edges: [1, 3, 7, 14, 30] },
+  comments: { label: 'Comments', edges: [1, 3, 6, 11], integer: true },
+  changesRequested: { label: 'Changes Requested', edges: [1, 2, 3, 5], integer: true },
+  size: { label: 'PR Size (lines changed)', edges: [10, 50, 250, 1000], integer: true },
+  reviewsGiven: { label: 'Reviews per Reviewer', edges: [2, 5, 10, 25], integer: true },
+  commitSize: { label: 'Commit Size (lines changed)', edges: [10, 50, 250, 1000], integer: true },
+};
+
+// The metrics of per-PR records; graph and commits describe reviewers and commits instead
+export const PR_METRICS = ['timeToMerge', 'comments', 'changesRequested', 'size'];
+
+const round = (value) => Number(value.toFixed(2));
+
+/**
+ * Lines changed by a PR (a `pulls.get` object), or null when the provider didn't report them
+ */
+export function getPRSize(pull) {
+  if (typeof pull?.additions !== 'number' || typeof pull?.deletions !== 'number') return null;
+  return pull.additions + pull.deletions;
+}
+
+/**
+ * Validate --stats (comma-separated), returning the figures to report in the order given
+ */
+export function parseStats(value) {
+  if (!value) return DEFAULT_STATS;
+
+  const stats = value.split(',').map(stat => stat.trim().toLowerCase()).filter(Boolean);
+  const invalid = stats.filter(stat => !NAMED_STATS.includes(stat) && !/^p([1-9]|[1-9][0-9])$/.test(stat));
+  if (invalid.length > 0 || stats.length === 0) {
+    throw new Error(`Invalid --stats "${value}". Use a comma-separated list of: ${NAMED_STATS.join(', ')}, p50, p90 (any p1-p99)`);
+  }
+  return [...new Set(stats)];
+}
+
+/**
+ * Figures for durations without histogram buckets: the --stats figures less the histogram, or DURATION_STATS
+ */
+export function parseDurationStats(value) {
+  return value ? parseStats(value).filter(stat => stat !== 'histogram') : DURATION_STATS;
+}
+
+/**
+ * Percentile of sorted values, interpolating between neighbours
+ */
+export function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return round(sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower));
+}
+
+/**
+ * Median of unsorted values
+ */
+export function median(values) {
+  return percentile([...values].sort((a, b) => a - b), 50);
+}
+
+/**
+ * Counts per bucket, e.g. [{ min: null, max: 1, count: 4 }, { min: 1, max: 3, count: 7 }, ..., { min: 30, max: null, count: 1 }]
+ */
+export function histogram(values, edges) {
+  const bounds = [null, ...edges, null];
+  return bounds.slice(0, -1).map((min, i) => {
+    const max = bounds[i + 1];
+    return {
+      min,
+      max,
+      count: values.filter(v => (min === null || v >= min) && (max === null || v < max)).length,
+    };
+  });
+}
+
+/**
+ * The requested figures for one set of values; nulls are left out and figures of no values are null
+ */
+export function describe(values, stats = DEFAULT_STATS, edges = []) {
+  const sorted = values.filter(v => v !== null && v !== undefined).sort((a, b) => a - b);
+  const mean = sorted.length ? sorted.reduce((a, b) => a + b, 0) / sorted.length : null;
+
+  const result = { count: sorted.length };
+  stats.forEach(stat => {
+    if (stat === 'mean') {
+      result.mean = mean === null ? null : round(mean);
+    } else if (stat === 'min') {
+      result.min = sorted.length ? sorted[0] : null;
+    } else if (stat === 'max') {
+      result.max = sorted.length ? sorted[sorted.length - 1] : null;
+    } else if (stat === 'stddev') {
+      // Population standard deviation: the PRs are all of them, not a sample
+      result.stddev = mean === null ? null : round(Math.sqrt(sorted.reduce((sum, v) => sum + (v - mean) ** 2, 0) / sorted.length));
+    } else if (stat === 'histogram') {
+      result.histogram = histogram(sorted, edges);
+    } else {
+      result[stat] = percentile(sorted, Number(stat.slice(1)));
+    }
+  });
+  return result;
+}
+
+/**
+ * Distribution of each DISTRIBUTION_METRICS field across per-PR records, e.g.
+ * { timeToMerge: { count: 40, mean: 2.1, p50: 0.9, ..., histogram: [...] }, comments: {...}, ... }
+ * `metrics` narrows it to the fields the records have (e.g. PR lists carry no comment counts).
+ */
+export function summarizeDistributions(records, stats = DEFAULT_STATS, metrics = PR_METRICS) {
+  return Object.fromEntries(metrics.map(metric => [
+    metric,
+    describe(records.map(record => record[metric]), stats, DISTRIBUTION_METRICS[metric].edges),
+  ]));
+}
@@ -0,0 +1,91 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_STATS,
+  DURATION_STATS,
+  describe as describeValues,
+  getPRSize,
+  histogram,
+  median,
+  parseDurationStats,
+  parseStats,
+  percentile,
+  summarizeDistributions,
+} from './stats.js';
+
+describe('percentile', () => {
+  it('interpolates between neighbouring values', () => {
+    const sorted = [1, 2, 3, 4, 10];
+    assert.equal(percentile(sorted, 50), 3);
+    assert.equal(percentile(sorted, 75), 4);
+    assert.equal(percentile(sorted, 90), 7.6);
+    assert.equal(percentile(sorted, 0), 1);
+    assert.equal(percentile(sorted, 100), 10);
+    assert.equal(percentile([], 50), null);
+  });
+
+  it('takes the median of unsorted values', () => {
+    assert.equal(median([9, 1, 4, 2]), 3);
+  });
+});
+
+describe('describe', () => {
+  it('reports the requested figures, leaving out missing values', () => {
+    assert.deepEqual(describeValues([4, null, 1, 3, undefined, 2], ['mean', 'min', 'p50', 'max', 'stddev']), {
+      count: 4,
+      mean: 2.5,
+      min: 1,
+      p50: 2.5,
+      max: 4,
+      stddev: 1.12,
+    });
+  });
+
+  it('reports null figures for no values', () => {
+    assert.deepEqual(describeValues([], ['mean', 'p90', 'max']), { count: 0, mean: null, p90: null, max: null });
+  });
+
+  it('buckets values by their lower edge', () => {
+    assert.deepEqual(histogram([0.5, 1, 2.9, 3, 40], [1, 3]), [
+      { min: null, max: 1, count: 1 },
+      { min: 1, max: 3, count: 2 },
+      { min: 3, max: null, count: 2 },
+    ]);
+  });
+});
+
+describe('parseStats', () => {
+  it('validates --stats and keeps the order given', () => {
+    assert.equal(parseStats(undefined), DEFAULT_STATS);
+    assert.deepEqual(parseStats('P90, p50,max,p90'), ['p90', 'p50', 'max']);
+    assert.throws(() => parseStats('p100'), /Invalid --stats "p100"/);
+    assert.throws(() => parseStats('median'), /Invalid --stats "median"/);
+    assert.throws(() => parseStats(','), /Invalid --stats/);
+  });
+
+  it('drops the histogram for durations', () => {
+    assert.equal(parseDurationStats(undefined), DURATION_STATS);
+    assert.deepEqual(parseDurationStats('p50,histogram,max'), ['p50', 'max']);
+  });
+});
+
+describe('summarizeDistributions', () => {
+  it('describes each metric across per-PR records', () => {
+    const records = [
+      { timeToMerge: 0.5, comments: 0 },
+      { timeToMerge: 2, comments: 4 },
+      { timeToMerge: null, comments: 12 },
+    ];
+    const distributions = summarizeDistributions(records, ['p50', 'histogram'], ['timeToMerge', 'comments']);
+
+    assert.deepEqual(Object.keys(distributions), ['timeToMerge', 'comments']);
+    assert.equal(distributions.timeToMerge.count, 2);
+    assert.equal(distributions.timeToMerge.p50, 1.25);
+    assert.deepEqual(distributions.comments.histogram.map(bucket => bucket.count), [1, 0, 1, 0, 1]);
+  });
+
+  it('sizes PRs by lines changed when the provider reports them', () => {
+    assert.equal(getPRSize({ additions: 12, deletions: 3 }), 15);
+    assert.equal(getPRSize({ additions: null, deletions: null }), null);
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Store Client
+ * Serves the client methods commands use from a synced metrics store instead of the API
+ */
+
+import { GitHubClient, getRepoFromUrl } from './github-client.js';
+import { getPullKey } from './store.js';
+
+const toDateString = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Search-style filters: org(s), repo, state and an inclusive created date range
+ */
+function matchesSearch(item, options) {
+  const { owner, repo } = getRepoFromUrl(item.repository_url);
+
+  if (options.org) {
+    const orgs = options.org.split(',').map(o => o.trim().toLowerCase());
+    if (!orgs.includes(owner.toLowerCase())) return false;
+  }
+  if (options.repo && options.repo.toLowerCase() !== `${owner}/${repo}`.toLowerCase()) return false;
+
+  if (options.state === 'merged' && !item.pull_request?.merged_at) return false;
+  if (['open', 'closed'].includes(options.state) && item.state !== options.state) return false;
+
+  const created = toDateString(item.created_at);
+  if (options.since && created < options.since) return false;
+  if (options.until && created > options.until) return false;
+  return true;
+}
+
+/**
+ * Date filters as applied to PR listings by GitHubClient
+ */
+function matchesCreated(pr, options) {
+  if (options.since && new Date(pr.created_at) < new Date(options.since)) return false;
+  if (options.until && new Date(pr.created_at) > new Date(options.until)) return false;
+  return true;
+}
+
+const newestFirst = (a, b) => new Date(b.created_at) - new Date(a.created_at);
+
+export class StoreClient {
+  /**
+   * @param {MetricsStore} store
+   */
+  constructor(store) {
+    if (!store.exists()) {
+      throw new Error(`Nothing synced in ${store.dir}. Run \`ghmetrics sync\` first`);
+    }
+    this.store = store;
+    this.warnings = [];
+  }
+
+  /**
+   * PRs and issues are searched per user, so only `sync --user` stores them. Say so for a login that was never synced
+   * (a sync with failed PRs records no time, but has stored its items) rather than report nothing.
+   */
+  checkUserSynced(username) {
+    const login = username.toLowerCase();
+    const synced = this.store.getTargets().some(target => target.split(' ')[0].toLowerCase() === `user:${login}`)
+      || this.store.values('items').some(({ data, reviewedBy }) =>
+        data.user?.login.toLowerCase() === login || reviewedBy.some(reviewer => reviewer.toLowerCase() === login));
+
+    const warning = `${username} has not been synced, so the store has none of their PRs, issues or reviews. `
+      + `Run \`ghmetrics sync --user ${username}\`; repository syncs only serve pr, repo and graph`;
+    if (!synced && !this.warnings.includes(warning)) this.warnings.push(warning);
+  }
+
+  searchItems(predicate, options) {
+    return this.store.values('items')
+      .filter(record => predicate(record) && matchesSearch(record.data, options))
+      .map(record => record.data)
+      .sort(newestFirst);
+  }
+
+  fetchUserPRsAcrossRepos(username, options = {}) {
+    this.checkUserSynced(username);
+    return this.searchItems(({ data }) => data.pull_request && data.user.login === username, options);
+  }
+
+  fetchUserIssuesAcrossRepos(username, options = {}) {
+    this.checkUserSynced(username);
+    return this.searchItems(({ data }) => !data.pull_request && data.user.login === username, options);
+  }
+
+  fetchAssignedIssues(username, options = {}) {
+    this.checkUserSynced(username);
+    return this.searchItems(({ data }) =>
+      !data.pull_request && (data.assignees || []).some(a => a.login === username), options);
+  }
+
+  fetchReviewRequestedPRs(username, options = {}) {
+    this.checkUserSynced(username);
+    return this.searchItems(({ reviewedBy }) => reviewedBy.includes(username), options);
+  }
+
+  /**
+   * Synced PRs of one repository
+   */
+  repoPulls(owner, repo) {
+    return this.store.values('pulls')
+      .filter(record => record.owner.toLowerCase() === owner.toLowerCase() && record.repo.toLowerCase() === repo.toLowerCase())
+      .map(record => record.data.pr)
+      .sort(newestFirst);
+  }
+
+  fetchUserPRs(owner, repo, username, options = {}) {
+    return this.repoPulls(owner, repo)
+      .filter(pr => pr.user.login === username)
+      .filter(pr => !options.state || options.state === 'all' || pr.state === options.state)
+      .filter(pr => matchesCreated(pr, options));
+  }
+
+  fetchRepoPRs(owner, repo, options = {}) {
+    return this.repoPulls(owner, repo)
+      .filter(pr => !options.state || options.state === 'all' || pr.state === options.state)
+      .filter(pr => matchesCreated(pr, options));
+  }
+
+  async fetchContributorStats(owner, repo) {
+    const record = this.store.get('contributorStats', `${owner}/${repo}`);
+    if (!record) {
+      throw new Error(`No contributor stats for ${owner}/${repo} in the store. Sync it with \`ghmetrics sync --repo ${owner}/${repo}\``);
+    }
+    return record.data;
+  }
+
+  async prefetchPRDetails() {}
+
+  async fetchPRDetails(owner, repo, prNumber) {
+    const record = this.store.get('pulls', getPullKey(owner, repo, prNumber));
+    if (!record) {
+      throw new Error(`${getPullKey(owner, repo, prNumber)} is not in the store`);
+    }
+    return record.data;
+  }
+
+  async fetchPRActivity(owner, repo, prNumber) {
+    const { pr, reviews, issueComments, commits, limitsHit } = await this.fetchPRDetails(owner, repo, prNumber);
+    return { pr, reviews, issueComments, commits, limitsHit };
+  }
+
+  /**
+   * Stores synced before timelines were kept have no review request events
+   */
+  async fetchReviewActivity(owner, repo, prNumber) {
+    const { reviews, reviewComments, timeline = [] } = await this.fetchPRDetails(owner, repo, prNumber);
+    return { reviews, reviewComments, timeline };
+  }
+
+  detectAICoAuthorship(commitMessage) {
+    return GitHubClient.prototype.detectAICoAuthorship(commitMessage);
+  }
+
+  getConcurrencyLimit(requested) {
+    return requested;
+  }
+
+  getWarnings() {
+    return [...this.warnings];
+  }
+
+  /**
+   * No API requests are made when reading from the store
+   */
+  getUsage() {
+    return { requests: 0, retries: 0, waitedMs: 0, byResource: {}, limits: {}, cache: null };
+  }
+}
@@ -0,0 +1,73 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { MetricsStore } from './store.js';
+import { StoreClient } from './store-client.js';
+
+const API = 'https://api.github.com';
+
+const searchItem = (number, login, fields = {}) => ({
+  url: `${API}/repos/acme/web/issues/${number}`,
+  number,
+  user: { login },
+  state: 'closed',
+  created_at: '2024-03-01T12:00:00Z',
+  repository_url: `${API}/repos/acme/web`,
+  pull_request: { merged_at: '2024-03-02T12:00:00Z' },
+  ...fields,
+});
+
+describe('StoreClient', () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghmetrics-store-'));
+    store = new MetricsStore(dir);
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('searches synced items like the API, newest first', () => {
+    store.putItems([
+      searchItem(1, 'alice'),
+      searchItem(2, 'alice', { created_at: '2024-04-01T12:00:00Z' }),
+      searchItem(3, 'bob'),
+      searchItem(4, 'alice', { pull_request: undefined }),
+    ]);
+    store.putItems([searchItem(3, 'bob')], { reviewedBy: 'alice' });
+    store.save();
+    store.setLastSync('user:alice', '2024-05-01T00:00:00Z');
+    const client = new StoreClient(new MetricsStore(dir));
+
+    assert.deepEqual(client.fetchUserPRsAcrossRepos('alice').map(pr => pr.number), [2, 1]);
+    assert.deepEqual(client.fetchUserPRsAcrossRepos('alice', { since: '2024-03-15' }).map(pr => pr.number), [2]);
+    assert.deepEqual(client.fetchUserIssuesAcrossRepos('alice').map(issue => issue.number), [4]);
+    assert.deepEqual(client.fetchReviewRequestedPRs('alice').map(pr => pr.number), [3]);
+    assert.deepEqual(client.getWarnings(), []);
+  });
+
+  it('warns, once, about a user who was never synced when only repositories were', () => {
+    store.putPullDetails('acme', 'web', { pr: { number: 1, user: { login: 'alice' } }, reviews: [], issueComments: [], commits: [] });
+    store.save();
+    store.setLastSync('repo:acme/web', '2024-05-01T00:00:00Z');
+    const client = new StoreClient(new MetricsStore(dir));
+
+    assert.deepEqual(client.fetchUserPRsAcrossRepos('alice'), []);
+    assert.deepEqual(client.fetchReviewRequestedPRs('alice'), []);
+    assert.equal(client.getWarnings().length, 1);
+    assert.match(client.getWarnings()[0], /alice has not been synced.*ghmetrics sync --user alice/);
+  });
+
+  it('counts a user sync that recorded no time because some PRs failed', () => {
+    store.putItems([searchItem(1, 'Alice')]);
+    store.save();
+    const client = new StoreClient(new MetricsStore(dir));
+
+    client.fetchUserPRsAcrossRepos('alice');
+
+    assert.deepEqual(client.getWarnings(), []);
+  });
+});
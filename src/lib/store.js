@@ -0,0 +1,146 @@
+/**
+ * Metrics Store
+ * Local JSON-lines store of synced PRs, issues and repository stats, so reports can run without the API
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Collection name -> file; each line is one {"key": ..., ...record} object
+const COLLECTIONS = {
+  items: 'items.jsonl',
+  pulls: 'pulls.jsonl',
+  contributorStats: 'contributor-stats.jsonl',
+};
+
+/**
+ * Default store directory: $GHMETRICS_STORE_DIR, $XDG_DATA_HOME/ghmetrics or ~/.local/share/ghmetrics
+ */
+export function getDefaultStoreDir() {
+  if (process.env.GHMETRICS_STORE_DIR) return process.env.GHMETRICS_STORE_DIR;
+  const base = process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share');
+  return path.join(base, 'ghmetrics');
+}
+
+/**
+ * Key for a PR's synced details, e.g. acme/web#42
+ */
+export function getPullKey(owner, repo, number) {
+  return `${owner}/${repo}#${number}`;
+}
+
+export class MetricsStore {
+  constructor(dir = getDefaultStoreDir()) {
+    this.dir = dir;
+    this.stateFile = path.join(dir, 'state.json');
+    this.state = this.readState();
+    this.collections = {};
+    this.dirty = new Set();
+  }
+
+  readState() {
+    try {
+      return JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+    } catch {
+      return { lastSync: {} };
+    }
+  }
+
+  /**
+   * Whether anything has been synced into this store yet
+   */
+  exists() {
+    return Object.keys(this.state.lastSync).length > 0
+      || Object.values(COLLECTIONS).some(file => fs.existsSync(path.join(this.dir, file)));
+  }
+
+  /**
+   * Records of a collection by key, loaded on first use
+   */
+  load(name) {
+    if (!this.collections[name]) {
+      const records = new Map();
+      const file = path.join(this.dir, COLLECTIONS[name]);
+      if (fs.existsSync(file)) {
+        fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).forEach(line => {
+          const { key, ...record } = JSON.parse(line);
+          records.set(key, record);
+        });
+      }
+      this.collections[name] = records;
+    }
+    return this.collections[name];
+  }
+
+  get(name, key) {
+    return this.load(name).get(key);
+  }
+
+  put(name, key, record) {
+    this.load(name).set(key, record);
+    this.dirty.add(name);
+  }
+
+  values(name) {
+    return [...this.load(name).values()];
+  }
+
+  /**
+   * Save search results (PRs and issues). `reviewedBy` records that the items
+   * came from a reviewed-by search for that user.
+   */
+  putItems(items, { reviewedBy } = {}) {
+    items.forEach(item => {
+      const existing = this.get('items', item.url);
+      const reviewers = new Set(existing?.reviewedBy || []);
+      if (reviewedBy) reviewers.add(reviewedBy);
+      this.put('items', item.url, { reviewedBy: [...reviewers], data: item });
+    });
+  }
+
+  putPullDetails(owner, repo, details) {
+    this.put('pulls', getPullKey(owner, repo, details.pr.number), { owner, repo, data: details });
+  }
+
+  putContributorStats(owner, repo, stats) {
+    this.put('contributorStats', `${owner}/${repo}`, { data: stats });
+  }
+
+  getLastSync(target) {
+    return this.state.lastSync[target] || null;
+  }
+
+  /**
+   * Targets synced so far, e.g. `user:jdoe org:acme` or `repo:acme/web`
+   */
+  getTargets() {
+    return Object.keys(this.state.lastSync);
+  }
+
+  setLastSync(target, date) {
+    this.state.lastSync[target] = date;
+    this.writeFile(this.stateFile, JSON.stringify(this.state, null, 2));
+  }
+
+  /**
+   * Write changed collections to disk
+   */
+  save() {
+    this.dirty.forEach(name => {
+      const lines = [...this.collections[name].entries()].map(([key, record]) => JSON.stringify({ key, ...record }));
+      this.writeFile(path.join(this.dir, COLLECTIONS[name]), lines.map(line => `${line}\n`).join(''));
+    });
+    this.dirty.clear();
+  }
+
+  /**
+   * Write via a temp file and rename, so an interrupted sync never leaves a truncated file
+   */
+  writeFile(file, content) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, content);
+    fs.renameSync(tmp, file);
+  }
+}
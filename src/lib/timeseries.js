@@ -0,0 +1,114 @@
+/**
+ * Time Series
+ * Bucket PRs by week or month so reports can show trends instead of a single average
+ */
+
+export const GRANULARITIES = ['week', 'month'];
+
+// Bucket field -> label, in display order
+export const TIMESERIES_COLUMNS = {
+  opened: 'PRs Opened',
+  merged: 'PRs Merged',
+  avgTimeToMerge: 'Avg Time to Merge (days)',
+  changesRequested: 'Changes Requested',
+  aiAssistedShare: 'AI-Assisted Share (%)',
+};
+
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+/**
+ * Validate --granularity, returning it (or null when not given)
+ */
+export function parseGranularity(value) {
+  if (!value) return null;
+  if (!GRANULARITIES.includes(value)) {
+    throw new Error(`Invalid granularity "${value}". Use ${GRANULARITIES.join(' or ')}`);
+  }
+  return value;
+}
+
+/**
+ * Start of the period containing a date: the Monday of its (UTC) week, or the first of its month
+ */
+function periodStart(date, granularity) {
+  const d = new Date(date);
+  if (granularity === 'month') {
+    return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1));
+  }
+  const monday = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+  return monday;
+}
+
+function nextPeriod(start, granularity) {
+  const next = new Date(start);
+  if (granularity === 'month') {
+    next.setUTCMonth(next.getUTCMonth() + 1);
+  } else {
+    next.setUTCDate(next.getUTCDate() + 7);
+  }
+  return next;
+}
+
+/**
+ * Period label: 2024-03 for months, the week's Monday (2024-03-04) for weeks
+ */
+const periodKey = (start, granularity) => start.toISOString().slice(0, granularity === 'month' ? 7 : 10);
+
+/**
+ * Bucket PRs by the period they were opened (and, for merge figures, merged) in.
+ * Each PR is { createdAt, mergedAt, timeToMerge (days), changesRequested, aiAssisted };
+ * leave aiAssisted undefined when it wasn't detected, and the share is null.
+ * Every period between the first and last is present, empty ones included.
+ */
+export function buildTimeseries(prs, granularity, { since, until } = {}) {
+  const dates = prs.flatMap(pr => [pr.createdAt, pr.mergedAt]).filter(Boolean).map(date => new Date(date));
+  if (dates.length === 0 && !since) return [];
+
+  const first = since ? new Date(since) : new Date(Math.min(...dates));
+  const last = until ? new Date(until) : new Date(Math.max(...dates, first));
+
+  const buckets = new Map();
+  for (let start = periodStart(first, granularity); start <= last; start = nextPeriod(start, granularity)) {
+    buckets.set(periodKey(start, granularity), { opened: [], merged: [] });
+  }
+
+  const bucketFor = (date) => buckets.get(periodKey(periodStart(date, granularity), granularity));
+  prs.forEach(pr => {
+    bucketFor(pr.createdAt)?.opened.push(pr);
+    if (pr.mergedAt) bucketFor(pr.mergedAt)?.merged.push(pr);
+  });
+
+  return Array.from(buckets, ([period, { opened, merged }]) => {
+    const mergeTimes = merged.map(pr => pr.timeToMerge).filter(t => t !== null && t !== undefined);
+    const detected = opened.filter(pr => pr.aiAssisted !== undefined);
+    return {
+      period,
+      opened: opened.length,
+      merged: merged.length,
+      avgTimeToMerge: mergeTimes.length
+        ? Number((mergeTimes.reduce((a, b) => a + b, 0) / mergeTimes.length).toFixed(2))
+        : null,
+      changesRequested: opened.reduce((sum, pr) => sum + (pr.changesRequested || 0), 0),
+      aiAssistedShare: detected.length
+        ? Number(((detected.filter(pr => pr.aiAssisted).length / detected.length) * 100).toFixed(1))
+        : null,
+    };
+  });
+}
+
+/**
+ * Sparkline of values scaled between their min and max; null values are blank
+ */
+export function sparkline(values) {
+  const present = values.filter(v => v !== null && v !== undefined);
+  if (present.length === 0) return '';
+  const min = Math.min(...present);
+  const max = Math.max(...present);
+
+  return values.map(v => {
+    if (v === null || v === undefined) return ' ';
+    const level = max === min ? 0 : Math.round(((v - min) / (max - min)) * (SPARK_CHARS.length - 1));
+    return SPARK_CHARS[level];
+  }).join('');
+}